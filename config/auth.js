@@ -0,0 +1,30 @@
+require('dotenv').config();
+
+module.exports = {
+    accessTokenTtl: process.env.ACCESS_TOKEN_TTL || "15m",
+    refreshTokenTtlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30,
+    passwordResetTtlMinutes: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30,
+    emailVerificationTtlHours: parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24,
+    emailVerificationResendCooldownSeconds: parseInt(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS) || 60,
+    invitationTtlHours: parseInt(process.env.INVITATION_TTL_HOURS) || 72,
+    guestOrderLookupTtlDays: parseInt(process.env.GUEST_ORDER_LOOKUP_TTL_DAYS) || 90,
+    // What unverified users may do: "none" (cannot log in), "browse" (log in, no orders) or "full"
+    unverifiedUserAccess: process.env.UNVERIFIED_USER_ACCESS || "browse",
+    twoFactor: {
+        issuer: process.env.TOTP_ISSUER || "E-Commerce",
+        challengeTtl: process.env.TWO_FACTOR_CHALLENGE_TTL || "5m",
+        recoveryCodeCount: 10,
+        // When true, admins must enroll in TOTP before they can get an access token
+        requiredForAdmins: process.env.REQUIRE_ADMIN_2FA === "true",
+    },
+    loginThrottle: {
+        // "database" keeps counters in Postgres so they survive restarts, "memory" keeps them per process
+        store: process.env.LOGIN_THROTTLE_STORE || "database",
+        maxAccountAttempts: parseInt(process.env.LOGIN_MAX_ACCOUNT_ATTEMPTS) || 5,
+        maxIpAttempts: parseInt(process.env.LOGIN_MAX_IP_ATTEMPTS) || 20,
+        baseLockSeconds: parseInt(process.env.LOGIN_BASE_LOCK_SECONDS) || 30,
+        maxLockSeconds: parseInt(process.env.LOGIN_MAX_LOCK_SECONDS) || 60 * 60,
+        // Failures older than this are forgotten if the key is not locked
+        failureWindowMinutes: parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15,
+    },
+};
@@ -0,0 +1,9 @@
+require('dotenv').config();
+
+module.exports = {
+    // How long a reserved cart holds its stock before the sweeper gives it back
+    reservationTtlMinutes: parseInt(process.env.STOCK_RESERVATION_TTL_MINUTES) || 15,
+    reservationSweepIntervalSeconds: parseInt(process.env.STOCK_RESERVATION_SWEEP_INTERVAL_SECONDS) || 60,
+    // Responses stored for an Idempotency-Key are replayed to retries for this long
+    idempotencyKeyTtlHours: parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24,
+};
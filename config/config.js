@@ -17,6 +17,7 @@ module.exports = {
     database: process.env.DB_NAME,
     host: process.env.DB_HOST,
     dialect: process.env.DB_DIALECT || "postgres",
+    logging: false,
     dialectOptions: {
       schema: process.env.DB_SCHEMA
     }
@@ -0,0 +1,9 @@
+require('dotenv').config();
+
+module.exports = {
+    // "memory" keeps messages in process (tests), "file" writes them to fileDir
+    transport: process.env.MAIL_TRANSPORT || "file",
+    fileDir: process.env.MAIL_FILE_DIR || "./mail-outbox",
+    from: process.env.MAIL_FROM || "no-reply@ecommerce.local",
+    appUrl: process.env.APP_URL || "http://localhost:5000",
+};
@@ -0,0 +1,30 @@
+require('dotenv').config();
+
+// Providers are listed in OIDC_PROVIDERS (e.g. "google,mock") and configured with
+// OIDC_<NAME>_DISCOVERY_URL, OIDC_<NAME>_CLIENT_ID, OIDC_<NAME>_CLIENT_SECRET and
+// optionally OIDC_<NAME>_SCOPES and OIDC_<NAME>_DISPLAY_NAME. Pointing a discovery URL at
+// a local mock IdP is enough to test the whole flow.
+const providerNames = (process.env.OIDC_PROVIDERS || "")
+    .split(",")
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+const providerConfig = (name) => {
+    const prefix = `OIDC_${name.toUpperCase().replace(/[^A-Z0-9]/g, "_")}_`;
+
+    return {
+        name,
+        displayName: process.env[`${prefix}DISPLAY_NAME`] || name,
+        discoveryUrl: process.env[`${prefix}DISCOVERY_URL`],
+        clientId: process.env[`${prefix}CLIENT_ID`],
+        clientSecret: process.env[`${prefix}CLIENT_SECRET`],
+        scopes: process.env[`${prefix}SCOPES`] || "openid email profile",
+    };
+};
+
+module.exports = {
+    // The callback URL registered at each provider is <callbackBaseUrl>/<name>/callback
+    callbackBaseUrl: process.env.OIDC_CALLBACK_BASE_URL || "http://localhost:5000/api/auth/oidc",
+    stateTtlMinutes: parseInt(process.env.OIDC_STATE_TTL_MINUTES) || 10,
+    providers: Object.fromEntries(providerNames.map(name => [name, providerConfig(name)])),
+};
@@ -0,0 +1,14 @@
+require('dotenv').config();
+
+module.exports = {
+    // Gateway used for new payments; see services/paymentProviders for the available ones
+    provider: process.env.PAYMENT_PROVIDER || "mock",
+    currency: process.env.PAYMENT_CURRENCY || "USD",
+    mock: {
+        // One-time code the mock gateway accepts for 3-D Secure challenges
+        challengeCode: process.env.MOCK_PAYMENT_CHALLENGE_CODE || "123456",
+        // Shared secret for the HMAC on webhooks sent as the mock gateway
+        webhookSecret: process.env.MOCK_WEBHOOK_SECRET,
+        webhookToleranceSeconds: parseInt(process.env.MOCK_WEBHOOK_TOLERANCE_SECONDS) || 300,
+    },
+};
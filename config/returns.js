@@ -0,0 +1,6 @@
+require('dotenv').config();
+
+module.exports = {
+    // Customers can ask to return a delivered order for this many days after delivery
+    returnWindowDays: parseInt(process.env.RETURN_WINDOW_DAYS) || 30,
+};
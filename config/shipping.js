@@ -0,0 +1,9 @@
+require('dotenv').config();
+
+module.exports = {
+    local: {
+        // Shared secret for the HMAC on tracking webhooks sent as the local test carrier
+        webhookSecret: process.env.LOCAL_CARRIER_WEBHOOK_SECRET,
+        webhookToleranceSeconds: parseInt(process.env.LOCAL_CARRIER_WEBHOOK_TOLERANCE_SECONDS) || 300,
+    },
+};
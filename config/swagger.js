@@ -22,6 +22,20 @@ const options = {
                 scheme: "bearer",
                 bearerFormat: "JWT",
               },
+              ApiKeyAuth: {
+                type: "apiKey",
+                in: "header",
+                name: "X-API-Key",
+              },
+            },
+            parameters: {
+              IdempotencyKey: {
+                in: "header",
+                name: "Idempotency-Key",
+                required: false,
+                schema: { type: "string", maxLength: 255 },
+                description: "Unique value per operation, e.g. a UUID. Retries with the same key and body replay the first response (marked with Idempotent-Replayed: true); reusing the key with a different body returns 409.",
+              },
             },
           }
     },
@@ -0,0 +1,206 @@
+const { validationResult } = require("express-validator");
+
+const db = require('../models');
+const Address = db.Address;
+
+const addressFields = ["label", "fullName", "phone", "address", "city", "zipcode"];
+
+class addressController {
+
+    static async getAllAddresses(req, res) {
+        try {
+
+            const addresses = await Address.findAll({
+                where: { userId: req.customer.id },
+                order: [["isDefault", "DESC"], ["createdAt", "ASC"]]
+            });
+
+            return res.status(200).json({
+                message: "Addresses retrieved successfully",
+                addresses
+            });
+
+        } catch (error) {
+            console.log("Error while fetching addresses", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            });
+        }
+    }
+
+    static async createAddress(req, res) {
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const t = await db.sequelize.transaction();
+
+        try {
+
+            const userId = req.customer.id;
+            const existing = await Address.count({ where: { userId }, transaction: t });
+
+            // The first saved address becomes the default automatically
+            const isDefault = existing === 0 || req.body.isDefault === true;
+
+            if (isDefault) {
+                await Address.update({ isDefault: false }, { where: { userId, isDefault: true }, transaction: t });
+            }
+
+            const values = { userId, isDefault };
+            for (const field of addressFields) {
+                values[field] = req.body[field];
+            }
+
+            const address = await Address.create(values, { transaction: t });
+
+            await t.commit();
+
+            return res.status(201).json({
+                message: "Address saved successfully",
+                address
+            });
+
+        } catch (error) {
+            await t.rollback();
+            console.log("Error while saving address", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            });
+        }
+    }
+
+    static async updateAddress(req, res) {
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+
+            const address = await Address.findOne({
+                where: { id: req.params.addressId, userId: req.customer.id }
+            });
+
+            if (!address) {
+                return res.status(404).json({
+                    message: "Address not found"
+                });
+            }
+
+            for (const field of addressFields) {
+                if (req.body[field] !== undefined) {
+                    address[field] = req.body[field];
+                }
+            }
+            await address.save();
+
+            return res.status(200).json({
+                message: "Address updated successfully",
+                address
+            });
+
+        } catch (error) {
+            console.log("Error while updating address", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            });
+        }
+    }
+
+    static async setDefaultAddress(req, res) {
+
+        const t = await db.sequelize.transaction();
+
+        try {
+
+            const userId = req.customer.id;
+
+            const address = await Address.findOne({
+                where: { id: req.params.addressId, userId },
+                transaction: t
+            });
+
+            if (!address) {
+                await t.rollback();
+                return res.status(404).json({
+                    message: "Address not found"
+                });
+            }
+
+            await Address.update({ isDefault: false }, { where: { userId, isDefault: true }, transaction: t });
+            address.isDefault = true;
+            await address.save({ transaction: t });
+
+            await t.commit();
+
+            return res.status(200).json({
+                message: "Default address updated successfully",
+                address
+            });
+
+        } catch (error) {
+            await t.rollback();
+            console.log("Error while setting default address", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            });
+        }
+    }
+
+    static async deleteAddress(req, res) {
+
+        const t = await db.sequelize.transaction();
+
+        try {
+
+            const userId = req.customer.id;
+
+            const address = await Address.findOne({
+                where: { id: req.params.addressId, userId },
+                transaction: t
+            });
+
+            if (!address) {
+                await t.rollback();
+                return res.status(404).json({
+                    message: "Address not found"
+                });
+            }
+
+            await address.destroy({ transaction: t });
+
+            // Promote the oldest remaining address so there is still a default
+            if (address.isDefault) {
+                const next = await Address.findOne({
+                    where: { userId },
+                    order: [["createdAt", "ASC"]],
+                    transaction: t
+                });
+
+                if (next) {
+                    next.isDefault = true;
+                    await next.save({ transaction: t });
+                }
+            }
+
+            await t.commit();
+
+            return res.status(200).json({
+                message: "Address deleted successfully"
+            });
+
+        } catch (error) {
+            await t.rollback();
+            console.log("Error while deleting address", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            });
+        }
+    }
+}
+
+module.exports = addressController;
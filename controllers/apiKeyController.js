@@ -0,0 +1,180 @@
+const { validationResult } = require("express-validator");
+
+const db = require('../models');
+const ApiKey = db.ApiKey;
+const Permission = db.Permission;
+const User = db.User;
+const apiKeys = require('../services/apiKeys');
+const { getRolePermissions } = require('../services/permissions');
+
+class apiKeyController {
+
+    static async createApiKey(req, res) {
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+
+            const { name, scopes, expiresAt } = req.body;
+
+            const permissionRecords = await Permission.findAll({ where: { name: scopes } });
+            const unknown = scopes.filter(scope => !permissionRecords.some(record => record.name === scope));
+
+            if (unknown.length > 0) {
+                return res.status(400).json({
+                    message: `Unknown scopes: ${unknown.join(", ")}`
+                });
+            }
+
+            // A key can never do more than the admin who created it
+            const granted = await getRolePermissions(req.user.role);
+            const notGranted = scopes.filter(scope => !granted.has(scope));
+
+            if (notGranted.length > 0) {
+                return res.status(403).json({
+                    message: `You cannot grant scopes you do not hold: ${notGranted.join(", ")}`
+                });
+            }
+
+            const { key, prefix, keyHash } = apiKeys.generateKey();
+
+            const apiKey = await ApiKey.create({
+                name,
+                prefix,
+                keyHash,
+                scopes: [...new Set(scopes)],
+                expiresAt: expiresAt || null,
+                createdById: req.user.id
+            });
+
+            return res.status(201).json({
+                message: "API key created. Copy the key now, it is shown only once",
+                key,
+                apiKey: await ApiKey.findByPk(apiKey.id)
+            });
+
+        } catch (error) {
+            console.log("Error while creating API key", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            });
+        }
+    }
+
+    static async getAllApiKeys(req, res) {
+        try {
+
+            const apiKeyList = await ApiKey.findAll({
+                include: [
+                    {
+                        model: User,
+                        as: "createdBy",
+                        attributes: ["id", "email"]
+                    }
+                ],
+                order: [["createdAt", "DESC"]]
+            });
+
+            return res.status(200).json({
+                message: "API keys retrieved successfully",
+                apiKeys: apiKeyList
+            });
+
+        } catch (error) {
+            console.log("Error while fetching API keys", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            });
+        }
+    }
+
+    // Issues a new secret for the same key; the previous secret stops working immediately.
+    static async rotateApiKey(req, res) {
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+
+            const apiKey = await ApiKey.findByPk(req.params.id);
+
+            if (!apiKey) {
+                return res.status(404).json({
+                    message: "API key not found"
+                });
+            }
+
+            if (apiKey.status !== "active") {
+                return res.status(400).json({
+                    message: `API key is ${apiKey.status} and cannot be rotated`
+                });
+            }
+
+            const { key, prefix, keyHash } = apiKeys.generateKey();
+
+            await apiKey.update({
+                prefix,
+                keyHash,
+                rotatedAt: new Date(),
+                lastUsedAt: null,
+                lastUsedIp: null
+            });
+
+            return res.status(200).json({
+                message: "API key rotated. Copy the new key now, it is shown only once",
+                key,
+                apiKey: await ApiKey.findByPk(apiKey.id)
+            });
+
+        } catch (error) {
+            console.log("Error while rotating API key", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            });
+        }
+    }
+
+    static async revokeApiKey(req, res) {
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+
+            const apiKey = await ApiKey.findByPk(req.params.id);
+
+            if (!apiKey) {
+                return res.status(404).json({
+                    message: "API key not found"
+                });
+            }
+
+            if (apiKey.revokedAt) {
+                return res.status(400).json({
+                    message: "API key is already revoked"
+                });
+            }
+
+            await apiKey.update({ revokedAt: new Date() });
+
+            return res.status(200).json({
+                message: "API key revoked successfully"
+            });
+
+        } catch (error) {
+            console.log("Error while revoking API key", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            });
+        }
+    }
+}
+
+module.exports = apiKeyController;
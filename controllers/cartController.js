@@ -1,25 +1,16 @@
 const db = require('../models');
 const Cart = db.Cart;
 const Product = db.Product;
-const User = db.User;
 
 class cartController {
     static async addToCart(req, res) {
         try {
-            const { email, productId, quantity } = req.body;
-            console.log("Request received:", email, productId, quantity);
+            const user = req.customer;
+            const { productId, quantity } = req.body;
 
-            if (!email || !productId || !quantity) {
+            if (!productId || !quantity) {
                 return res.status(400).json({
-                    message: "Email, ProductId, and quantity are required"
-                });
-            }
-
-            const user = await User.findOne({ where: { email } });
-
-            if (!user) {
-                return res.status(404).json({
-                    message: "User not found"
+                    message: "ProductId and quantity are required"
                 });
             }
 
@@ -53,7 +44,7 @@ class cartController {
 
             if (cartItem) {
                 cartItem.quantity += requestedQuantity;
-                cartItem.price += totalPrice;
+                cartItem.price = Number(cartItem.price) + totalPrice;
                 await cartItem.save();
             } else {
                 cartItem = await Cart.create({
@@ -81,23 +72,7 @@ class cartController {
     static async getallCartItems(req, res) {
         try {
 
-            const { email } = req.query;
-
-            if (!email) {
-                return res.status(400).json({
-                    message: "Email is required"
-                })
-            }
-
-            const user = await User.findOne({
-                where: { email }
-            });
-
-            if (!user) {
-                return res.status(404).json({
-                    message: "User not found"
-                })
-            }
+            const user = req.customer;
 
             const cartItems = await Cart.findAll({
                 where: {
@@ -141,23 +116,12 @@ class cartController {
     static async updateCartQuantity(req, res) {
         try {
 
-            const { email, productId, quantity } = req.body;
+            const user = req.customer;
+            const { productId, quantity } = req.body;
 
-            if (!email || !productId || !quantity) {
+            if (!productId || !quantity) {
                 return res.status(400).json({
-                    message: "Email, productId and quantity are required"
-                })
-            }
-
-            const user = await User.findOne({
-                where: {
-                    email
-                }
-            });
-
-            if (!user) {
-                return res.status(404).json({
-                    message: "User not found"
+                    message: "ProductId and quantity are required"
                 })
             }
 
@@ -214,25 +178,12 @@ class cartController {
     static async removeCartItem(req, res) {
         try {
 
-            const { email, cartId } = req.params;
+            const user = req.customer;
+            const { cartId } = req.params;
 
-            if (!email || !cartId) {
+            if (!cartId) {
                 return res.status(400).json({
-                    message: "Email and CartId are required"
-                });
-            }
-
-            const user = await User.findOne({
-                where:
-                {
-                    email
-
-                }
-            });
-
-            if (!user) {
-                return res.status(404).json({
-                    message: "User not found"
+                    message: "CartId is required"
                 });
             }
 
@@ -0,0 +1,222 @@
+const bcrypt = require("bcryptjs");
+const { validationResult } = require("express-validator");
+const { Op } = require("sequelize");
+
+const db = require('../models');
+const Invitation = db.Invitation;
+const User = db.User;
+const Role = db.Role;
+const invitations = require('../services/invitations');
+const { permissionsNotHeld } = require('../services/permissions');
+const authConfig = require('../config/auth');
+
+class invitationController {
+
+    static async createInvitation(req, res) {
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+
+            const { email, role } = req.body;
+
+            const roleRecord = await Role.findOne({ where: { name: role } });
+
+            if (!roleRecord) {
+                return res.status(400).json({
+                    message: `Role ${role} does not exist`
+                });
+            }
+
+            // An invitation can never give more than the inviter holds
+            const notHeld = await permissionsNotHeld(req.user, role);
+
+            if (notHeld.length > 0) {
+                return res.status(403).json({
+                    message: `You cannot invite a ${role} without: ${notHeld.join(", ")}`
+                });
+            }
+
+            const existingUser = await User.findOne({ where: { email } });
+
+            if (existingUser) {
+                return res.status(400).json({
+                    message: "Email already registered"
+                });
+            }
+
+            // Only one open invitation per email
+            await Invitation.update(
+                { revokedAt: new Date() },
+                { where: { email, acceptedAt: null, revokedAt: null } }
+            );
+
+            const invitation = await Invitation.create({
+                email,
+                role,
+                invitedById: req.user.id,
+                expiresAt: new Date(Date.now() + authConfig.invitationTtlHours * 60 * 60 * 1000)
+            });
+
+            await invitations.sendInvitationEmail(invitation);
+
+            return res.status(201).json({
+                message: "Invitation sent successfully",
+                invitation
+            });
+
+        } catch (error) {
+            console.log("Error while creating invitation", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            });
+        }
+    }
+
+    static async getAllInvitations(req, res) {
+        try {
+
+            const { status } = req.query;
+            const now = new Date();
+
+            const filters = {
+                pending: { acceptedAt: null, revokedAt: null, expiresAt: { [Op.gt]: now } },
+                accepted: { acceptedAt: { [Op.ne]: null } },
+                revoked: { revokedAt: { [Op.ne]: null } },
+                expired: { acceptedAt: null, revokedAt: null, expiresAt: { [Op.lte]: now } }
+            };
+
+            const invitationList = await Invitation.findAll({
+                where: filters[status] || {},
+                include: [
+                    {
+                        model: User,
+                        as: "invitedBy",
+                        attributes: ["id", "email"]
+                    }
+                ],
+                order: [["createdAt", "DESC"]]
+            });
+
+            return res.status(200).json({
+                message: "Invitations retrieved successfully",
+                invitations: invitationList
+            });
+
+        } catch (error) {
+            console.log("Error while fetching invitations", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            });
+        }
+    }
+
+    static async revokeInvitation(req, res) {
+        try {
+
+            const { id } = req.params;
+
+            const invitation = await Invitation.findByPk(id);
+
+            if (!invitation) {
+                return res.status(404).json({
+                    message: "Invitation not found"
+                });
+            }
+
+            if (invitation.status !== "pending") {
+                return res.status(400).json({
+                    message: `Invitation is already ${invitation.status}`
+                });
+            }
+
+            invitation.revokedAt = new Date();
+            await invitation.save();
+
+            return res.status(200).json({
+                message: "Invitation revoked successfully",
+                invitation
+            });
+
+        } catch (error) {
+            console.log("Error while revoking invitation", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            });
+        }
+    }
+
+    static async acceptInvitation(req, res) {
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const t = await db.sequelize.transaction();
+
+        try {
+
+            const { token, password } = req.body;
+
+            const decoded = invitations.decodeInvitationToken(token);
+
+            const invitation = decoded && await Invitation.findOne({
+                where: { id: decoded.inv, email: decoded.email },
+                transaction: t,
+                lock: t.LOCK.UPDATE
+            });
+
+            if (!invitation || invitation.status !== "pending") {
+                await t.rollback();
+                return res.status(400).json({
+                    message: "Invalid or expired invitation"
+                });
+            }
+
+            const existingUser = await User.findOne({ where: { email: invitation.email }, transaction: t });
+
+            if (existingUser) {
+                await t.rollback();
+                return res.status(400).json({
+                    message: "Email already registered"
+                });
+            }
+
+            // The invitee proved ownership of the address by opening the emailed link
+            const newUser = await User.create({
+                email: invitation.email,
+                password: await bcrypt.hash(password, 10),
+                role: invitation.role,
+                emailVerifiedAt: new Date()
+            }, { transaction: t });
+
+            invitation.acceptedAt = new Date();
+            invitation.acceptedUserId = newUser.id;
+            await invitation.save({ transaction: t });
+
+            await t.commit();
+
+            return res.status(201).json({
+                message: "Invitation accepted successfully",
+                userData: {
+                    id: newUser.id,
+                    email: newUser.email,
+                    role: newUser.role
+                }
+            });
+
+        } catch (error) {
+            await t.rollback();
+            console.log("Error while accepting invitation", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            });
+        }
+    }
+}
+
+module.exports = invitationController;
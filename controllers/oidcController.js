@@ -0,0 +1,254 @@
+const crypto = require('crypto');
+const bcrypt = require("bcryptjs");
+const { validationResult } = require("express-validator");
+
+const db = require('../models');
+const User = db.User;
+const UserIdentity = db.UserIdentity;
+const oidc = require('../services/oidc');
+const tokenService = require('../services/tokenService');
+const twoFactor = require('../services/twoFactor');
+
+const identityAttributes = ["id", "provider", "email", "lastLoginAt", "createdAt"];
+
+// Finds the user behind an external identity, linking it to an existing account with the
+// same verified email or creating a new customer. Returns { user } or { status, message }.
+const resolveUser = async (provider, claims) => {
+    const identity = await UserIdentity.findOne({
+        where: { provider: provider.name, subject: claims.sub },
+        include: [{ model: User, as: "user" }]
+    });
+
+    if (identity) {
+        identity.lastLoginAt = new Date();
+        identity.email = claims.email || identity.email;
+        await identity.save();
+        return { user: identity.user };
+    }
+
+    if (!claims.email || claims.email_verified !== true) {
+        return { status: 403, message: `${provider.displayName} did not confirm a verified email address` };
+    }
+
+    const t = await db.sequelize.transaction();
+
+    try {
+        let user = await User.findOne({ where: { email: claims.email }, transaction: t });
+
+        // Linking to an unverified local account would hand it to whoever registered that email first
+        if (user && !user.verified) {
+            await t.rollback();
+            return {
+                status: 409,
+                message: "An account with this email exists but is not verified. Sign in with your password or verify your email first"
+            };
+        }
+
+        if (!user) {
+            user = await User.create({
+                email: claims.email,
+                password: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10),
+                role: "customer",
+                emailVerifiedAt: new Date(),
+                firstName: claims.given_name || null,
+                lastName: claims.family_name || null
+            }, { transaction: t });
+        }
+
+        await UserIdentity.create({
+            userId: user.id,
+            provider: provider.name,
+            subject: claims.sub,
+            email: claims.email,
+            lastLoginAt: new Date()
+        }, { transaction: t });
+
+        await t.commit();
+        return { user };
+    } catch (error) {
+        await t.rollback();
+        throw error;
+    }
+};
+
+class oidcController {
+
+    static async getProviders(req, res) {
+        return res.status(200).json({
+            message: "Sign-in providers retrieved successfully",
+            providers: oidc.listProviders()
+        });
+    }
+
+    // Redirects the browser to the provider's login page.
+    static async authorize(req, res) {
+        try {
+
+            const provider = oidc.getProvider(req.params.provider);
+
+            if (!provider) {
+                return res.status(404).json({
+                    message: "Unknown sign-in provider"
+                });
+            }
+
+            return res.redirect(302, await oidc.createAuthorizationUrl(provider));
+
+        } catch (error) {
+            console.log("Error while starting OpenID Connect login", error);
+            return res.status(502).json({
+                message: "Sign-in provider is unavailable"
+            });
+        }
+    }
+
+    // The provider redirects back here with the authorization code.
+    static async callback(req, res) {
+        try {
+
+            const provider = oidc.getProvider(req.params.provider);
+
+            if (!provider) {
+                return res.status(404).json({
+                    message: "Unknown sign-in provider"
+                });
+            }
+
+            const { code, state, error, error_description } = req.query;
+
+            if (error) {
+                return res.status(400).json({
+                    message: error_description || `Sign-in was not completed: ${error}`
+                });
+            }
+
+            const loginState = await oidc.consumeLoginState(provider, state);
+
+            if (!loginState || !code) {
+                return res.status(400).json({
+                    message: "Invalid or expired sign-in attempt. Please start again"
+                });
+            }
+
+            let claims;
+            try {
+                claims = await oidc.completeLogin(provider, loginState, code);
+            } catch (loginError) {
+                console.log("OpenID Connect code exchange failed", loginError);
+                return res.status(401).json({
+                    message: "Sign-in with the provider failed"
+                });
+            }
+
+            const result = await resolveUser(provider, claims);
+
+            if (!result.user) {
+                return res.status(result.status).json({
+                    message: result.message
+                });
+            }
+
+            const user = result.user;
+
+            if (user.status !== "active") {
+                return res.status(403).json({
+                    message: "Account suspended"
+                });
+            }
+
+            if (user.twoFactorEnabled) {
+                return res.status(200).json({
+                    message: "Two-factor authentication required",
+                    twoFactorRequired: true,
+                    challengeToken: twoFactor.signChallengeToken(user)
+                });
+            }
+
+            if (twoFactor.mustEnroll(user)) {
+                return res.status(403).json({
+                    message: "Two-factor authentication must be set up before signing in",
+                    twoFactorSetupRequired: true,
+                    enrollmentToken: twoFactor.signEnrollmentToken(user)
+                });
+            }
+
+            const { accessToken, refreshToken } = await tokenService.createSession(user, req);
+
+            return res.status(200).json({
+                message: "Login Successful",
+                userData: {
+                    id: user.id,
+                    email: user.email,
+                    role: user.role,
+                    verified: user.verified
+                },
+                Token: accessToken,
+                refreshToken,
+                provider: provider.name
+            });
+
+        } catch (error) {
+            console.log("Error during OpenID Connect callback", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            });
+        }
+    }
+
+    static async getMyIdentities(req, res) {
+        try {
+
+            const identities = await UserIdentity.findAll({
+                where: { userId: req.customer.id },
+                attributes: identityAttributes,
+                order: [["createdAt", "ASC"]]
+            });
+
+            return res.status(200).json({
+                message: "Linked identities retrieved successfully",
+                identities
+            });
+
+        } catch (error) {
+            console.log("Error while fetching linked identities", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            });
+        }
+    }
+
+    static async unlinkIdentity(req, res) {
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+
+            const identity = await UserIdentity.findOne({
+                where: { id: req.params.identityId, userId: req.customer.id }
+            });
+
+            if (!identity) {
+                return res.status(404).json({
+                    message: "Linked identity not found"
+                });
+            }
+
+            await identity.destroy();
+
+            return res.status(200).json({
+                message: "Identity unlinked successfully"
+            });
+
+        } catch (error) {
+            console.log("Error while unlinking identity", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            });
+        }
+    }
+}
+
+module.exports = oidcController;
@@ -1,8 +1,79 @@
+const bcrypt = require("bcryptjs");
+const { validationResult } = require("express-validator");
+
 const db = require('../models');
 const { sequelize } = require('../models');
 const Order = db.Order;
 const User = db.User;
-const Product = db.Product;
+const orderService = require('../services/orderService');
+const orderLifecycle = require('../services/orderLifecycle');
+const stockReservations = require('../services/stockReservations');
+const payments = require('../services/payments');
+const refunds = require('../services/refunds');
+const shipments = require('../services/shipments');
+const guestOrders = require('../services/guestOrders');
+const emailVerification = require('../services/emailVerification');
+
+// Best effort: the sweeper returns the stock anyway once the reservation expires.
+const releaseReservationAfterFailure = (user) => stockReservations.releaseForUser(user)
+    .catch(error => console.log("Error while releasing cart reservation", error));
+
+// Sends the response for a new order whose payment authorization was just committed. The order is
+// only paid (and confirmed) once the capture succeeds; a payment that needs the customer's
+// authentication is left for confirmOrderPayment.
+const respondWithPayment = async (res, order, payment, extra = {}) => {
+    try {
+
+        if (payment.status === "requires_action") {
+            return res.status(202).json({
+                message: "Order placed. Complete the payment authentication to confirm it",
+                order: orderService.toOrderDetails(order),
+                payment: payments.toPaymentDetails(payment),
+                ...extra
+            });
+        }
+
+        const settled = await orderService.settleOrderPayment(order, payment);
+
+        if (!settled.payment) {
+            return res.status(settled.status).json({
+                message: settled.message,
+                order: orderService.toOrderDetails(order)
+            });
+        }
+
+        return res.status(201).json({
+            message: "Order placed successfully",
+            order: orderService.toOrderDetails(order),
+            payment: payments.toPaymentDetails(settled.payment),
+            ...extra
+        });
+
+    } catch (error) {
+        console.log("Error while capturing payment", error);
+        return res.status(500).json({
+            message: "Internal server error"
+        });
+    }
+};
+
+// Answers the payment challenge of an order and sends the outcome.
+const respondToPaymentChallenge = async (res, order, code) => {
+    const result = await orderService.confirmOrderPayment(order, { code });
+
+    if (!result.payment) {
+        return res.status(result.status).json({
+            message: result.message,
+            order: orderService.toOrderDetails(order)
+        });
+    }
+
+    return res.status(200).json({
+        message: "Payment completed and order confirmed",
+        order: orderService.toOrderDetails(order),
+        payment: payments.toPaymentDetails(result.payment)
+    });
+};
 
 class orderController {
 
@@ -12,114 +83,221 @@ class orderController {
 
         try {
             
-            const { email, productId, quantity, address, city, zipcode, deliveryDate, courierName } = req.body;
+            const user = req.customer;
+            const { deliveryDate, courierName, paymentToken } = req.body;
+            const items = orderService.normalizeItems(req.body);
 
-            if (!email || !productId || !quantity || !address || !city || !zipcode || !deliveryDate || !courierName) {
+            if (items.length === 0 || !deliveryDate || !paymentToken) {
+                await t.rollback();
                 return res.status(400).json({
-                    message: "All fields (email, productId, quantity, address, city, zipcode, deliveryDate, courierName) are required"
+                    message: "All fields (items or productId and quantity, deliveryDate, paymentToken) are required"
                 });
             }
 
-            const user = await User.findOne({
-                where: {
-                    email
-                },
-                transaction: t
-            });
+            const shipping = await orderService.resolveShippingAddress(user, req.body, { transaction: t });
 
-            if(!user) {
-                return res.status(404).json({
-                    message: "User not found"
+            if(!shipping.address) {
+                await t.rollback();
+                return res.status(shipping.status).json({
+                    message: shipping.message
                 })
             }
 
-            const product = await Product.findOne({
-                where: {
-                    id: productId
-                }
-            });
+            const result = await orderService.createOrder({
+                userId: user.id,
+                placedById: req.user.id,
+                items,
+                address: shipping.address,
+                city: shipping.city,
+                zipcode: shipping.zipcode,
+                deliveryDate,
+                courierName
+            }, { transaction: t });
 
-            if(!product) {
-                return res.status(404).json({
-                    message: "Product not found"
+            if(!result.order) {
+                await t.rollback();
+                return res.status(result.status).json({
+                    message: result.message
                 })
             }
 
-            if(product.stock < quantity) {
-                return res.status(400).json({
-                    message: `Only ${product.stock} items left in stock`
+            const authorization = await payments.authorizePayment(result.order, { paymentToken, transaction: t });
+
+            if(!authorization.payment) {
+                await t.rollback();
+                return res.status(authorization.status).json({
+                    message: authorization.message
                 })
             }
 
-            const totalAmount = product.price * quantity;
+            await t.commit();
 
-            product.stock -= quantity;
-            await product.save({ transaction: t });
+            return respondWithPayment(res, result.order, authorization.payment);
 
-            const order = await Order.create({
-                userId: user.id,
-                productId,
-                totalAmount,
-                quantity,
-                status: "Pending",
-                address,
-                city,
-                zipcode,
+        } catch (error) {
+            
+            await t.rollback();
+            console.log("Error while placing order", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            })
+        }
+    }
+
+    // Orders everything in the customer's cart at current prices and empties the cart.
+    static async checkout(req, res) {
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const t = await sequelize.transaction();
+
+        try {
+
+            const user = req.customer;
+            const { deliveryDate, courierName, acceptPriceChanges, paymentToken } = req.body;
+
+            const shipping = await orderService.resolveShippingAddress(user, req.body, { transaction: t });
+
+            if (!shipping.address) {
+                await t.rollback();
+                return res.status(shipping.status).json({
+                    message: shipping.message
+                });
+            }
+
+            const result = await orderService.checkoutCart(user, {
+                address: shipping.address,
+                city: shipping.city,
+                zipcode: shipping.zipcode,
                 deliveryDate,
-                courierName
-            }, { transaction: t } );
+                courierName,
+                acceptPriceChanges: acceptPriceChanges === true
+            }, { transaction: t });
+
+            if (result.lineErrors) {
+                await t.rollback();
+                // A failed checkout does not keep holding stock the customer may no longer want
+                await releaseReservationAfterFailure(user);
+                return res.status(409).json({
+                    message: "Some items in your cart cannot be ordered",
+                    errors: result.lineErrors
+                });
+            }
+
+            if (!result.order) {
+                await t.rollback();
+                await releaseReservationAfterFailure(user);
+                return res.status(result.status).json({
+                    message: result.message
+                });
+            }
+
+            // A declined card rolls everything back, so the cart is still there to try again
+            const authorization = await payments.authorizePayment(result.order, { paymentToken, transaction: t });
+
+            if (!authorization.payment) {
+                await t.rollback();
+                await releaseReservationAfterFailure(user);
+                return res.status(authorization.status).json({
+                    message: authorization.message
+                });
+            }
+
+            await t.commit();
+
+            return respondWithPayment(res, result.order, authorization.payment);
+
+        } catch (error) {
+            await t.rollback();
+            console.log("Error during checkout", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            });
+        }
+    }
+
+    // Holds the stock for the whole cart while the customer completes checkout.
+    static async reserveCart(req, res) {
+
+        const t = await sequelize.transaction();
+
+        try {
+
+            const result = await stockReservations.reserveCart(req.customer, { transaction: t });
+
+            if (result.lineErrors) {
+                await t.rollback();
+                return res.status(409).json({
+                    message: "Some items in your cart cannot be reserved",
+                    errors: result.lineErrors
+                });
+            }
+
+            if (!result.reservations) {
+                await t.rollback();
+                return res.status(result.status).json({
+                    message: result.message
+                });
+            }
 
             await t.commit();
 
             return res.status(201).json({
-                message: "Order placed successfully",
-                order
+                message: "Cart reserved. Complete checkout before the reservation expires",
+                expiresAt: result.expiresAt,
+                items: result.reservations.map(reservation => ({
+                    productId: reservation.productId,
+                    quantity: reservation.quantity
+                }))
             });
 
         } catch (error) {
-            
-            console.log("Error while placing order", error);
+            await t.rollback();
+            console.log("Error while reserving cart", error);
             return res.status(500).json({
                 message: "Internal server error"
-            })
+            });
         }
     }
 
-    static async getallOrdersByEmail( req, res ) {
+    static async releaseCartReservation(req, res) {
         try {
-            
-            const { email } = req.params;
 
-            if(!email) {
-                return res.status(400).json({
-                    message: "Email is required"
-                })
+            const released = await stockReservations.releaseForUser(req.customer);
+
+            if (released === 0) {
+                return res.status(404).json({
+                    message: "You have no active reservation"
+                });
             }
 
-            const user = await User.findOne({
-                where: {
-                    email
-                }
+            return res.status(200).json({
+                message: "Reservation released"
             });
 
-            if(!user) {
-                return res.status(400).json({
-                    message: "User not found"
-                })
-            }
+        } catch (error) {
+            console.log("Error while releasing cart reservation", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            });
+        }
+    }
+
+    static async getallOrdersByEmail( req, res ) {
+        try {
+            
+            const user = req.customer;
 
             const orders = await Order.findAll({
                 where: {
                     userId: user.id
                 },
-                include: [
-                    {
-                        model: Product,
-                        as: "product",
-                        attributes: ["name"]
-                    }
-                ],
-                attributes: ["quantity", "totalAmount", "status", "address", "city", "zipcode", "deliveryDate", "courierName"]
+                include: [orderService.itemsInclude],
+                attributes: ["id", "totalAmount", "status", "paymentStatus", "refundedAmount", "address", "city", "zipcode", "deliveryDate", "courierName", "cancellationReason", "cancelledAt", "createdAt"],
+                order: [["createdAt", "DESC"]]
             });
 
             if(orders.length === 0) {
@@ -130,15 +308,7 @@ class orderController {
 
             const orderDetails = orders.map( order => ({
                 email: user.email,
-                productName: order.product.name,
-                quantity: order.quantity,
-                totalAmount: order.totalAmount,
-                status: order.status,
-                address: order.address,
-                city: order.city,
-                zipcode: order.zipcode,
-                deliveryDate: order.deliveryDate,
-                courierName: order.courierName
+                ...orderService.toOrderDetails(order)
             }));
 
             return res.status(200).json({
@@ -163,13 +333,10 @@ class orderController {
                         as: "user",
                         attributes: ["email"] 
                     },
-                    {
-                        model: Product,
-                        as: "product", 
-                        attributes: ["name"] 
-                    }
+                    orderService.itemsInclude
                 ],
-                attributes: ["id", "quantity", "totalAmount", "status", "address", "city", "zipcode", "deliveryDate", "courierName", "createdAt"]
+                attributes: ["id", "guestEmail", "totalAmount", "status", "paymentStatus", "refundedAmount", "address", "city", "zipcode", "deliveryDate", "courierName", "cancellationReason", "cancelledAt", "createdAt"],
+                order: [["createdAt", "DESC"]]
             });
     
             if (orders.length === 0) {
@@ -179,18 +346,9 @@ class orderController {
             }
     
             const orderDetails = orders.map(order => ({
-                orderId: order.id,
-                userEmail: order.user.email,
-                productName: order.product.name,
-                quantity: order.quantity,
-                totalAmount: order.totalAmount,
-                status: order.status,
-                address: order.address,
-                city: order.city,
-                zipcode: order.zipcode,
-                deliveryDate: order.deliveryDate,
-                courierName: order.courierName,
-                orderDate: order.createdAt
+                userEmail: order.user ? order.user.email : order.guestEmail,
+                guest: !order.user,
+                ...orderService.toOrderDetails(order)
             }));
     
             return res.status(200).json({
@@ -210,58 +368,27 @@ class orderController {
     static async getOrderById( req, res) {
         try {
             
-            const { email, orderId } = req.params;
-
-            const user = await User.findOne({
-                where: {
-                    email: email
-                },
-                attributes: [
-                    "id",
-                    "email"
-                ]
-            });
-
-            if (!user) {
-                return res.status(404).json({
-                    message: "User not found with the given email"
-                });
-            }
+            const user = req.customer;
+            const { orderId } = req.params;
 
             const order = await Order.findOne({
                 where: {
                     id: orderId,
                     userId: user.id
                 },
-                include: [
-                    {
-                        model: Product,
-                        as: "product",
-                        attributes: ["name"]
-                    }
-                ],
-                attributes: ["id", "quantity", "totalAmount", "status", "address", "city", "zipcode", "deliveryDate", "courierName", "createdAt"]
+                include: [orderService.itemsInclude, orderLifecycle.historyInclude, refunds.refundsInclude, shipments.shipmentsInclude],
+                attributes: ["id", "totalAmount", "status", "paymentStatus", "refundedAmount", "address", "city", "zipcode", "deliveryDate", "courierName", "cancellationReason", "cancelledAt", "createdAt"]
             });
 
             if(!order) {
                 return res.status(404).json({
-                    message: "Order not found for the given email and orderId"
+                    message: "Order not found"
                 })
             }
 
             const orderDetails = {
-                orderId: order.id,
                 userEmail: user.email,
-                productName: order.product ? order.product.name : "N/A",
-                quantity: order.quantity,
-                totalAmount: order.totalAmount,
-                status: order.status,
-                address: order.address,
-                city: order.city,
-                zipcode: order.zipcode,
-                deliveryDate: order.deliveryDate,
-                courierName: order.courierName,
-                orderDate: order.createdAt
+                ...orderService.toOrderDetails(order)
             };
     
             return res.status(200).json({
@@ -279,55 +406,44 @@ class orderController {
     }
     
     static async cancelOrderById ( req, res ) {
-        try {
-            
-            const { email, orderId } = req.params;
 
-            const user = await User.findOne({
-                where: 
-                { email: email 
+        const t = await sequelize.transaction();
 
-                },
-                attributes: 
-                [
-                    "id", 
-                    "email"
-                ]
-            });
-    
-            if (!user) {
-                return res.status(404).json({
-                    message: "User not found with the given email"
-                });
-            }
+        try {
+            
+            const user = req.customer;
+            const { orderId } = req.params;
 
             const order = await Order.findOne({
                 where: {
                     id: orderId,
                     userId: user.id
                 },
-                attributes: [
-                    "id", 
-                    "status"
-                ]
+                transaction: t,
+                lock: t.LOCK.UPDATE
             });
     
             if (!order) {
+                await t.rollback();
                 return res.status(404).json({
-                    message: "Order not found for the given email and orderId"
+                    message: "Order not found"
                 });
             }
 
-            if (order.status === "Cancelled") {
-                return res.status(400).json({
-                    message: "Order is already cancelled"
+            const result = await orderService.cancelOrder(order, {
+                changedById: req.user.id,
+                reason: req.body.reason,
+                transaction: t
+            });
+
+            if (!result.order) {
+                await t.rollback();
+                return res.status(result.status).json({
+                    message: result.message
                 });
             }
 
-            await Order.update(
-                { status: "Cancelled" },
-                { where: { id: orderId, userId: user.id } }
-            ); 
+            await t.commit();
 
             return res.status(200).json({
                 message: "Order cancelled successfully",
@@ -338,12 +454,558 @@ class orderController {
 
         } catch (error) {
             
+            await t.rollback();
             console.log("Error while cancelling order", error);
             return res.status(500).json({
                 message: "Internal server error"
             })
         }
     }
+
+    // Staff move orders through the lifecycle; invalid moves are rejected with the allowed ones.
+    static async updateOrderStatus(req, res) {
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const t = await sequelize.transaction();
+
+        try {
+
+            const { orderId } = req.params;
+            const { status, note } = req.body;
+
+            const order = await Order.findByPk(orderId, {
+                transaction: t,
+                lock: t.LOCK.UPDATE
+            });
+
+            if (!order) {
+                await t.rollback();
+                return res.status(404).json({
+                    message: "Order not found"
+                });
+            }
+
+            if (status === "Cancelled" && !note) {
+                await t.rollback();
+                return res.status(400).json({
+                    message: "A note with the cancellation reason is required to cancel an order"
+                });
+            }
+
+            // Confirmed means paid; markCaptured moves the order there once the money is taken
+            if (status === "Confirmed" && order.paymentStatus !== "paid") {
+                await t.rollback();
+                return res.status(409).json({
+                    message: `Only paid orders can be confirmed; the payment of this order is ${order.paymentStatus}`
+                });
+            }
+
+            // Cancelling also has to put the items back in stock
+            const result = status === "Cancelled"
+                ? await orderService.cancelOrder(order, { changedById: req.user.id, reason: note, transaction: t })
+                : await orderLifecycle.transitionOrder(order, status, {
+                    changedById: req.user.id,
+                    note,
+                    transaction: t
+                });
+
+            if (!result.order) {
+                await t.rollback();
+                return res.status(result.status).json({
+                    message: result.message
+                });
+            }
+
+            const updatedOrder = await Order.findByPk(orderId, {
+                include: [orderService.itemsInclude, orderLifecycle.historyInclude],
+                transaction: t
+            });
+
+            await t.commit();
+
+            return res.status(200).json({
+                message: `Order moved to ${status}`,
+                order: {
+                    ...orderService.toOrderDetails(updatedOrder),
+                    allowedStatuses: orderLifecycle.allowedTransitions(updatedOrder.status)
+                }
+            });
+
+        } catch (error) {
+            await t.rollback();
+            console.log("Error while updating order status", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            });
+        }
+    }
+
+    // Checkout without an account. The order is tied to a contact email and phone and
+    // can be followed with the signed lookup token returned here and emailed to the guest.
+    static async placeGuestOrder(req, res) {
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const t = await sequelize.transaction();
+
+        try {
+
+            const { email, phone, address, city, zipcode, deliveryDate, courierName, paymentToken } = req.body;
+            const items = orderService.normalizeItems(req.body);
+
+            if (items.length === 0) {
+                await t.rollback();
+                return res.status(400).json({
+                    message: "Provide items or a productId and quantity"
+                });
+            }
+
+            const result = await orderService.createOrder({
+                guestEmail: email,
+                guestPhone: phone,
+                items,
+                address,
+                city,
+                zipcode,
+                deliveryDate,
+                courierName
+            }, { transaction: t });
+
+            if (!result.order) {
+                await t.rollback();
+                return res.status(result.status).json({
+                    message: result.message
+                });
+            }
+
+            const authorization = await payments.authorizePayment(result.order, { paymentToken, transaction: t });
+
+            if (!authorization.payment) {
+                await t.rollback();
+                return res.status(authorization.status).json({
+                    message: authorization.message
+                });
+            }
+
+            await t.commit();
+
+            const order = result.order;
+            const lookupToken = guestOrders.signLookupToken(order);
+
+            try {
+                await guestOrders.sendOrderConfirmation(order, lookupToken);
+            } catch (mailError) {
+                // The order stands either way; the token in the response still works
+                console.log("Error while sending guest order confirmation", mailError);
+            }
+
+            return respondWithPayment(res, order, authorization.payment, { lookupToken });
+
+        } catch (error) {
+            await t.rollback();
+            console.log("Error while placing guest order", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            });
+        }
+    }
+
+    static async getGuestOrder(req, res) {
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+
+            const decoded = guestOrders.decodeLookupToken(req.query.token);
+
+            const order = decoded && await Order.findOne({
+                where: { id: decoded.ord, guestEmail: decoded.email },
+                include: [orderService.itemsInclude, orderLifecycle.historyInclude, shipments.shipmentsInclude]
+            });
+
+            if (!order) {
+                return res.status(404).json({
+                    message: "Invalid or expired order link"
+                });
+            }
+
+            return res.status(200).json({
+                message: "Order details retrieved successfully",
+                order: {
+                    email: order.guestEmail,
+                    ...orderService.toOrderDetails(order),
+                    hasAccount: Boolean(order.userId)
+                }
+            });
+
+        } catch (error) {
+            console.log("Error while fetching guest order", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            });
+        }
+    }
+
+    // Support refunds a whole order or some of its lines, e.g. one damaged item out of three.
+    static async refundOrder(req, res) {
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const t = await sequelize.transaction();
+
+        try {
+
+            const order = await Order.findByPk(req.params.orderId, {
+                transaction: t,
+                lock: t.LOCK.UPDATE
+            });
+
+            if (!order) {
+                await t.rollback();
+                return res.status(404).json({
+                    message: "Order not found"
+                });
+            }
+
+            const { items, reason, restock } = req.body;
+
+            const result = await refunds.refundOrder(order, {
+                items,
+                reason,
+                restock: restock === true,
+                createdById: req.user.id,
+                transaction: t
+            });
+
+            if (!result.refund) {
+                await t.rollback();
+                return res.status(result.status).json({
+                    message: result.message
+                });
+            }
+
+            await t.commit();
+
+            return res.status(201).json({
+                message: "Refund issued successfully",
+                refund: refunds.toRefundDetails(result.refund),
+                order: {
+                    orderId: order.id,
+                    totalAmount: order.totalAmount,
+                    refundedAmount: order.refundedAmount,
+                    paymentStatus: order.paymentStatus
+                }
+            });
+
+        } catch (error) {
+            await t.rollback();
+            console.log("Error while refunding order", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            });
+        }
+    }
+
+    // Warehouse staff hand an order, or part of it for a split delivery, to a carrier.
+    static async createShipment(req, res) {
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const t = await sequelize.transaction();
+
+        try {
+
+            const order = await Order.findByPk(req.params.orderId, {
+                transaction: t,
+                lock: t.LOCK.UPDATE
+            });
+
+            if (!order) {
+                await t.rollback();
+                return res.status(404).json({
+                    message: "Order not found"
+                });
+            }
+
+            const { carrier, trackingNumber, items } = req.body;
+
+            const result = await shipments.createShipment(order, {
+                carrier,
+                trackingNumber,
+                items,
+                createdById: req.user.id,
+                transaction: t
+            });
+
+            if (!result.shipment) {
+                await t.rollback();
+                return res.status(result.status).json({
+                    message: result.message
+                });
+            }
+
+            await t.commit();
+
+            return res.status(201).json({
+                message: "Shipment created successfully",
+                shipment: shipments.toShipmentDetails(result.shipment),
+                orderStatus: order.status
+            });
+
+        } catch (error) {
+            await t.rollback();
+            console.log("Error while creating shipment", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            });
+        }
+    }
+
+    static async refreshShipmentTracking(req, res) {
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const t = await sequelize.transaction();
+
+        try {
+
+            const shipment = await db.Shipment.findOne({
+                where: {
+                    id: req.params.shipmentId,
+                    orderId: req.params.orderId
+                },
+                transaction: t,
+                lock: t.LOCK.UPDATE
+            });
+
+            if (!shipment) {
+                await t.rollback();
+                return res.status(404).json({
+                    message: "Shipment not found"
+                });
+            }
+
+            const result = await shipments.refreshTracking(shipment, { transaction: t });
+
+            if (!result.shipment) {
+                await t.rollback();
+                return res.status(result.status).json({
+                    message: result.message
+                });
+            }
+
+            const refreshed = await db.Shipment.findByPk(shipment.id, {
+                include: shipments.shipmentsInclude.include,
+                transaction: t
+            });
+
+            await t.commit();
+
+            return res.status(200).json({
+                message: result.added > 0 ? `${result.added} new tracking events` : "Tracking is up to date",
+                shipment: shipments.toShipmentDetails(refreshed)
+            });
+
+        } catch (error) {
+            await t.rollback();
+            console.log("Error while refreshing shipment tracking", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            });
+        }
+    }
+
+    // The customer answers the payment challenge (3-D Secure) for one of their orders.
+    static async confirmOrderPayment(req, res) {
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+
+            const order = await Order.findOne({
+                where: { id: req.params.orderId, userId: req.customer.id },
+                include: [orderService.itemsInclude]
+            });
+
+            if (!order) {
+                return res.status(404).json({
+                    message: "Order not found"
+                });
+            }
+
+            return await respondToPaymentChallenge(res, order, req.body.code);
+
+        } catch (error) {
+            console.log("Error while confirming order payment", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            });
+        }
+    }
+
+    static async confirmGuestOrderPayment(req, res) {
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+
+            const decoded = guestOrders.decodeLookupToken(req.body.token);
+
+            const order = decoded && await Order.findOne({
+                where: { id: decoded.ord, guestEmail: decoded.email },
+                include: [orderService.itemsInclude]
+            });
+
+            if (!order) {
+                return res.status(404).json({
+                    message: "Invalid or expired order link"
+                });
+            }
+
+            return await respondToPaymentChallenge(res, order, req.body.code);
+
+        } catch (error) {
+            console.log("Error while confirming guest order payment", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            });
+        }
+    }
+
+    // Turns a guest into a customer account. The order behind the token moves over right away;
+    // other guest orders with the same email follow once the email address is verified.
+    static async convertGuestToAccount(req, res) {
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const t = await sequelize.transaction();
+
+        try {
+
+            const { token, password } = req.body;
+
+            const decoded = guestOrders.decodeLookupToken(token);
+
+            const order = decoded && await Order.findOne({
+                where: { id: decoded.ord, guestEmail: decoded.email },
+                transaction: t
+            });
+
+            if (!order) {
+                await t.rollback();
+                return res.status(404).json({
+                    message: "Invalid or expired order link"
+                });
+            }
+
+            if (order.userId) {
+                await t.rollback();
+                return res.status(400).json({
+                    message: "This order already belongs to an account"
+                });
+            }
+
+            const existingUser = await User.findOne({ where: { email: order.guestEmail }, transaction: t });
+
+            if (existingUser) {
+                await t.rollback();
+                return res.status(409).json({
+                    message: "An account already exists for this email. Sign in to claim your guest orders"
+                });
+            }
+
+            const newUser = await User.create({
+                email: order.guestEmail,
+                password: await bcrypt.hash(password, 10),
+                role: "customer",
+                phone: order.guestPhone
+            }, { transaction: t });
+
+            order.userId = newUser.id;
+            await order.save({ transaction: t });
+
+            await t.commit();
+
+            try {
+                await emailVerification.sendVerificationEmail(newUser);
+            } catch (mailError) {
+                console.log("Error while sending verification email", mailError);
+            }
+
+            return res.status(201).json({
+                message: "Account created. Verify your email to add your other guest orders to it",
+                userData: {
+                    id: newUser.id,
+                    email: newUser.email,
+                    role: newUser.role,
+                    verified: newUser.verified
+                },
+                orderId: order.id
+            });
+
+        } catch (error) {
+            await t.rollback();
+            console.log("Error while converting guest to account", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            });
+        }
+    }
+
+    // For customers who already had an account when they checked out as a guest.
+    static async claimGuestOrders(req, res) {
+        try {
+
+            const user = req.customer;
+
+            if (!user.verified) {
+                return res.status(403).json({
+                    message: "Please verify your email address before claiming guest orders"
+                });
+            }
+
+            const claimed = await orderService.attachGuestOrders(user);
+
+            return res.status(200).json({
+                message: claimed > 0 ? `${claimed} guest order(s) added to your account` : "No guest orders found for your email",
+                claimed
+            });
+
+        } catch (error) {
+            console.log("Error while claiming guest orders", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            });
+        }
+    }
 }
 
 module.exports = orderController;
\ No newline at end of file
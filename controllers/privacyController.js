@@ -0,0 +1,262 @@
+const { validationResult } = require("express-validator");
+
+const db = require('../models');
+const ErasureRequest = db.ErasureRequest;
+const User = db.User;
+const dataExport = require('../services/dataExport');
+const userAdmin = require('../services/userAdmin');
+const { sendMail } = require('../services/mailer');
+
+class privacyController {
+
+    // Subject access export of the authenticated customer, as JSON or a ZIP of JSON files.
+    static async exportMyData(req, res) {
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+
+            const data = await dataExport.collectUserData(req.customer);
+            const fileName = `data-export-${req.customer.id}-${data.exportedAt.slice(0, 10)}`;
+
+            if (req.query.format === "zip") {
+                res.set("Content-Type", "application/zip");
+                res.set("Content-Disposition", `attachment; filename="${fileName}.zip"`);
+                return res.status(200).send(dataExport.buildZipArchive(data));
+            }
+
+            res.set("Content-Disposition", `attachment; filename="${fileName}.json"`);
+            return res.status(200).json(data);
+
+        } catch (error) {
+            console.log("Error while exporting user data", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            });
+        }
+    }
+
+    static async requestErasure(req, res) {
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+
+            const pendingRequest = await ErasureRequest.findOne({
+                where: { userId: req.customer.id, status: "pending" }
+            });
+
+            if (pendingRequest) {
+                return res.status(409).json({
+                    message: "An erasure request is already pending",
+                    erasureRequest: pendingRequest
+                });
+            }
+
+            const erasureRequest = await ErasureRequest.create({
+                userId: req.customer.id,
+                status: "pending",
+                reason: req.body.reason || null
+            });
+
+            return res.status(201).json({
+                message: "Erasure request submitted. You will be notified by email once it has been reviewed",
+                erasureRequest
+            });
+
+        } catch (error) {
+            console.log("Error while creating erasure request", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            });
+        }
+    }
+
+    static async getMyErasureRequests(req, res) {
+        try {
+
+            const erasureRequests = await ErasureRequest.findAll({
+                where: { userId: req.customer.id },
+                attributes: ["id", "status", "reason", "reviewedAt", "decisionNote", "createdAt"],
+                order: [["createdAt", "DESC"]]
+            });
+
+            return res.status(200).json({
+                message: "Erasure requests retrieved successfully",
+                erasureRequests
+            });
+
+        } catch (error) {
+            console.log("Error while fetching erasure requests", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            });
+        }
+    }
+
+    static async getAllErasureRequests(req, res) {
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+
+            const { status } = req.query;
+
+            const erasureRequests = await ErasureRequest.findAll({
+                where: status ? { status } : {},
+                include: [
+                    { model: User, as: "user", attributes: ["id", "email", "status"] },
+                    { model: User, as: "reviewedBy", attributes: ["id", "email"] }
+                ],
+                order: [["createdAt", "ASC"]]
+            });
+
+            return res.status(200).json({
+                message: "Erasure requests retrieved successfully",
+                erasureRequests
+            });
+
+        } catch (error) {
+            console.log("Error while fetching erasure requests", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            });
+        }
+    }
+
+    // Anonymizes the user and their order addresses; order totals are kept for accounting.
+    static async approveErasureRequest(req, res) {
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const t = await db.sequelize.transaction();
+
+        try {
+
+            const erasureRequest = await ErasureRequest.findByPk(req.params.id, {
+                transaction: t,
+                lock: t.LOCK.UPDATE
+            });
+
+            if (!erasureRequest) {
+                await t.rollback();
+                return res.status(404).json({
+                    message: "Erasure request not found"
+                });
+            }
+
+            if (erasureRequest.status !== "pending") {
+                await t.rollback();
+                return res.status(400).json({
+                    message: `Erasure request is already ${erasureRequest.status}`
+                });
+            }
+
+            const user = await User.findByPk(erasureRequest.userId, { transaction: t });
+
+            // Captured before anonymizing so the confirmation still reaches the customer
+            const originalEmail = user.email;
+
+            await userAdmin.anonymizeUser(user, { transaction: t });
+
+            erasureRequest.status = "approved";
+            erasureRequest.reviewedById = req.user.id;
+            erasureRequest.reviewedAt = new Date();
+            erasureRequest.decisionNote = req.body.note || null;
+            erasureRequest.reason = null;
+            await erasureRequest.save({ transaction: t });
+
+            await t.commit();
+
+            try {
+                await sendMail({
+                    to: originalEmail,
+                    subject: "Your personal data has been erased",
+                    text: "Your account and the personal data linked to it have been erased as requested. " +
+                        "Order totals are kept without any personal details for accounting purposes."
+                });
+            } catch (mailError) {
+                console.log("Error while sending erasure confirmation", mailError);
+            }
+
+            return res.status(200).json({
+                message: "Erasure request approved and user anonymized"
+            });
+
+        } catch (error) {
+            await t.rollback();
+            console.log("Error while approving erasure request", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            });
+        }
+    }
+
+    static async denyErasureRequest(req, res) {
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+
+            const erasureRequest = await ErasureRequest.findByPk(req.params.id, {
+                include: [{ model: User, as: "user", attributes: ["id", "email"] }]
+            });
+
+            if (!erasureRequest) {
+                return res.status(404).json({
+                    message: "Erasure request not found"
+                });
+            }
+
+            if (erasureRequest.status !== "pending") {
+                return res.status(400).json({
+                    message: `Erasure request is already ${erasureRequest.status}`
+                });
+            }
+
+            erasureRequest.status = "denied";
+            erasureRequest.reviewedById = req.user.id;
+            erasureRequest.reviewedAt = new Date();
+            erasureRequest.decisionNote = req.body.note;
+            await erasureRequest.save();
+
+            try {
+                await sendMail({
+                    to: erasureRequest.user.email,
+                    subject: "Your data erasure request",
+                    text: `Your request to erase your personal data was declined.\n\nReason: ${erasureRequest.decisionNote}`
+                });
+            } catch (mailError) {
+                console.log("Error while sending erasure denial", mailError);
+            }
+
+            return res.status(200).json({
+                message: "Erasure request denied",
+                erasureRequest
+            });
+
+        } catch (error) {
+            console.log("Error while denying erasure request", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            });
+        }
+    }
+}
+
+module.exports = privacyController;
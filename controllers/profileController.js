@@ -0,0 +1,65 @@
+const { validationResult } = require("express-validator");
+
+const profileFields = ["firstName", "lastName", "phone"];
+
+const toProfile = (user) => ({
+    id: user.id,
+    email: user.email,
+    role: user.role,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    phone: user.phone,
+    preferences: user.preferences,
+    verified: user.verified,
+    twoFactorEnabled: user.twoFactorEnabled,
+    createdAt: user.createdAt
+});
+
+class profileController {
+
+    static async getProfile(req, res) {
+        return res.status(200).json({
+            message: "Profile retrieved successfully",
+            profile: toProfile(req.customer)
+        });
+    }
+
+    static async updateProfile(req, res) {
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+
+            const user = req.customer;
+
+            for (const field of profileFields) {
+                if (req.body[field] !== undefined) {
+                    user[field] = req.body[field];
+                }
+            }
+
+            // Preferences are merged so clients can update one key at a time
+            if (req.body.preferences !== undefined) {
+                user.preferences = { ...(user.preferences || {}), ...req.body.preferences };
+            }
+
+            await user.save();
+
+            return res.status(200).json({
+                message: "Profile updated successfully",
+                profile: toProfile(user)
+            });
+
+        } catch (error) {
+            console.log("Error while updating profile", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            });
+        }
+    }
+}
+
+module.exports = profileController;
@@ -0,0 +1,332 @@
+const { validationResult } = require("express-validator");
+
+const db = require('../models');
+const { sequelize } = require('../models');
+const Order = db.Order;
+const User = db.User;
+const ReturnRequest = db.ReturnRequest;
+const StoreCredit = db.StoreCredit;
+const returns = require('../services/returns');
+const refunds = require('../services/refunds');
+
+const cloudinary = require('../config/cloudinary');
+
+// Runs one staff step on a return inside a transaction and sends the updated return.
+const updateReturn = async (req, res, { step, message, action }) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+
+    const t = await sequelize.transaction();
+
+    try {
+
+        const returnRequest = await ReturnRequest.findByPk(req.params.id, {
+            transaction: t,
+            lock: t.LOCK.UPDATE
+        });
+
+        if (!returnRequest) {
+            await t.rollback();
+            return res.status(404).json({
+                message: "Return not found"
+            });
+        }
+
+        const result = await step(returnRequest, t);
+
+        if (!result.returnRequest) {
+            await t.rollback();
+            return res.status(result.status).json({
+                message: result.message
+            });
+        }
+
+        const updated = await ReturnRequest.findByPk(returnRequest.id, {
+            include: [returns.returnItemsInclude],
+            transaction: t
+        });
+
+        await t.commit();
+
+        return res.status(200).json({
+            message,
+            return: returns.toReturnDetails(updated)
+        });
+
+    } catch (error) {
+        await t.rollback();
+        console.log(`Error while ${action} return`, error);
+        return res.status(500).json({
+            message: "Internal server error"
+        });
+    }
+};
+
+class returnController {
+
+    // Customers send a multipart form: reason, items as a JSON array and up to 5 photos.
+    static async requestReturn(req, res) {
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        let t;
+
+        try {
+
+            const user = req.customer;
+
+            t = await sequelize.transaction();
+
+            const order = await Order.findOne({
+                where: {
+                    id: req.params.orderId,
+                    userId: user.id
+                },
+                transaction: t,
+                lock: t.LOCK.UPDATE
+            });
+
+            if (!order) {
+                await t.rollback();
+                return res.status(404).json({
+                    message: "Order not found"
+                });
+            }
+
+            const result = await returns.requestReturn(order, {
+                userId: user.id,
+                items: req.body.items,
+                reason: req.body.reason,
+                uploadPhotos: async () => {
+                    const photoUrls = [];
+                    for (const file of req.files || []) {
+                        const uploaded = await cloudinary.uploader.upload(file.path);
+                        photoUrls.push(uploaded.secure_url);
+                    }
+                    return photoUrls;
+                },
+                transaction: t
+            });
+
+            if (!result.returnRequest) {
+                await t.rollback();
+                return res.status(result.status).json({
+                    message: result.message
+                });
+            }
+
+            await t.commit();
+
+            return res.status(201).json({
+                message: "Return requested successfully",
+                return: returns.toReturnDetails(result.returnRequest)
+            });
+
+        } catch (error) {
+            if (t) {
+                await t.rollback();
+            }
+            console.log("Error while requesting return", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            });
+        }
+    }
+
+    static async getMyReturns(req, res) {
+        try {
+
+            const returnRequests = await ReturnRequest.findAll({
+                where: { userId: req.customer.id },
+                include: [returns.returnItemsInclude],
+                order: [["createdAt", "DESC"]]
+            });
+
+            return res.status(200).json({
+                message: "Returns retrieved successfully",
+                returns: returnRequests.map(returns.toReturnDetails)
+            });
+
+        } catch (error) {
+            console.log("Error while fetching returns", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            });
+        }
+    }
+
+    static async getMyStoreCredit(req, res) {
+        try {
+
+            const [balance, entries] = await Promise.all([
+                returns.storeCreditBalance(req.customer.id),
+                StoreCredit.findAll({
+                    where: { userId: req.customer.id },
+                    attributes: ["id", "amount", "reason", "createdAt"],
+                    order: [["createdAt", "DESC"]]
+                })
+            ]);
+
+            return res.status(200).json({
+                message: "Store credit retrieved successfully",
+                balance,
+                entries
+            });
+
+        } catch (error) {
+            console.log("Error while fetching store credit", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            });
+        }
+    }
+
+    static async getReturns(req, res) {
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+
+            let { page, limit, status } = req.query;
+
+            page = parseInt(page) || 1;
+            limit = Math.min(parseInt(limit) || 20, 100);
+            const offset = (page - 1) * limit;
+
+            const { count, rows: returnRequests } = await ReturnRequest.findAndCountAll({
+                where: status ? { status } : {},
+                include: [
+                    returns.returnItemsInclude,
+                    { model: User, as: "user", attributes: ["email"] }
+                ],
+                distinct: true,
+                limit,
+                offset,
+                order: [["createdAt", "ASC"]]
+            });
+
+            return res.status(200).json({
+                message: "Returns retrieved successfully",
+                currentPage: page,
+                totalPage: Math.ceil(count / limit),
+                totalReturns: count,
+                returns: returnRequests.map(returnRequest => ({
+                    userEmail: returnRequest.user ? returnRequest.user.email : null,
+                    ...returns.toReturnDetails(returnRequest)
+                }))
+            });
+
+        } catch (error) {
+            console.log("Error while fetching returns", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            });
+        }
+    }
+
+    static async getReturnById(req, res) {
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+
+            const returnRequest = await ReturnRequest.findByPk(req.params.id, {
+                include: [
+                    returns.returnItemsInclude,
+                    { model: User, as: "user", attributes: ["email"] },
+                    {
+                        model: db.Refund,
+                        as: "refund",
+                        include: [{ model: db.RefundItem, as: "items", attributes: ["orderItemId", "quantity", "amount"] }]
+                    }
+                ]
+            });
+
+            if (!returnRequest) {
+                return res.status(404).json({
+                    message: "Return not found"
+                });
+            }
+
+            return res.status(200).json({
+                message: "Return retrieved successfully",
+                return: {
+                    userEmail: returnRequest.user ? returnRequest.user.email : null,
+                    ...returns.toReturnDetails(returnRequest),
+                    ...(returnRequest.refund && { refund: refunds.toRefundDetails(returnRequest.refund) })
+                }
+            });
+
+        } catch (error) {
+            console.log("Error while fetching return", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            });
+        }
+    }
+
+    static async approveReturn(req, res) {
+        return updateReturn(req, res, {
+            message: "Return approved",
+            action: "approving",
+            step: (returnRequest, t) => returns.reviewReturn(returnRequest, {
+                approve: true,
+                reviewedById: req.user.id,
+                note: req.body.note,
+                transaction: t
+            })
+        });
+    }
+
+    static async rejectReturn(req, res) {
+        return updateReturn(req, res, {
+            message: "Return rejected",
+            action: "rejecting",
+            step: (returnRequest, t) => returns.reviewReturn(returnRequest, {
+                approve: false,
+                reviewedById: req.user.id,
+                note: req.body.note,
+                transaction: t
+            })
+        });
+    }
+
+    static async receiveReturn(req, res) {
+        return updateReturn(req, res, {
+            message: "Return marked as received",
+            action: "receiving",
+            step: (returnRequest, t) => returns.receiveReturn(returnRequest, { transaction: t })
+        });
+    }
+
+    static async inspectReturn(req, res) {
+        return updateReturn(req, res, {
+            message: "Return inspected and completed",
+            action: "inspecting",
+            step: async (returnRequest, t) => {
+                const order = await Order.findByPk(returnRequest.orderId, { transaction: t, lock: t.LOCK.UPDATE });
+
+                return returns.inspectReturn(returnRequest, order, {
+                    outcome: req.body.outcome,
+                    resolution: req.body.resolution,
+                    inspectedById: req.user.id,
+                    note: req.body.note,
+                    transaction: t
+                });
+            }
+        });
+    }
+}
+
+module.exports = returnController;
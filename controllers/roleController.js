@@ -0,0 +1,242 @@
+const { validationResult } = require("express-validator");
+
+const db = require('../models');
+const { sequelize } = require('../models');
+const Role = db.Role;
+const Permission = db.Permission;
+const User = db.User;
+const { getGrantedPermissions, permissionsNotHeld, clearPermissionCache } = require('../services/permissions');
+
+const permissionInclude = {
+    model: Permission,
+    as: "permissions",
+    attributes: ["id", "name", "description"],
+    through: { attributes: [] }
+};
+
+// Looks up the named permissions and checks the caller holds every one of them, so nobody can
+// grant more than they have. Returns { permissionRecords } or { status, message }.
+const grantablePermissions = async (principal, names) => {
+    const permissionRecords = await Permission.findAll({ where: { name: names } });
+    const unknown = names.filter(permission => !permissionRecords.some(record => record.name === permission));
+
+    if (unknown.length > 0) {
+        return { status: 400, message: `Unknown permissions: ${unknown.join(", ")}` };
+    }
+
+    const granted = await getGrantedPermissions(principal);
+    const notHeld = names.filter(permission => !granted.has(permission));
+
+    if (notHeld.length > 0) {
+        return { status: 403, message: `You cannot grant permissions you do not hold: ${notHeld.join(", ")}` };
+    }
+
+    return { permissionRecords };
+};
+
+class roleController {
+
+    static async getAllRoles(req, res) {
+        try {
+
+            const roles = await Role.findAll({
+                include: [permissionInclude],
+                order: [["name", "ASC"]]
+            });
+
+            return res.status(200).json({
+                message: "Roles retrieved successfully",
+                roles
+            });
+
+        } catch (error) {
+            console.log("Error while fetching roles", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            });
+        }
+    }
+
+    static async getAllPermissions(req, res) {
+        try {
+
+            const permissions = await Permission.findAll({
+                attributes: ["id", "name", "description"],
+                order: [["name", "ASC"]]
+            });
+
+            return res.status(200).json({
+                message: "Permissions retrieved successfully",
+                permissions
+            });
+
+        } catch (error) {
+            console.log("Error while fetching permissions", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            });
+        }
+    }
+
+    static async createRole(req, res) {
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        let t;
+
+        try {
+
+            const { name, description, permissions } = req.body;
+
+            const existingRole = await Role.findOne({ where: { name } });
+
+            if (existingRole) {
+                return res.status(400).json({
+                    message: `Role ${name} already exists`
+                });
+            }
+
+            const grantable = await grantablePermissions(req.user, permissions || []);
+
+            if (!grantable.permissionRecords) {
+                return res.status(grantable.status).json({
+                    message: grantable.message
+                });
+            }
+
+            t = await sequelize.transaction();
+
+            const role = await Role.create({ name, description, isSystem: false }, { transaction: t });
+            await role.setPermissions(grantable.permissionRecords, { transaction: t });
+
+            const createdRole = await Role.findByPk(role.id, { include: [permissionInclude], transaction: t });
+
+            await t.commit();
+            clearPermissionCache();
+
+            return res.status(201).json({
+                message: "Role created successfully",
+                role: createdRole
+            });
+
+        } catch (error) {
+            if (t) {
+                await t.rollback();
+            }
+            console.log("Error while creating role", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            });
+        }
+    }
+
+    static async deleteRole(req, res) {
+        try {
+
+            const { name } = req.params;
+
+            const role = await Role.findOne({ where: { name } });
+
+            if (!role) {
+                return res.status(404).json({
+                    message: "Role not found"
+                });
+            }
+
+            if (role.isSystem) {
+                return res.status(400).json({
+                    message: `Role ${name} is built in and cannot be deleted`
+                });
+            }
+
+            const assignedUsers = await User.count({ where: { role: name } });
+
+            if (assignedUsers > 0) {
+                return res.status(400).json({
+                    message: `Role ${name} is still assigned to ${assignedUsers} user(s)`
+                });
+            }
+
+            await role.destroy();
+            clearPermissionCache();
+
+            return res.status(200).json({
+                message: "Role deleted successfully"
+            });
+
+        } catch (error) {
+            console.log("Error while deleting role", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            });
+        }
+    }
+
+    // Replaces the full permission set of a role.
+    static async setRolePermissions(req, res) {
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+
+            const { name } = req.params;
+            const { permissions } = req.body;
+
+            const role = await Role.findOne({ where: { name } });
+
+            if (!role) {
+                return res.status(404).json({
+                    message: "Role not found"
+                });
+            }
+
+            // Editing your own role would let you widen it; admin is kept as shipped so it can never be locked out
+            if (role.name === "admin" || role.name === req.user.role) {
+                return res.status(403).json({
+                    message: `You cannot change the permissions of the ${role.name} role`
+                });
+            }
+
+            // Nor can a role be stripped by someone who holds less than it does
+            const notHeld = await permissionsNotHeld(req.user, role.name);
+
+            if (notHeld.length > 0) {
+                return res.status(403).json({
+                    message: `You cannot manage the ${role.name} role without: ${notHeld.join(", ")}`
+                });
+            }
+
+            const grantable = await grantablePermissions(req.user, permissions);
+
+            if (!grantable.permissionRecords) {
+                return res.status(grantable.status).json({
+                    message: grantable.message
+                });
+            }
+
+            await role.setPermissions(grantable.permissionRecords);
+            clearPermissionCache();
+
+            const updatedRole = await Role.findByPk(role.id, { include: [permissionInclude] });
+
+            return res.status(200).json({
+                message: "Role permissions updated successfully",
+                role: updatedRole
+            });
+
+        } catch (error) {
+            console.log("Error while updating role permissions", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            });
+        }
+    }
+}
+
+module.exports = roleController;
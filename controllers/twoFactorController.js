@@ -0,0 +1,268 @@
+const bcrypt = require("bcryptjs");
+const { validationResult } = require("express-validator");
+
+const db = require('../models');
+const User = db.User;
+const tokenService = require('../services/tokenService');
+const loginThrottle = require('../services/loginThrottle');
+const twoFactor = require('../services/twoFactor');
+const totp = require('../services/totp');
+const authConfig = require('../config/auth');
+
+const loginResponse = (user, tokens) => ({
+    message: "Login Successful",
+    userData: {
+        id: user.id,
+        email: user.email,
+        role: user.role,
+        verified: user.verified
+    },
+    Token: tokens.accessToken,
+    refreshToken: tokens.refreshToken
+});
+
+class twoFactorController {
+
+    // Second login step: exchanges the challenge token and a TOTP or recovery code for tokens.
+    static async verifyLogin(req, res) {
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+
+            const { challengeToken, code, recoveryCode } = req.body;
+
+            const decoded = twoFactor.decodeChallengeToken(challengeToken);
+            const user = decoded && await User.findByPk(decoded.id);
+
+            if (!user || !user.twoFactorEnabled) {
+                return res.status(401).json({
+                    message: "Invalid or expired challenge token"
+                });
+            }
+
+            const retryAfter = await loginThrottle.checkLogin(user.email, req.ip);
+
+            if (retryAfter > 0) {
+                res.set("Retry-After", String(retryAfter));
+                return res.status(429).json({
+                    message: "Too many failed login attempts. Please try again later"
+                });
+            }
+
+            if (!twoFactor.verifySecondFactor(user, { code, recoveryCode })) {
+                await loginThrottle.recordFailedLogin(user.email, req.ip);
+                return res.status(401).json({
+                    message: "Invalid authentication code"
+                });
+            }
+
+            await user.save();
+            await loginThrottle.recordSuccessfulLogin(user.email);
+
+            if (user.status !== "active") {
+                return res.status(403).json({
+                    message: "Account suspended"
+                });
+            }
+
+            const tokens = await tokenService.createSession(user, req);
+
+            return res.status(200).json({
+                ...loginResponse(user, tokens),
+                recoveryCodesRemaining: (user.totpRecoveryCodes || []).length
+            });
+
+        } catch (error) {
+            console.log("Error during two-factor login", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            });
+        }
+    }
+
+    // Generates a new secret. It only takes effect once confirmed through enableTwoFactor.
+    static async setupTwoFactor(req, res) {
+        try {
+
+            const user = await User.findByPk(req.user.id);
+
+            if (!user) {
+                return res.status(404).json({
+                    message: "User not found"
+                });
+            }
+
+            if (user.twoFactorEnabled) {
+                return res.status(400).json({
+                    message: "Two-factor authentication is already enabled"
+                });
+            }
+
+            user.totpSecret = totp.generateSecret();
+            await user.save();
+
+            return res.status(200).json({
+                message: "Scan the QR code or enter the secret in your authenticator app, then confirm with a code",
+                secret: user.totpSecret,
+                otpauthUri: totp.buildOtpauthUri({
+                    secret: user.totpSecret,
+                    accountName: user.email,
+                    issuer: authConfig.twoFactor.issuer
+                })
+            });
+
+        } catch (error) {
+            console.log("Error during two-factor setup", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            });
+        }
+    }
+
+    static async enableTwoFactor(req, res) {
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+
+            const user = await User.findByPk(req.user.id);
+
+            if (!user || !user.totpSecret) {
+                return res.status(400).json({
+                    message: "Start two-factor setup first"
+                });
+            }
+
+            if (user.twoFactorEnabled) {
+                return res.status(400).json({
+                    message: "Two-factor authentication is already enabled"
+                });
+            }
+
+            if (!twoFactor.verifySecondFactor(user, { code: req.body.code })) {
+                return res.status(400).json({
+                    message: "Invalid authentication code"
+                });
+            }
+
+            user.totpEnabledAt = new Date();
+            const recoveryCodes = twoFactor.generateRecoveryCodes(user);
+            await user.save();
+
+            const message = "Two-factor authentication enabled. Store the recovery codes somewhere safe, they are shown only once";
+
+            // Admins enrolling during a forced setup are signed in right away
+            if (req.twoFactorEnrollment) {
+                const tokens = await tokenService.createSession(user, req);
+                return res.status(200).json({ ...loginResponse(user, tokens), message, recoveryCodes });
+            }
+
+            return res.status(200).json({ message, recoveryCodes });
+
+        } catch (error) {
+            console.log("Error while enabling two-factor authentication", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            });
+        }
+    }
+
+    static async disableTwoFactor(req, res) {
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+
+            const { password, code, recoveryCode } = req.body;
+
+            const user = await User.findByPk(req.user.id);
+
+            if (!user || !user.twoFactorEnabled) {
+                return res.status(400).json({
+                    message: "Two-factor authentication is not enabled"
+                });
+            }
+
+            if (authConfig.twoFactor.requiredForAdmins && user.role === "admin") {
+                return res.status(400).json({
+                    message: "Two-factor authentication is mandatory for admins"
+                });
+            }
+
+            const isPasswordValid = await bcrypt.compare(password, user.password);
+
+            if (!isPasswordValid || !twoFactor.verifySecondFactor(user, { code, recoveryCode })) {
+                return res.status(401).json({
+                    message: "Invalid password or authentication code"
+                });
+            }
+
+            user.totpSecret = null;
+            user.totpEnabledAt = null;
+            user.totpLastUsedStep = null;
+            user.totpRecoveryCodes = null;
+            await user.save();
+
+            return res.status(200).json({
+                message: "Two-factor authentication disabled"
+            });
+
+        } catch (error) {
+            console.log("Error while disabling two-factor authentication", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            });
+        }
+    }
+
+    static async regenerateRecoveryCodes(req, res) {
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+
+            const user = await User.findByPk(req.user.id);
+
+            if (!user || !user.twoFactorEnabled) {
+                return res.status(400).json({
+                    message: "Two-factor authentication is not enabled"
+                });
+            }
+
+            if (!twoFactor.verifySecondFactor(user, { code: req.body.code })) {
+                return res.status(401).json({
+                    message: "Invalid authentication code"
+                });
+            }
+
+            const recoveryCodes = twoFactor.generateRecoveryCodes(user);
+            await user.save();
+
+            return res.status(200).json({
+                message: "Recovery codes regenerated. Previous codes no longer work",
+                recoveryCodes
+            });
+
+        } catch (error) {
+            console.log("Error while regenerating recovery codes", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            });
+        }
+    }
+}
+
+module.exports = twoFactorController;
@@ -1,9 +1,47 @@
 const bcrypt = require("bcryptjs");
-const JWT = require('jsonwebtoken');
 const { validationResult } = require("express-validator");
+const { Op } = require("sequelize");
 
 const db = require('../models');
 const user = db.User;
+const PasswordResetToken = db.PasswordResetToken;
+const tokenService = require('../services/tokenService');
+const emailVerification = require('../services/emailVerification');
+const loginThrottle = require('../services/loginThrottle');
+const twoFactor = require('../services/twoFactor');
+const passwordReset = require('../services/passwordReset');
+const userAdmin = require('../services/userAdmin');
+const { permissionsNotHeld } = require('../services/permissions');
+const orderService = require('../services/orderService');
+const stockReservations = require('../services/stockReservations');
+const authConfig = require('../config/auth');
+
+// Compared against when the email is unknown so both failure paths take the same time
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync("not-a-real-password", 10);
+const INVALID_CREDENTIALS = "Invalid email or password";
+
+// Staff can only act on users whose role holds nothing they lack themselves.
+// Returns why the caller may not manage the role, or null.
+const roleNotManageable = async (principal, roleName) => {
+    const notHeld = await permissionsNotHeld(principal, roleName);
+    return notHeld.length > 0 ? `You cannot manage the ${roleName} role without: ${notHeld.join(", ")}` : null;
+};
+
+const userAdminAttributes = [
+    "id",
+    "email",
+    "role",
+    "status",
+    "firstName",
+    "lastName",
+    "phone",
+    "emailVerifiedAt",
+    "suspendedAt",
+    "suspensionReason",
+    "passwordResetRequired",
+    "createdAt",
+    "updatedAt"
+];
 
 class UserController {
 
@@ -16,7 +54,7 @@ class UserController {
         }
 
         try {
-            const { email, password, role } = req.body;
+            const { email, password } = req.body;
 
             //Check existing user
             const existingUser = await user.findOne({
@@ -36,9 +74,16 @@ class UserController {
             const newUser = await user.create({
                 email,
                 password: hashedPassword,
-                role: role || 'customer' 
+                role: 'customer'
             });
 
+            try {
+                await emailVerification.sendVerificationEmail(newUser);
+            } catch (mailError) {
+                // The account exists either way; the user can ask for the email again
+                console.log("Error while sending verification email", mailError);
+            }
+
             return res.status(201).json({
                 message: "User Registered successfully",
                 userData: newUser
@@ -61,48 +106,91 @@ class UserController {
             
             const { email, password } = req.body;
 
+            const retryAfter = await loginThrottle.checkLogin(email, req.ip);
+
+            if(retryAfter > 0) {
+                res.set("Retry-After", String(retryAfter));
+                return res.status(429).json({
+                    message: "Too many failed login attempts. Please try again later"
+                })
+            }
+
             const users = await user.findOne({
                 where: { 
                     email
                 }
             });
 
-            if(!users) {
+            const isPasswordValid = await bcrypt.compare(password, users ? users.password : DUMMY_PASSWORD_HASH);
+
+            if(!users || !isPasswordValid) {
+                await loginThrottle.recordFailedLogin(email, req.ip);
                 return res.status(401).json({
-                    message: "Email not found"
+                    message: INVALID_CREDENTIALS
                 })
             }
 
-            const isPasswordValid = await bcrypt.compare(password, users.password);
+            await loginThrottle.recordSuccessfulLogin(email);
 
-            if(!isPasswordValid) {
-                return res.status(401).json({
-                    message: "Invalid Password or email"
+            if(users.status !== "active") {
+                return res.status(403).json({
+                    message: "Account suspended"
+                })
+            }
+
+            if(users.passwordResetRequired) {
+                return res.status(403).json({
+                    message: "A password reset is required. Check your email for the reset link"
+                })
+            }
+
+            if(!users.verified && authConfig.unverifiedUserAccess === "none") {
+                return res.status(403).json({
+                    message: "Please verify your email address before logging in"
+                })
+            }
+
+            if(users.twoFactorEnabled) {
+                return res.status(200).json({
+                    message: "Two-factor authentication required",
+                    twoFactorRequired: true,
+                    challengeToken: twoFactor.signChallengeToken(users)
+                })
+            }
+
+            if(twoFactor.mustEnroll(users)) {
+                return res.status(403).json({
+                    message: "Two-factor authentication must be set up before signing in",
+                    twoFactorSetupRequired: true,
+                    enrollmentToken: twoFactor.signEnrollmentToken(users)
                 })
             }
 
             //Token generate
-            const token = JWT.sign({
-                id: users.id, email: users.email, role: users.role
-            }, process.env.JWT_SECRET_KEY, {expiresIn: "1h"});
+            const { accessToken, refreshToken } = await tokenService.createSession(users, req);
 
             //Role-based access
             let accessMessage = "";
             if(users.role === "admin") {
                 accessMessage = "Admin access granted";
             }
-            else {
+            else if(users.role === "customer") {
                 accessMessage = "Customer access granted";
             }
+            else {
+                accessMessage = "Staff access granted";
+            }
 
             return res.status(200).json({
                 message: "Login Successful",
                 userData: {
                     id: users.id,
                     email: users.email,
-                    role: users.role
+                    role: users.role,
+                    verified: users.verified
                 },
-                Token : token,
+                Token : accessToken,
+                refreshToken,
                 access : accessMessage
             })
         } catch (error) {
@@ -113,22 +201,354 @@ class UserController {
         }
     }
 
+    static async refreshToken (req, res) {
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+
+            const rotated = await tokenService.rotateRefreshToken(req.body.refreshToken);
+
+            if(!rotated) {
+                return res.status(401).json({
+                    message: "Invalid or expired refresh token"
+                })
+            }
+
+            return res.status(200).json({
+                message: "Token refreshed successfully",
+                Token: rotated.accessToken,
+                refreshToken: rotated.refreshToken
+            })
+        } catch (error) {
+            console.log("Error while refreshing token", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            })
+        }
+    }
+
+    static async logout (req, res) {
+
+        try {
+
+            await tokenService.revokeSession(req.authSession.id);
+
+            return res.status(200).json({
+                message: "Logged out successfully"
+            })
+        } catch (error) {
+            console.log("Error during logout", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            })
+        }
+    }
+
+    static async logoutAllDevices (req, res) {
+
+        try {
+
+            const revokedSessions = await tokenService.revokeAllSessions(req.user.id);
+
+            return res.status(200).json({
+                message: "Logged out from all devices",
+                revokedSessions
+            })
+        } catch (error) {
+            console.log("Error during logout from all devices", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            })
+        }
+    }
+
+    static async verifyEmail (req, res) {
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+
+            const decoded = emailVerification.decodeVerificationToken(req.body.token);
+
+            if(!decoded) {
+                return res.status(400).json({
+                    message: "Invalid or expired verification token"
+                })
+            }
+
+            const users = await user.findOne({
+                where: { id: decoded.id, email: decoded.email }
+            });
+
+            if(!users) {
+                return res.status(400).json({
+                    message: "Invalid or expired verification token"
+                })
+            }
+
+            if(!users.verified) {
+                users.emailVerifiedAt = new Date();
+                await users.save();
+
+                // The address is proven now, so guest orders placed with it join the account
+                await orderService.attachGuestOrders(users);
+            }
+
+            return res.status(200).json({
+                message: "Email verified successfully"
+            })
+        } catch (error) {
+            console.log("Error while verifying email", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            })
+        }
+    }
+
+    static async resendVerificationEmail (req, res) {
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+
+            const users = await user.findOne({
+                where: { email: req.body.email }
+            });
+
+            if(users && !users.verified) {
+                const retryAfter = emailVerification.resendCooldownRemaining(users);
+
+                if(retryAfter > 0) {
+                    res.set("Retry-After", String(retryAfter));
+                    return res.status(429).json({
+                        message: `Please wait ${retryAfter} seconds before requesting another verification email`
+                    })
+                }
+
+                await emailVerification.sendVerificationEmail(users);
+            }
+
+            return res.status(200).json({
+                message: "If the account exists and is not yet verified, a verification email has been sent"
+            })
+        } catch (error) {
+            console.log("Error while resending verification email", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            })
+        }
+    }
+
+    static async forgotPassword (req, res) {
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+
+            const { email } = req.body;
+
+            const users = await user.findOne({
+                where: { email }
+            });
+
+            // Same response whether or not the email exists, so it cannot be used to probe accounts
+            if(users && users.status !== "deleted") {
+                await passwordReset.sendPasswordResetEmail(users);
+            }
+
+            return res.status(200).json({
+                message: "If the email is registered, a password reset link has been sent"
+            })
+        } catch (error) {
+            console.log("Error while requesting password reset", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            })
+        }
+    }
+
+    static async resetPassword (req, res) {
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const t = await db.sequelize.transaction();
+
+        try {
+
+            const { token, newPassword } = req.body;
+
+            const resetToken = await PasswordResetToken.findOne({
+                where: {
+                    tokenHash: tokenService.hashToken(token),
+                    usedAt: null,
+                    expiresAt: { [Op.gt]: new Date() }
+                },
+                transaction: t,
+                lock: t.LOCK.UPDATE
+            });
+
+            if(!resetToken) {
+                await t.rollback();
+                return res.status(400).json({
+                    message: "Invalid or expired reset token"
+                })
+            }
+
+            const hashedPassword = await bcrypt.hash(newPassword, 10);
+
+            await user.update(
+                { password: hashedPassword, passwordResetRequired: false },
+                { where: { id: resetToken.userId }, transaction: t }
+            );
+
+            resetToken.usedAt = new Date();
+            await resetToken.save({ transaction: t });
+
+            await tokenService.revokeAllSessions(resetToken.userId, { transaction: t });
+
+            await t.commit();
+
+            return res.status(200).json({
+                message: "Password reset successfully"
+            })
+        } catch (error) {
+            await t.rollback();
+            console.log("Error while resetting password", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            })
+        }
+    }
+
+    static async changePassword (req, res) {
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+
+            const { currentPassword, newPassword } = req.body;
+
+            const users = await user.findByPk(req.user.id);
+
+            if(!users) {
+                return res.status(404).json({
+                    message: "User not found"
+                })
+            }
+
+            const isPasswordValid = await bcrypt.compare(currentPassword, users.password);
+
+            if(!isPasswordValid) {
+                return res.status(401).json({
+                    message: "Current password is incorrect"
+                })
+            }
+
+            users.password = await bcrypt.hash(newPassword, 10);
+            await users.save();
+
+            // Keep the current device signed in, sign out everywhere else
+            await tokenService.revokeAllSessions(users.id, { except: req.authSession.id });
+
+            return res.status(200).json({
+                message: "Password changed successfully"
+            })
+        } catch (error) {
+            console.log("Error while changing password", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            })
+        }
+    }
+
+    static async unlockUser (req, res) {
+
+        try {
+
+            const users = await user.findByPk(req.params.id);
+
+            if(!users) {
+                return res.status(404).json({
+                    message: "User not found"
+                })
+            }
+
+            await loginThrottle.unlockAccount(users.email);
+
+            return res.status(200).json({
+                message: "Account unlocked successfully"
+            })
+        } catch (error) {
+            console.log("Error while unlocking account", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            })
+        }
+    }
+
     static async getallUsers (req, res ) {
 
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
         try {
             
-            const users = await user.findAll({
-                attributes: [
-                    "id",
-                    "email",
-                    "role",
-                    "createdAt",
-                    "updatedAt"
-                ]
+            let { page, limit, email, role, status, createdFrom, createdTo } = req.query;
+
+            page = parseInt(page) || 1;
+            limit = Math.min(parseInt(limit) || 20, 100);
+            const offset = (page - 1) * limit;
+
+            const where = {};
+            if(email) {
+                where.email = { [Op.iLike]: `%${email}%` };
+            }
+            if(role) {
+                where.role = role;
+            }
+            if(status) {
+                where.status = status;
+            }
+            if(createdFrom || createdTo) {
+                where.createdAt = {};
+                if(createdFrom) where.createdAt[Op.gte] = new Date(createdFrom);
+                if(createdTo) where.createdAt[Op.lte] = new Date(createdTo);
+            }
+
+            const { count, rows: users } = await user.findAndCountAll({
+                where,
+                limit,
+                offset,
+                order: [["createdAt", "DESC"]],
+                attributes: userAdminAttributes
             });
 
             return res.status(200).json({
                 message: "Users retrieved successfully",
+                currentPage: page,
+                totalPage: Math.ceil(count / limit),
+                totalUsers: count,
                 users
             });
 
@@ -140,6 +560,264 @@ class UserController {
         }
     }
 
+    static async suspendUser (req, res) {
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+
+            const users = await user.findByPk(req.params.id);
+
+            if(!users || users.status === "deleted") {
+                return res.status(404).json({
+                    message: "User not found"
+                })
+            }
+
+            if(users.id === req.user.id) {
+                return res.status(400).json({
+                    message: "You cannot suspend your own account"
+                })
+            }
+
+            const notManageable = await roleNotManageable(req.user, users.role);
+
+            if(notManageable) {
+                return res.status(403).json({
+                    message: notManageable
+                })
+            }
+
+            users.status = "suspended";
+            users.suspendedAt = new Date();
+            users.suspensionReason = req.body.reason || null;
+            await users.save();
+
+            await tokenService.revokeAllSessions(users.id);
+
+            return res.status(200).json({
+                message: "User suspended successfully"
+            })
+        } catch (error) {
+            console.log("Error while suspending user", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            })
+        }
+    }
+
+    static async reactivateUser (req, res) {
+
+        try {
+
+            const users = await user.findByPk(req.params.id);
+
+            if(!users || users.status === "deleted") {
+                return res.status(404).json({
+                    message: "User not found"
+                })
+            }
+
+            if(users.status === "active") {
+                return res.status(400).json({
+                    message: "User is already active"
+                })
+            }
+
+            users.status = "active";
+            users.suspendedAt = null;
+            users.suspensionReason = null;
+            await users.save();
+
+            return res.status(200).json({
+                message: "User reactivated successfully"
+            })
+        } catch (error) {
+            console.log("Error while reactivating user", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            })
+        }
+    }
+
+    static async changeUserRole (req, res) {
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+
+            const { role } = req.body;
+
+            const users = await user.findByPk(req.params.id);
+
+            if(!users || users.status === "deleted") {
+                return res.status(404).json({
+                    message: "User not found"
+                })
+            }
+
+            if(users.id === req.user.id) {
+                return res.status(400).json({
+                    message: "You cannot change your own role"
+                })
+            }
+
+            const roleRecord = await db.Role.findOne({ where: { name: role } });
+
+            if(!roleRecord) {
+                return res.status(400).json({
+                    message: `Role ${role} does not exist`
+                })
+            }
+
+            // Nobody can give out more than they hold, or take a role away from someone who holds more
+            for (const roleName of [role, users.role]) {
+                const notManageable = await roleNotManageable(req.user, roleName);
+                if (notManageable) {
+                    return res.status(403).json({
+                        message: notManageable
+                    })
+                }
+            }
+
+            users.role = role;
+            await users.save();
+
+            return res.status(200).json({
+                message: "User role updated successfully",
+                user: {
+                    id: users.id,
+                    email: users.email,
+                    role: users.role
+                }
+            })
+        } catch (error) {
+            console.log("Error while changing user role", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            })
+        }
+    }
+
+    static async forcePasswordReset (req, res) {
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+
+            const users = await user.findByPk(req.params.id);
+
+            if(!users || users.status === "deleted") {
+                return res.status(404).json({
+                    message: "User not found"
+                })
+            }
+
+            const notManageable = await roleNotManageable(req.user, users.role);
+
+            if(notManageable) {
+                return res.status(403).json({
+                    message: notManageable
+                })
+            }
+
+            users.passwordResetRequired = true;
+            await users.save();
+
+            await tokenService.revokeAllSessions(users.id);
+            await passwordReset.sendPasswordResetEmail(users, { forced: true });
+
+            return res.status(200).json({
+                message: "Password reset required. The user has been signed out and emailed a reset link"
+            })
+        } catch (error) {
+            console.log("Error while forcing password reset", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            })
+        }
+    }
+
+    // mode=anonymize (default) keeps the row for order history; mode=delete removes it
+    // and is only allowed for users without orders.
+    static async deleteUser (req, res) {
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const t = await db.sequelize.transaction();
+
+        try {
+
+            const mode = req.query.mode || "anonymize";
+
+            const users = await user.findByPk(req.params.id, { transaction: t });
+
+            if(!users || users.status === "deleted") {
+                await t.rollback();
+                return res.status(404).json({
+                    message: "User not found"
+                })
+            }
+
+            if(users.id === req.user.id) {
+                await t.rollback();
+                return res.status(400).json({
+                    message: "You cannot delete your own account"
+                })
+            }
+
+            const notManageable = await roleNotManageable(req.user, users.role);
+
+            if(notManageable) {
+                await t.rollback();
+                return res.status(403).json({
+                    message: notManageable
+                })
+            }
+
+            if(mode === "delete") {
+                const orderCount = await db.Order.count({ where: { userId: users.id }, transaction: t });
+
+                if(orderCount > 0) {
+                    await t.rollback();
+                    return res.status(409).json({
+                        message: "User has orders and can only be anonymized"
+                    })
+                }
+
+                await stockReservations.releaseForUser(users, { transaction: t });
+                await users.destroy({ transaction: t });
+                await loginThrottle.unlockAccount(users.email);
+            } else {
+                await userAdmin.anonymizeUser(users, { transaction: t });
+            }
+
+            await t.commit();
+
+            return res.status(200).json({
+                message: mode === "delete" ? "User deleted successfully" : "User anonymized successfully"
+            })
+        } catch (error) {
+            await t.rollback();
+            console.log("Error while deleting user", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            })
+        }
+    }
+
     static async userProfile (req, res) {
 
         try {
@@ -148,13 +826,7 @@ class UserController {
 
             const userDetails = await user.findOne({
                 where: {id},
-                attributes: [
-                    "id",
-                    "email",
-                    "role",
-                    "createdAt",
-                    "updatedAt"
-                ]
+                attributes: userAdminAttributes
             });
 
             if(!userDetails) {
@@ -0,0 +1,181 @@
+const { validationResult } = require("express-validator");
+
+const db = require('../models');
+const WebhookEvent = db.WebhookEvent;
+const paymentWebhooks = require('../services/paymentWebhooks');
+const { getProvider } = require('../services/paymentProviders');
+const shipments = require('../services/shipments');
+const { getCarrier } = require('../services/carriers');
+
+const eventAttributes = ["id", "provider", "eventId", "type", "status", "attempts", "lastError", "processedAt", "createdAt", "updatedAt"];
+
+class webhookController {
+
+    // Called by payment gateways. Anything that passes the signature check is acknowledged with
+    // 200, even when it cannot be applied yet: it is stored and can be reprocessed later.
+    static async receivePaymentWebhook(req, res) {
+        try {
+
+            const provider = getProvider(req.params.provider);
+
+            if (!provider || !provider.verifyWebhook) {
+                return res.status(404).json({
+                    message: "Unknown payment provider"
+                });
+            }
+
+            if (!provider.verifyWebhook(req.rawBody, req.headers)) {
+                return res.status(400).json({
+                    message: "Invalid webhook signature"
+                });
+            }
+
+            const result = await paymentWebhooks.receiveEvent(provider, req.body);
+
+            if (!result.event) {
+                return res.status(result.status).json({
+                    message: result.message
+                });
+            }
+
+            return res.status(200).json({
+                received: true,
+                duplicate: result.duplicate,
+                status: result.event.status
+            });
+
+        } catch (error) {
+            console.log("Error while receiving payment webhook", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            });
+        }
+    }
+
+    // Called by carriers with tracking updates. Events for parcels we did not ship are ignored,
+    // and events that were already stored are skipped, so carriers can safely resend.
+    static async receiveCarrierWebhook(req, res) {
+        try {
+
+            const carrier = getCarrier(req.params.carrier);
+
+            if (!carrier) {
+                return res.status(404).json({
+                    message: "Unknown carrier"
+                });
+            }
+
+            if (!carrier.verifyWebhook(req.rawBody, req.headers)) {
+                return res.status(400).json({
+                    message: "Invalid webhook signature"
+                });
+            }
+
+            const result = await shipments.receiveTrackingEvents(carrier.name, carrier.parseWebhookEvents(req.body));
+
+            return res.status(200).json({
+                received: true,
+                updated: result.updated,
+                unknown: result.unknown
+            });
+
+        } catch (error) {
+            console.log("Error while receiving carrier webhook", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            });
+        }
+    }
+
+    static async getWebhookEvents(req, res) {
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+
+            let { page, limit, status, provider } = req.query;
+
+            page = parseInt(page) || 1;
+            limit = Math.min(parseInt(limit) || 20, 100);
+            const offset = (page - 1) * limit;
+
+            const where = { status: status || "failed" };
+            if (provider) {
+                where.provider = provider;
+            }
+
+            const { count, rows: events } = await WebhookEvent.findAndCountAll({
+                where,
+                limit,
+                offset,
+                order: [["createdAt", "ASC"]],
+                attributes: eventAttributes
+            });
+
+            return res.status(200).json({
+                message: "Webhook events retrieved successfully",
+                currentPage: page,
+                totalPage: Math.ceil(count / limit),
+                totalEvents: count,
+                events
+            });
+
+        } catch (error) {
+            console.log("Error while fetching webhook events", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            });
+        }
+    }
+
+    static async reprocessWebhookEvent(req, res) {
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+
+            const event = await WebhookEvent.findByPk(req.params.id);
+
+            if (!event) {
+                return res.status(404).json({
+                    message: "Webhook event not found"
+                });
+            }
+
+            if (event.status === "processed") {
+                return res.status(400).json({
+                    message: "Webhook event was already processed"
+                });
+            }
+
+            const provider = getProvider(event.provider);
+
+            if (!provider) {
+                return res.status(400).json({
+                    message: `Payment provider ${event.provider} is no longer configured`
+                });
+            }
+
+            await paymentWebhooks.processEvent(event, provider);
+
+            return res.status(200).json({
+                message: event.status === "processed" ? "Webhook event processed" : "Webhook event failed again",
+                event: await WebhookEvent.findByPk(event.id, { attributes: eventAttributes })
+            });
+
+        } catch (error) {
+            console.log("Error while reprocessing webhook event", error);
+            return res.status(500).json({
+                message: "Internal server error"
+            });
+        }
+    }
+}
+
+module.exports = webhookController;
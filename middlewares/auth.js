@@ -1,6 +1,40 @@
 const JWT = require("jsonwebtoken");
 
-const authenticate = (req, res, next) => {
+const { findActiveSession } = require("../services/tokenService");
+const { getGrantedPermissions } = require("../services/permissions");
+const { decodeEnrollmentToken } = require("../services/twoFactor");
+const { findActiveApiKey } = require("../services/apiKeys");
+
+// API keys are sent as "Authorization: ApiKey <key>" or in the X-API-Key header.
+const extractApiKey = (req) => {
+    const authHeader = req.header("Authorization");
+    if (authHeader && authHeader.startsWith("ApiKey ")) {
+        return authHeader.slice("ApiKey ".length);
+    }
+    return req.header("X-API-Key");
+};
+
+const authenticateApiKey = async (rawKey, req, res, next) => {
+    try {
+        const apiKey = await findActiveApiKey(rawKey, req.ip);
+        if (!apiKey) {
+            return res.status(401).json({ message: "Invalid, expired or revoked API key" });
+        }
+
+        req.user = { type: "api_key", apiKeyId: apiKey.id, name: apiKey.name, scopes: apiKey.scopes || [] };
+        next();
+    } catch (error) {
+        console.error("API key lookup error:", error);
+        return res.status(500).json({ message: "Internal server error" });
+    }
+};
+
+const authenticate = async (req, res, next) => {
+    const apiKey = extractApiKey(req);
+    if (apiKey) {
+        return authenticateApiKey(apiKey, req, res, next);
+    }
+
     const authHeader = req.header("Authorization");
 
     if (!authHeader || !authHeader.startsWith("Bearer ")) {
@@ -10,19 +44,63 @@ const authenticate = (req, res, next) => {
     const token = authHeader.split(" ")[1]; // Extract token
     console.log("Extracted Token:", token); // Log extracted token
 
+    let decoded;
     try {
-        const decoded = JWT.verify(token, process.env.JWT_SECRET_KEY);
+        decoded = JWT.verify(token, process.env.JWT_SECRET_KEY);
         console.log("Decoded Token:", decoded); // Log decoded token
-        
-        req.user = decoded; // Attach user to request object
-        next();
     } catch (error) {
         console.error("JWT Verification Error:", error);
         return res.status(401).json({ message: "Invalid token" });
     }
+
+    try {
+        // Access tokens are bound to a server-side session so logout takes effect immediately
+        const session = decoded.sid ? await findActiveSession(decoded.sid, decoded.id) : null;
+        if (!session) {
+            return res.status(401).json({ message: "Session expired or revoked" });
+        }
+
+        if (session.user.status !== "active") {
+            return res.status(403).json({ message: "Account suspended" });
+        }
+
+        // Role comes from the database so role changes apply without waiting for a new token
+        req.user = { ...decoded, type: "user", role: session.user.role }; // Attach user to request object
+        req.authSession = session;
+        next();
+    } catch (error) {
+        console.error("Session lookup error:", error);
+        return res.status(500).json({ message: "Internal server error" });
+    }
 };
 
 
+// Two-factor setup accepts either a normal access token or the enrollment token that
+// login hands to admins who are required to enroll before getting one.
+const authenticateForTwoFactorSetup = (req, res, next) => {
+    const enrollmentToken = req.body && req.body.enrollmentToken;
+
+    if (!enrollmentToken) {
+        return authenticate(req, res, next);
+    }
+
+    const decoded = decodeEnrollmentToken(enrollmentToken);
+    if (!decoded) {
+        return res.status(401).json({ message: "Invalid or expired enrollment token" });
+    }
+
+    req.user = decoded;
+    req.twoFactorEnrollment = true;
+    next();
+};
+
+// For endpoints that only make sense for a signed-in person (logout, password, 2FA, /me).
+const requireUserSession = (req, res, next) => {
+    if (!req.user || req.user.type === "api_key") {
+        return res.status(403).json({ message: "This endpoint cannot be used with an API key" });
+    }
+    next();
+};
 
 const authorizeRole = (role) => {
     return (req, res, next) => {
@@ -37,5 +115,28 @@ const authorizeRole = (role) => {
 };
 
 
+// Passes when the user's role grants every listed permission, e.g. requirePermission("product:write").
+const requirePermission = (...permissions) => {
+    return async (req, res, next) => {
+        if (!req.user) {
+            return res.status(403).json({ message: "Access Denied. Insufficient permissions" });
+        }
+
+        try {
+            const granted = await getGrantedPermissions(req.user);
+            const missing = permissions.filter(permission => !granted.has(permission));
+
+            if (missing.length > 0) {
+                const principal = req.user.type === "api_key" ? `API key ${req.user.name}` : `Role ${req.user.role}`;
+                console.error(`Access Denied. ${principal} lacks: ${missing.join(", ")}`);
+                return res.status(403).json({ message: "Access Denied. Insufficient permissions" });
+            }
+            next();
+        } catch (error) {
+            console.error("Permission lookup error:", error);
+            return res.status(500).json({ message: "Internal server error" });
+        }
+    };
+};
 
-module.exports = { authenticate, authorizeRole };
+module.exports = { authenticate, authenticateForTwoFactorSetup, requireUserSession, authorizeRole, requirePermission };
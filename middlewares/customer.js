@@ -0,0 +1,54 @@
+const db = require('../models');
+const User = db.User;
+const authConfig = require('../config/auth');
+
+// Resolves the customer from the authenticated JWT. Client-supplied emails are ignored.
+const customerFromToken = async (req, res, next) => {
+    try {
+        const user = await User.findByPk(req.user.id);
+
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        req.customer = user;
+        next();
+    } catch (error) {
+        console.log("Error while resolving customer from token", error);
+        return res.status(500).json({ message: "Internal server error" });
+    }
+};
+
+// Resolves the customer from an email in the URL, query string or body (admin routes only).
+const customerFromEmail = async (req, res, next) => {
+    try {
+        const email = req.params.email || req.query.email || req.body.email;
+
+        if (!email) {
+            return res.status(400).json({ message: "Email is required" });
+        }
+
+        const user = await User.findOne({ where: { email } });
+
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        req.customer = user;
+        next();
+    } catch (error) {
+        console.log("Error while resolving customer from email", error);
+        return res.status(500).json({ message: "Internal server error" });
+    }
+};
+
+// Blocks order placement for unverified customers unless the policy allows full access.
+const requireVerifiedCustomer = (req, res, next) => {
+    if (authConfig.unverifiedUserAccess === "full" || req.customer.verified) {
+        return next();
+    }
+
+    return res.status(403).json({ message: "Please verify your email address before placing orders" });
+};
+
+module.exports = { customerFromToken, customerFromEmail, requireVerifiedCustomer };
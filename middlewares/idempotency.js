@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+
+const db = require('../models');
+const IdempotencyKey = db.IdempotencyKey;
+const checkoutConfig = require('../config/checkout');
+
+const MAX_KEY_LENGTH = 255;
+
+// JSON with object keys sorted, so the same body always hashes the same
+const canonicalJson = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(",")}]`;
+    }
+    if (value && typeof value === "object") {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(",")}}`;
+    }
+    return JSON.stringify(value) ?? "null";
+};
+
+const hashRequest = (req) => crypto.createHash('sha256')
+    .update(`${req.method} ${req.originalUrl}\n${canonicalJson(req.body || {})}`)
+    .digest('hex');
+
+const keyScope = (user) => {
+    if (!user) {
+        return "anonymous";
+    }
+    return user.type === "api_key" ? `api_key:${user.apiKeyId}` : `user:${user.id}`;
+};
+
+// Honors an Idempotency-Key header: the first response for a key is stored and replayed to
+// retries with the same body, and reusing the key for a different request is rejected.
+// Requests without the header are not affected. Mount after authenticate where there is one.
+const idempotent = async (req, res, next) => {
+    const key = req.get("Idempotency-Key");
+
+    if (key === undefined) {
+        return next();
+    }
+
+    if (!key || key.length > MAX_KEY_LENGTH) {
+        return res.status(400).json({ message: `Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} characters` });
+    }
+
+    try {
+        const scope = keyScope(req.user);
+        const requestHash = hashRequest(req);
+
+        await IdempotencyKey.destroy({ where: { expiresAt: { [Op.lt]: new Date() } } });
+
+        const [record, created] = await IdempotencyKey.findOrCreate({
+            where: { scope, key },
+            defaults: {
+                method: req.method,
+                path: req.originalUrl,
+                requestHash,
+                expiresAt: new Date(Date.now() + checkoutConfig.idempotencyKeyTtlHours * 60 * 60 * 1000)
+            }
+        });
+
+        if (!created) {
+            if (record.requestHash !== requestHash) {
+                return res.status(409).json({ message: "This Idempotency-Key was already used for a different request" });
+            }
+
+            if (record.responseStatus === null) {
+                return res.status(409).json({ message: "A request with this Idempotency-Key is still being processed" });
+            }
+
+            res.set("Idempotent-Replayed", "true");
+            return res.status(record.responseStatus).json(record.responseBody);
+        }
+
+        // Store the response before sending it, so a retry never runs the request a second time.
+        // Server errors are not stored and free the key for another attempt.
+        let stored = false;
+        const sendJson = res.json.bind(res);
+        res.json = (body) => {
+            stored = true;
+            const saved = res.statusCode >= 500
+                ? record.destroy()
+                : record.update({ responseStatus: res.statusCode, responseBody: body ?? null });
+
+            saved
+                .catch(error => console.log("Error while storing idempotent response", error))
+                .finally(() => sendJson(body));
+
+            return res;
+        };
+
+        // A response that was not JSON (e.g. Express's own error page) cannot be replayed, so free the key.
+        // A dropped connection does not: the request may still complete and must not run twice.
+        res.on("finish", () => {
+            if (!stored) {
+                record.destroy().catch(error => console.log("Error while releasing Idempotency-Key", error));
+            }
+        });
+
+        next();
+    } catch (error) {
+        console.log("Error while checking Idempotency-Key", error);
+        return res.status(500).json({ message: "Internal server error" });
+    }
+};
+
+module.exports = { idempotent };
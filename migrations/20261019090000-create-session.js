@@ -0,0 +1,55 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable(
+      { schema: "ecommerce", tableName: "Sessions"}, {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: "Users",
+          key: "id",
+        },
+        onDelete: "CASCADE"
+      },
+      refreshTokenHash: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      expiresAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      revokedAt: {
+        type: Sequelize.DATE
+      },
+      lastUsedAt: {
+        type: Sequelize.DATE
+      },
+      userAgent: {
+        type: Sequelize.STRING
+      },
+      ipAddress: {
+        type: Sequelize.STRING
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable({ schema: "ecommerce", tableName: "Sessions"});
+  }
+};
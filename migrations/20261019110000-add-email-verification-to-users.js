@@ -0,0 +1,27 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const table = { schema: "ecommerce", tableName: "Users" };
+
+    await queryInterface.addColumn(table, "emailVerifiedAt", {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    await queryInterface.addColumn(table, "verificationSentAt", {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    // Accounts created before verification existed are treated as verified
+    await queryInterface.sequelize.query(
+      'UPDATE "ecommerce"."Users" SET "emailVerifiedAt" = "createdAt" WHERE "emailVerifiedAt" IS NULL;'
+    );
+  },
+  async down(queryInterface, Sequelize) {
+    const table = { schema: "ecommerce", tableName: "Users" };
+
+    await queryInterface.removeColumn(table, "verificationSentAt");
+    await queryInterface.removeColumn(table, "emailVerifiedAt");
+  }
+};
@@ -0,0 +1,21 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.query(
+      `ALTER TYPE "ecommerce"."enum_Users_role" ADD VALUE IF NOT EXISTS 'staff';`
+    );
+  },
+  async down(queryInterface, Sequelize) {
+    // Postgres cannot drop a single enum value, so rebuild the type without it
+    await queryInterface.sequelize.query(`UPDATE "ecommerce"."Users" SET "role" = 'customer' WHERE "role" = 'staff';`);
+    await queryInterface.sequelize.query(`ALTER TABLE "ecommerce"."Users" ALTER COLUMN "role" DROP DEFAULT;`);
+    await queryInterface.sequelize.query(`ALTER TYPE "ecommerce"."enum_Users_role" RENAME TO "enum_Users_role_old";`);
+    await queryInterface.sequelize.query(`CREATE TYPE "ecommerce"."enum_Users_role" AS ENUM ('admin', 'customer');`);
+    await queryInterface.sequelize.query(
+      `ALTER TABLE "ecommerce"."Users" ALTER COLUMN "role" TYPE "ecommerce"."enum_Users_role" USING "role"::text::"ecommerce"."enum_Users_role";`
+    );
+    await queryInterface.sequelize.query(`ALTER TABLE "ecommerce"."Users" ALTER COLUMN "role" SET DEFAULT 'customer';`);
+    await queryInterface.sequelize.query(`DROP TYPE "ecommerce"."enum_Users_role_old";`);
+  }
+};
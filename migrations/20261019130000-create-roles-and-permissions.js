@@ -0,0 +1,174 @@
+'use strict';
+
+const PERMISSIONS = [
+  ["product:write", "Create, update and delete products"],
+  ["category:write", "Create, update and delete categories"],
+  ["order:read", "View any customer's orders"],
+  ["order:write", "Place and cancel orders on behalf of customers"],
+  ["order:update-status", "Move orders through their lifecycle"],
+  ["cart:manage", "View and edit any customer's cart"],
+  ["user:read", "View user accounts"],
+  ["user:write", "Edit user accounts"],
+  ["user:delete", "Delete user accounts"],
+  ["user:invite", "Invite admins and staff"],
+  ["role:manage", "Manage roles and their permissions"]
+];
+
+const ROLES = [
+  ["admin", "Full access", true, PERMISSIONS.map(([name]) => name)],
+  ["customer", "Shopper account", true, []],
+  ["staff", "General staff", false, ["order:read", "order:update-status", "user:read"]],
+  ["warehouse", "Warehouse staff", false, ["order:read", "order:update-status"]],
+  ["support", "Customer support", false, ["order:read", "order:write", "cart:manage", "user:read"]]
+];
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable(
+      { schema: "ecommerce", tableName: "Roles"}, {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true
+      },
+      description: {
+        type: Sequelize.STRING
+      },
+      isSystem: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.createTable(
+      { schema: "ecommerce", tableName: "Permissions"}, {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true
+      },
+      description: {
+        type: Sequelize.STRING
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.createTable(
+      { schema: "ecommerce", tableName: "RolePermissions"}, {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      roleId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: "Roles",
+          key: "id",
+        },
+        onDelete: "CASCADE"
+      },
+      permissionId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: "Permissions",
+          key: "id",
+        },
+        onDelete: "CASCADE"
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex(
+      { schema: "ecommerce", tableName: "RolePermissions"},
+      ["roleId", "permissionId"],
+      { unique: true }
+    );
+
+    const now = new Date();
+
+    await queryInterface.bulkInsert({ schema: "ecommerce", tableName: "Permissions"},
+      PERMISSIONS.map(([name, description]) => ({ name, description, createdAt: now, updatedAt: now })));
+
+    await queryInterface.bulkInsert({ schema: "ecommerce", tableName: "Roles"},
+      ROLES.map(([name, description, isSystem]) => ({ name, description, isSystem, createdAt: now, updatedAt: now })));
+
+    for (const [roleName, , , permissionNames] of ROLES) {
+      if (permissionNames.length === 0) continue;
+
+      await queryInterface.sequelize.query(
+        `INSERT INTO "ecommerce"."RolePermissions" ("roleId", "permissionId", "createdAt", "updatedAt")
+         SELECT r."id", p."id", NOW(), NOW()
+         FROM "ecommerce"."Roles" r, "ecommerce"."Permissions" p
+         WHERE r."name" = :roleName AND p."name" IN (:permissionNames);`,
+        { replacements: { roleName, permissionNames } }
+      );
+    }
+
+    // Users.role becomes a plain string pointing at Roles.name instead of a fixed enum
+    await queryInterface.sequelize.query(`ALTER TABLE "ecommerce"."Users" ALTER COLUMN "role" DROP DEFAULT;`);
+    await queryInterface.sequelize.query(`ALTER TABLE "ecommerce"."Users" ALTER COLUMN "role" TYPE VARCHAR(255) USING "role"::text;`);
+    await queryInterface.sequelize.query(`ALTER TABLE "ecommerce"."Users" ALTER COLUMN "role" SET DEFAULT 'customer';`);
+    await queryInterface.sequelize.query(`DROP TYPE IF EXISTS "ecommerce"."enum_Users_role";`);
+    await queryInterface.sequelize.query(
+      `ALTER TABLE "ecommerce"."Users" ADD CONSTRAINT "Users_role_fkey"
+       FOREIGN KEY ("role") REFERENCES "ecommerce"."Roles" ("name") ON UPDATE CASCADE;`
+    );
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.sequelize.query(`ALTER TABLE "ecommerce"."Users" DROP CONSTRAINT IF EXISTS "Users_role_fkey";`);
+    await queryInterface.sequelize.query(
+      `UPDATE "ecommerce"."Users" SET "role" = 'staff' WHERE "role" NOT IN ('admin', 'staff', 'customer');`
+    );
+    await queryInterface.sequelize.query(`CREATE TYPE "ecommerce"."enum_Users_role" AS ENUM ('admin', 'staff', 'customer');`);
+    await queryInterface.sequelize.query(`ALTER TABLE "ecommerce"."Users" ALTER COLUMN "role" DROP DEFAULT;`);
+    await queryInterface.sequelize.query(
+      `ALTER TABLE "ecommerce"."Users" ALTER COLUMN "role" TYPE "ecommerce"."enum_Users_role" USING "role"::"ecommerce"."enum_Users_role";`
+    );
+    await queryInterface.sequelize.query(`ALTER TABLE "ecommerce"."Users" ALTER COLUMN "role" SET DEFAULT 'customer';`);
+
+    await queryInterface.dropTable({ schema: "ecommerce", tableName: "RolePermissions"});
+    await queryInterface.dropTable({ schema: "ecommerce", tableName: "Permissions"});
+    await queryInterface.dropTable({ schema: "ecommerce", tableName: "Roles"});
+  }
+};
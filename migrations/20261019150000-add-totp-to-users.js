@@ -0,0 +1,32 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const table = { schema: "ecommerce", tableName: "Users" };
+
+    await queryInterface.addColumn(table, "totpSecret", {
+      type: Sequelize.STRING,
+      allowNull: true
+    });
+    await queryInterface.addColumn(table, "totpEnabledAt", {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    await queryInterface.addColumn(table, "totpLastUsedStep", {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+    await queryInterface.addColumn(table, "totpRecoveryCodes", {
+      type: Sequelize.JSONB,
+      allowNull: true
+    });
+  },
+  async down(queryInterface, Sequelize) {
+    const table = { schema: "ecommerce", tableName: "Users" };
+
+    await queryInterface.removeColumn(table, "totpRecoveryCodes");
+    await queryInterface.removeColumn(table, "totpLastUsedStep");
+    await queryInterface.removeColumn(table, "totpEnabledAt");
+    await queryInterface.removeColumn(table, "totpSecret");
+  }
+};
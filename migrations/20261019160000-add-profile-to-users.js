@@ -0,0 +1,33 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const table = { schema: "ecommerce", tableName: "Users" };
+
+    await queryInterface.addColumn(table, "firstName", {
+      type: Sequelize.STRING,
+      allowNull: true
+    });
+    await queryInterface.addColumn(table, "lastName", {
+      type: Sequelize.STRING,
+      allowNull: true
+    });
+    await queryInterface.addColumn(table, "phone", {
+      type: Sequelize.STRING,
+      allowNull: true
+    });
+    await queryInterface.addColumn(table, "preferences", {
+      type: Sequelize.JSONB,
+      allowNull: false,
+      defaultValue: {}
+    });
+  },
+  async down(queryInterface, Sequelize) {
+    const table = { schema: "ecommerce", tableName: "Users" };
+
+    await queryInterface.removeColumn(table, "preferences");
+    await queryInterface.removeColumn(table, "phone");
+    await queryInterface.removeColumn(table, "lastName");
+    await queryInterface.removeColumn(table, "firstName");
+  }
+};
@@ -0,0 +1,68 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable(
+      { schema: "ecommerce", tableName: "Addresses"}, {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: "Users",
+          key: "id",
+        },
+        onDelete: "CASCADE"
+      },
+      label: {
+        type: Sequelize.STRING
+      },
+      fullName: {
+        type: Sequelize.STRING
+      },
+      phone: {
+        type: Sequelize.STRING
+      },
+      address: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      city: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      zipcode: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      isDefault: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    // At most one default address per user
+    await queryInterface.addIndex(
+      { schema: "ecommerce", tableName: "Addresses"},
+      ["userId"],
+      { unique: true, where: { isDefault: true }, name: "addresses_one_default_per_user" }
+    );
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable({ schema: "ecommerce", tableName: "Addresses"});
+  }
+};
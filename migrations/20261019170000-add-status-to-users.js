@@ -0,0 +1,40 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const table = { schema: "ecommerce", tableName: "Users" };
+
+    await queryInterface.addColumn(table, "status", {
+      type: Sequelize.ENUM("active", "suspended", "deleted"),
+      allowNull: false,
+      defaultValue: "active"
+    });
+    await queryInterface.addColumn(table, "suspendedAt", {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    await queryInterface.addColumn(table, "suspensionReason", {
+      type: Sequelize.STRING,
+      allowNull: true
+    });
+    await queryInterface.addColumn(table, "passwordResetRequired", {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    });
+    await queryInterface.addColumn(table, "deletedAt", {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+  },
+  async down(queryInterface, Sequelize) {
+    const table = { schema: "ecommerce", tableName: "Users" };
+
+    await queryInterface.removeColumn(table, "deletedAt");
+    await queryInterface.removeColumn(table, "passwordResetRequired");
+    await queryInterface.removeColumn(table, "suspensionReason");
+    await queryInterface.removeColumn(table, "suspendedAt");
+    await queryInterface.removeColumn(table, "status");
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "ecommerce"."enum_Users_status";');
+  }
+};
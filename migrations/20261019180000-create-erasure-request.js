@@ -0,0 +1,72 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable(
+      { schema: "ecommerce", tableName: "ErasureRequests"}, {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: "Users",
+          key: "id",
+        },
+        onDelete: "CASCADE"
+      },
+      status: {
+        type: Sequelize.ENUM("pending", "approved", "denied"),
+        allowNull: false,
+        defaultValue: "pending"
+      },
+      reason: {
+        type: Sequelize.TEXT
+      },
+      reviewedById: {
+        type: Sequelize.INTEGER,
+        references: {
+          model: "Users",
+          key: "id",
+        },
+        onDelete: "SET NULL"
+      },
+      reviewedAt: {
+        type: Sequelize.DATE
+      },
+      decisionNote: {
+        type: Sequelize.TEXT
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    const now = new Date();
+
+    await queryInterface.bulkInsert({ schema: "ecommerce", tableName: "Permissions"}, [
+      { name: "privacy:manage", description: "Review data erasure requests", createdAt: now, updatedAt: now }
+    ]);
+
+    await queryInterface.sequelize.query(
+      `INSERT INTO "ecommerce"."RolePermissions" ("roleId", "permissionId", "createdAt", "updatedAt")
+       SELECT r."id", p."id", NOW(), NOW()
+       FROM "ecommerce"."Roles" r, "ecommerce"."Permissions" p
+       WHERE r."name" = 'admin' AND p."name" = 'privacy:manage';`
+    );
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.bulkDelete({ schema: "ecommerce", tableName: "Permissions"}, { name: "privacy:manage" });
+    await queryInterface.dropTable({ schema: "ecommerce", tableName: "ErasureRequests"});
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "ecommerce"."enum_ErasureRequests_status";');
+  }
+};
@@ -0,0 +1,81 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable(
+      { schema: "ecommerce", tableName: "ApiKeys"}, {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      prefix: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true
+      },
+      keyHash: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      scopes: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
+      expiresAt: {
+        type: Sequelize.DATE
+      },
+      lastUsedAt: {
+        type: Sequelize.DATE
+      },
+      lastUsedIp: {
+        type: Sequelize.STRING
+      },
+      rotatedAt: {
+        type: Sequelize.DATE
+      },
+      revokedAt: {
+        type: Sequelize.DATE
+      },
+      createdById: {
+        type: Sequelize.INTEGER,
+        references: {
+          model: "Users",
+          key: "id",
+        },
+        onDelete: "SET NULL"
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    const now = new Date();
+
+    await queryInterface.bulkInsert({ schema: "ecommerce", tableName: "Permissions"}, [
+      { name: "apikey:manage", description: "Create, rotate and revoke API keys", createdAt: now, updatedAt: now }
+    ]);
+
+    await queryInterface.sequelize.query(
+      `INSERT INTO "ecommerce"."RolePermissions" ("roleId", "permissionId", "createdAt", "updatedAt")
+       SELECT r."id", p."id", NOW(), NOW()
+       FROM "ecommerce"."Roles" r, "ecommerce"."Permissions" p
+       WHERE r."name" = 'admin' AND p."name" = 'apikey:manage';`
+    );
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.bulkDelete({ schema: "ecommerce", tableName: "Permissions"}, { name: "apikey:manage" });
+    await queryInterface.dropTable({ schema: "ecommerce", tableName: "ApiKeys"});
+  }
+};
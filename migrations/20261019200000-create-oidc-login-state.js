@@ -0,0 +1,47 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable(
+      { schema: "ecommerce", tableName: "OidcLoginStates"}, {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      stateHash: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true
+      },
+      provider: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      codeVerifier: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      nonce: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      expiresAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable({ schema: "ecommerce", tableName: "OidcLoginStates"});
+  }
+};
@@ -0,0 +1,28 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const table = { schema: "ecommerce", tableName: "Orders" };
+
+    await queryInterface.changeColumn(table, "userId", {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+    await queryInterface.addColumn(table, "guestEmail", {
+      type: Sequelize.STRING,
+      allowNull: true
+    });
+    await queryInterface.addColumn(table, "guestPhone", {
+      type: Sequelize.STRING,
+      allowNull: true
+    });
+    await queryInterface.addIndex(table, ["guestEmail"]);
+  },
+  async down(queryInterface, Sequelize) {
+    const table = { schema: "ecommerce", tableName: "Orders" };
+
+    await queryInterface.removeIndex(table, ["guestEmail"]);
+    await queryInterface.removeColumn(table, "guestPhone");
+    await queryInterface.removeColumn(table, "guestEmail");
+  }
+};
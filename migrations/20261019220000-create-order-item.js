@@ -0,0 +1,94 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const orders = { schema: "ecommerce", tableName: "Orders" };
+
+    await queryInterface.createTable(
+      { schema: "ecommerce", tableName: "OrderItems"}, {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      orderId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: "Orders",
+          key: "id",
+        },
+        onDelete: "CASCADE"
+      },
+      productId: {
+        type: Sequelize.INTEGER,
+        references: {
+          model: "Products",
+          key: "id",
+        },
+        onDelete: "SET NULL"
+      },
+      productName: {
+        type: Sequelize.STRING
+      },
+      quantity: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      unitPrice: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      lineTotal: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex({ schema: "ecommerce", tableName: "OrderItems"}, ["orderId"]);
+
+    // Every existing order held exactly one product; it becomes that order's only line
+    await queryInterface.sequelize.query(
+      `INSERT INTO "ecommerce"."OrderItems"
+         ("orderId", "productId", "productName", "quantity", "unitPrice", "lineTotal", "createdAt", "updatedAt")
+       SELECT o."id", p."id", p."name", COALESCE(o."quantity", 1),
+              ROUND(o."totalAmount" / NULLIF(COALESCE(o."quantity", 1), 0), 2), o."totalAmount",
+              o."createdAt", o."updatedAt"
+       FROM "ecommerce"."Orders" o
+       LEFT JOIN "ecommerce"."Products" p ON p."id" = o."productId"
+       WHERE o."productId" IS NOT NULL;`
+    );
+
+    await queryInterface.removeColumn(orders, "productId");
+    await queryInterface.removeColumn(orders, "quantity");
+  },
+  async down(queryInterface, Sequelize) {
+    const orders = { schema: "ecommerce", tableName: "Orders" };
+
+    await queryInterface.addColumn(orders, "productId", { type: Sequelize.INTEGER });
+    await queryInterface.addColumn(orders, "quantity", { type: Sequelize.INTEGER });
+
+    // Only the first line of multi-line orders survives a rollback
+    await queryInterface.sequelize.query(
+      `UPDATE "ecommerce"."Orders" o
+       SET "productId" = i."productId", "quantity" = i."quantity"
+       FROM (
+         SELECT DISTINCT ON ("orderId") "orderId", "productId", "quantity"
+         FROM "ecommerce"."OrderItems"
+         ORDER BY "orderId", "id"
+       ) i
+       WHERE i."orderId" = o."id";`
+    );
+
+    await queryInterface.dropTable({ schema: "ecommerce", tableName: "OrderItems"});
+  }
+};
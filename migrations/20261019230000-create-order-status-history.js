@@ -0,0 +1,88 @@
+'use strict';
+
+const STATUSES = ["Pending", "Confirmed", "Packed", "Shipped", "Delivered", "Cancelled", "Returned"];
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable(
+      { schema: "ecommerce", tableName: "OrderStatusHistories"}, {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      orderId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: "Orders",
+          key: "id",
+        },
+        onDelete: "CASCADE"
+      },
+      fromStatus: {
+        type: Sequelize.STRING
+      },
+      toStatus: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      changedById: {
+        type: Sequelize.INTEGER,
+        references: {
+          model: "Users",
+          key: "id",
+        },
+        onDelete: "SET NULL"
+      },
+      note: {
+        type: Sequelize.TEXT
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex({ schema: "ecommerce", tableName: "OrderStatusHistories"}, ["orderId"]);
+
+    // Statuses were free text; fold spelling and case variants into the lifecycle names
+    for (const status of STATUSES) {
+      await queryInterface.sequelize.query(
+        `UPDATE "ecommerce"."Orders" SET "status" = :status WHERE LOWER(TRIM("status")) = LOWER(:status) AND "status" <> :status;`,
+        { replacements: { status } }
+      );
+    }
+    await queryInterface.sequelize.query(
+      `UPDATE "ecommerce"."Orders" SET "status" = 'Cancelled' WHERE LOWER(TRIM("status")) = 'canceled';`
+    );
+    await queryInterface.sequelize.query(
+      `UPDATE "ecommerce"."Orders" SET "status" = 'Pending' WHERE "status" IS NULL OR "status" NOT IN (:statuses);`,
+      { replacements: { statuses: STATUSES } }
+    );
+
+    // Existing orders start their history at their current status
+    await queryInterface.sequelize.query(
+      `INSERT INTO "ecommerce"."OrderStatusHistories" ("orderId", "fromStatus", "toStatus", "note", "createdAt", "updatedAt")
+       SELECT "id", NULL, "status", 'Imported when order history was introduced', "createdAt", NOW()
+       FROM "ecommerce"."Orders";`
+    );
+
+    await queryInterface.addConstraint({ schema: "ecommerce", tableName: "Orders"}, {
+      fields: ["status"],
+      type: "check",
+      name: "Orders_status_check",
+      where: { status: STATUSES }
+    });
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeConstraint({ schema: "ecommerce", tableName: "Orders"}, "Orders_status_check");
+    await queryInterface.dropTable({ schema: "ecommerce", tableName: "OrderStatusHistories"});
+  }
+};
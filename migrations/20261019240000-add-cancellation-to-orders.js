@@ -0,0 +1,22 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const table = { schema: "ecommerce", tableName: "Orders" };
+
+    await queryInterface.addColumn(table, "cancellationReason", {
+      type: Sequelize.TEXT,
+      allowNull: true
+    });
+    await queryInterface.addColumn(table, "cancelledAt", {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+  },
+  async down(queryInterface, Sequelize) {
+    const table = { schema: "ecommerce", tableName: "Orders" };
+
+    await queryInterface.removeColumn(table, "cancelledAt");
+    await queryInterface.removeColumn(table, "cancellationReason");
+  }
+};
@@ -0,0 +1,67 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable(
+      { schema: "ecommerce", tableName: "StockReservations"}, {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: "Users",
+          key: "id",
+        },
+        onDelete: "CASCADE"
+      },
+      productId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: "Products",
+          key: "id",
+        },
+        onDelete: "CASCADE"
+      },
+      quantity: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      expiresAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex({ schema: "ecommerce", tableName: "StockReservations"}, ["userId"]);
+    await queryInterface.addIndex({ schema: "ecommerce", tableName: "StockReservations"}, ["expiresAt"]);
+
+    // Last line of defence against overselling: stock can never be taken below zero
+    await queryInterface.sequelize.query(
+      `UPDATE "ecommerce"."Products" SET "stock" = 0 WHERE "stock" < 0;`
+    );
+    await queryInterface.addConstraint({ schema: "ecommerce", tableName: "Products"}, {
+      fields: ["stock"],
+      type: "check",
+      name: "Products_stock_check",
+      where: { stock: { [Sequelize.Op.gte]: 0 } }
+    });
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeConstraint({ schema: "ecommerce", tableName: "Products"}, "Products_stock_check");
+    await queryInterface.dropTable({ schema: "ecommerce", tableName: "StockReservations"});
+  }
+};
@@ -0,0 +1,63 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable(
+      { schema: "ecommerce", tableName: "IdempotencyKeys"}, {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      scope: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      key: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      method: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      path: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      requestHash: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      responseStatus: {
+        type: Sequelize.INTEGER
+      },
+      responseBody: {
+        type: Sequelize.JSONB
+      },
+      expiresAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex(
+      { schema: "ecommerce", tableName: "IdempotencyKeys"},
+      ["scope", "key"],
+      { unique: true }
+    );
+    await queryInterface.addIndex({ schema: "ecommerce", tableName: "IdempotencyKeys"}, ["expiresAt"]);
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable({ schema: "ecommerce", tableName: "IdempotencyKeys"});
+  }
+};
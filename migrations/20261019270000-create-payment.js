@@ -0,0 +1,79 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable(
+      { schema: "ecommerce", tableName: "Payments"}, {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      orderId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: "Orders",
+          key: "id",
+        },
+        onDelete: "CASCADE"
+      },
+      provider: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      providerReference: {
+        type: Sequelize.STRING
+      },
+      amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      currency: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      refundedAmount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      nextAction: {
+        type: Sequelize.JSONB
+      },
+      failureReason: {
+        type: Sequelize.STRING
+      },
+      capturedAt: {
+        type: Sequelize.DATE
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex({ schema: "ecommerce", tableName: "Payments"}, ["orderId"]);
+    await queryInterface.addIndex({ schema: "ecommerce", tableName: "Payments"}, ["provider", "providerReference"]);
+
+    // Orders placed before payments existed were never charged through the API
+    await queryInterface.addColumn({ schema: "ecommerce", tableName: "Orders"}, "paymentStatus", {
+      type: Sequelize.STRING,
+      allowNull: false,
+      defaultValue: "unpaid"
+    });
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn({ schema: "ecommerce", tableName: "Orders"}, "paymentStatus");
+    await queryInterface.dropTable({ schema: "ecommerce", tableName: "Payments"});
+  }
+};
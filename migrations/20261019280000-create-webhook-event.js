@@ -0,0 +1,78 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable(
+      { schema: "ecommerce", tableName: "WebhookEvents"}, {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      provider: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      eventId: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      type: {
+        type: Sequelize.STRING
+      },
+      payload: {
+        type: Sequelize.JSONB,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        defaultValue: "pending"
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      lastError: {
+        type: Sequelize.TEXT
+      },
+      processedAt: {
+        type: Sequelize.DATE
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex(
+      { schema: "ecommerce", tableName: "WebhookEvents"},
+      ["provider", "eventId"],
+      { unique: true }
+    );
+    await queryInterface.addIndex({ schema: "ecommerce", tableName: "WebhookEvents"}, ["status"]);
+
+    const now = new Date();
+
+    await queryInterface.bulkInsert({ schema: "ecommerce", tableName: "Permissions"}, [
+      { name: "webhook:manage", description: "View and reprocess payment webhook events", createdAt: now, updatedAt: now }
+    ]);
+
+    await queryInterface.sequelize.query(
+      `INSERT INTO "ecommerce"."RolePermissions" ("roleId", "permissionId", "createdAt", "updatedAt")
+       SELECT r."id", p."id", NOW(), NOW()
+       FROM "ecommerce"."Roles" r, "ecommerce"."Permissions" p
+       WHERE r."name" = 'admin' AND p."name" = 'webhook:manage';`
+    );
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.bulkDelete({ schema: "ecommerce", tableName: "Permissions"}, { name: "webhook:manage" });
+    await queryInterface.dropTable({ schema: "ecommerce", tableName: "WebhookEvents"});
+  }
+};
@@ -0,0 +1,138 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable(
+      { schema: "ecommerce", tableName: "Refunds"}, {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      orderId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: "Orders",
+          key: "id",
+        },
+        onDelete: "CASCADE"
+      },
+      paymentId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: "Payments",
+          key: "id",
+        },
+        onDelete: "CASCADE"
+      },
+      amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      reason: {
+        type: Sequelize.TEXT
+      },
+      restocked: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      providerReference: {
+        type: Sequelize.STRING
+      },
+      createdById: {
+        type: Sequelize.INTEGER,
+        references: {
+          model: "Users",
+          key: "id",
+        },
+        onDelete: "SET NULL"
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex({ schema: "ecommerce", tableName: "Refunds"}, ["orderId"]);
+    await queryInterface.addIndex({ schema: "ecommerce", tableName: "Refunds"}, ["providerReference"]);
+
+    await queryInterface.createTable(
+      { schema: "ecommerce", tableName: "RefundItems"}, {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      refundId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: "Refunds",
+          key: "id",
+        },
+        onDelete: "CASCADE"
+      },
+      orderItemId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: "OrderItems",
+          key: "id",
+        },
+        onDelete: "CASCADE"
+      },
+      quantity: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex({ schema: "ecommerce", tableName: "RefundItems"}, ["orderItemId"]);
+
+    await queryInterface.addColumn({ schema: "ecommerce", tableName: "Orders"}, "refundedAmount", {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0
+    });
+
+    const now = new Date();
+
+    await queryInterface.bulkInsert({ schema: "ecommerce", tableName: "Permissions"}, [
+      { name: "order:refund", description: "Refund orders and order lines", createdAt: now, updatedAt: now }
+    ]);
+
+    await queryInterface.sequelize.query(
+      `INSERT INTO "ecommerce"."RolePermissions" ("roleId", "permissionId", "createdAt", "updatedAt")
+       SELECT r."id", p."id", NOW(), NOW()
+       FROM "ecommerce"."Roles" r, "ecommerce"."Permissions" p
+       WHERE r."name" IN ('admin', 'support') AND p."name" = 'order:refund';`
+    );
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.bulkDelete({ schema: "ecommerce", tableName: "Permissions"}, { name: "order:refund" });
+    await queryInterface.removeColumn({ schema: "ecommerce", tableName: "Orders"}, "refundedAmount");
+    await queryInterface.dropTable({ schema: "ecommerce", tableName: "RefundItems"});
+    await queryInterface.dropTable({ schema: "ecommerce", tableName: "Refunds"});
+  }
+};
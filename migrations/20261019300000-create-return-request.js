@@ -0,0 +1,214 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable(
+      { schema: "ecommerce", tableName: "StoreCredits"}, {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: "Users",
+          key: "id",
+        },
+        onDelete: "CASCADE"
+      },
+      amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      reason: {
+        type: Sequelize.STRING
+      },
+      createdById: {
+        type: Sequelize.INTEGER,
+        references: {
+          model: "Users",
+          key: "id",
+        },
+        onDelete: "SET NULL"
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex({ schema: "ecommerce", tableName: "StoreCredits"}, ["userId"]);
+
+    await queryInterface.createTable(
+      { schema: "ecommerce", tableName: "ReturnRequests"}, {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      orderId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: "Orders",
+          key: "id",
+        },
+        onDelete: "CASCADE"
+      },
+      userId: {
+        type: Sequelize.INTEGER,
+        references: {
+          model: "Users",
+          key: "id",
+        },
+        onDelete: "SET NULL"
+      },
+      status: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        defaultValue: "requested"
+      },
+      reason: {
+        type: Sequelize.TEXT
+      },
+      photoUrls: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
+      reviewedById: {
+        type: Sequelize.INTEGER,
+        references: {
+          model: "Users",
+          key: "id",
+        },
+        onDelete: "SET NULL"
+      },
+      reviewedAt: {
+        type: Sequelize.DATE
+      },
+      decisionNote: {
+        type: Sequelize.TEXT
+      },
+      receivedAt: {
+        type: Sequelize.DATE
+      },
+      inspectedById: {
+        type: Sequelize.INTEGER,
+        references: {
+          model: "Users",
+          key: "id",
+        },
+        onDelete: "SET NULL"
+      },
+      inspectedAt: {
+        type: Sequelize.DATE
+      },
+      inspectionNote: {
+        type: Sequelize.TEXT
+      },
+      inspectionOutcome: {
+        type: Sequelize.STRING
+      },
+      resolution: {
+        type: Sequelize.STRING
+      },
+      refundId: {
+        type: Sequelize.INTEGER,
+        references: {
+          model: "Refunds",
+          key: "id",
+        },
+        onDelete: "SET NULL"
+      },
+      storeCreditId: {
+        type: Sequelize.INTEGER,
+        references: {
+          model: "StoreCredits",
+          key: "id",
+        },
+        onDelete: "SET NULL"
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex({ schema: "ecommerce", tableName: "ReturnRequests"}, ["orderId"]);
+    await queryInterface.addIndex({ schema: "ecommerce", tableName: "ReturnRequests"}, ["status"]);
+
+    await queryInterface.createTable(
+      { schema: "ecommerce", tableName: "ReturnItems"}, {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      returnRequestId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: "ReturnRequests",
+          key: "id",
+        },
+        onDelete: "CASCADE"
+      },
+      orderItemId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: "OrderItems",
+          key: "id",
+        },
+        onDelete: "CASCADE"
+      },
+      quantity: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex({ schema: "ecommerce", tableName: "ReturnItems"}, ["orderItemId"]);
+
+    const now = new Date();
+
+    await queryInterface.bulkInsert({ schema: "ecommerce", tableName: "Permissions"}, [
+      { name: "return:manage", description: "Review, receive and inspect customer returns", createdAt: now, updatedAt: now }
+    ]);
+
+    await queryInterface.sequelize.query(
+      `INSERT INTO "ecommerce"."RolePermissions" ("roleId", "permissionId", "createdAt", "updatedAt")
+       SELECT r."id", p."id", NOW(), NOW()
+       FROM "ecommerce"."Roles" r, "ecommerce"."Permissions" p
+       WHERE r."name" IN ('admin', 'support') AND p."name" = 'return:manage';`
+    );
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.bulkDelete({ schema: "ecommerce", tableName: "Permissions"}, { name: "return:manage" });
+    await queryInterface.dropTable({ schema: "ecommerce", tableName: "ReturnItems"});
+    await queryInterface.dropTable({ schema: "ecommerce", tableName: "ReturnRequests"});
+    await queryInterface.dropTable({ schema: "ecommerce", tableName: "StoreCredits"});
+  }
+};
@@ -0,0 +1,179 @@
+'use strict';
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable(
+      { schema: "ecommerce", tableName: "Shipments"}, {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      orderId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: "Orders",
+          key: "id",
+        },
+        onDelete: "CASCADE"
+      },
+      carrier: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      trackingNumber: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        defaultValue: "shipped"
+      },
+      shippedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      deliveredAt: {
+        type: Sequelize.DATE
+      },
+      createdById: {
+        type: Sequelize.INTEGER,
+        references: {
+          model: "Users",
+          key: "id",
+        },
+        onDelete: "SET NULL"
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex({ schema: "ecommerce", tableName: "Shipments"}, ["orderId"]);
+    await queryInterface.addIndex(
+      { schema: "ecommerce", tableName: "Shipments"},
+      ["carrier", "trackingNumber"],
+      { unique: true }
+    );
+
+    await queryInterface.createTable(
+      { schema: "ecommerce", tableName: "ShipmentItems"}, {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      shipmentId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: "Shipments",
+          key: "id",
+        },
+        onDelete: "CASCADE"
+      },
+      orderItemId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: "OrderItems",
+          key: "id",
+        },
+        onDelete: "CASCADE"
+      },
+      quantity: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex({ schema: "ecommerce", tableName: "ShipmentItems"}, ["orderItemId"]);
+
+    await queryInterface.createTable(
+      { schema: "ecommerce", tableName: "ShipmentEvents"}, {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      shipmentId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: "Shipments",
+          key: "id",
+        },
+        onDelete: "CASCADE"
+      },
+      externalId: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      description: {
+        type: Sequelize.STRING
+      },
+      location: {
+        type: Sequelize.STRING
+      },
+      occurredAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex(
+      { schema: "ecommerce", tableName: "ShipmentEvents"},
+      ["shipmentId", "externalId"],
+      { unique: true }
+    );
+
+    const now = new Date();
+
+    await queryInterface.bulkInsert({ schema: "ecommerce", tableName: "Permissions"}, [
+      { name: "order:ship", description: "Create shipments and refresh their tracking", createdAt: now, updatedAt: now }
+    ]);
+
+    await queryInterface.sequelize.query(
+      `INSERT INTO "ecommerce"."RolePermissions" ("roleId", "permissionId", "createdAt", "updatedAt")
+       SELECT r."id", p."id", NOW(), NOW()
+       FROM "ecommerce"."Roles" r, "ecommerce"."Permissions" p
+       WHERE r."name" IN ('admin', 'staff', 'warehouse') AND p."name" = 'order:ship';`
+    );
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.bulkDelete({ schema: "ecommerce", tableName: "Permissions"}, { name: "order:ship" });
+    await queryInterface.dropTable({ schema: "ecommerce", tableName: "ShipmentEvents"});
+    await queryInterface.dropTable({ schema: "ecommerce", tableName: "ShipmentItems"});
+    await queryInterface.dropTable({ schema: "ecommerce", tableName: "Shipments"});
+  }
+};
@@ -0,0 +1,30 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class Address extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      Address.belongsTo(models.User, { foreignKey: 'userId', as: 'user' });
+    }
+  }
+  Address.init({
+    userId: DataTypes.INTEGER,
+    label: DataTypes.STRING,
+    fullName: DataTypes.STRING,
+    phone: DataTypes.STRING,
+    address: DataTypes.TEXT,
+    city: DataTypes.STRING,
+    zipcode: DataTypes.STRING,
+    isDefault: DataTypes.BOOLEAN
+  }, {
+    sequelize,
+    modelName: 'Address',
+  });
+  return Address;
+};
@@ -0,0 +1,46 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class ApiKey extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      ApiKey.belongsTo(models.User, { foreignKey: 'createdById', as: 'createdBy' });
+    }
+  }
+  ApiKey.init({
+    name: DataTypes.STRING,
+    prefix: DataTypes.STRING,
+    keyHash: DataTypes.STRING,
+    scopes: DataTypes.JSONB,
+    expiresAt: DataTypes.DATE,
+    lastUsedAt: DataTypes.DATE,
+    lastUsedIp: DataTypes.STRING,
+    rotatedAt: DataTypes.DATE,
+    revokedAt: DataTypes.DATE,
+    createdById: DataTypes.INTEGER,
+    status: {
+      type: DataTypes.VIRTUAL,
+      get() {
+        if (this.revokedAt) return "revoked";
+        if (this.expiresAt && this.expiresAt < new Date()) return "expired";
+        return "active";
+      }
+    }
+  }, {
+    sequelize,
+    modelName: 'ApiKey',
+    defaultScope: {
+      attributes: { exclude: ['keyHash'] }
+    },
+    scopes: {
+      withHash: {}
+    }
+  });
+  return ApiKey;
+};
@@ -0,0 +1,29 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class ErasureRequest extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      ErasureRequest.belongsTo(models.User, { foreignKey: 'userId', as: 'user' });
+      ErasureRequest.belongsTo(models.User, { foreignKey: 'reviewedById', as: 'reviewedBy' });
+    }
+  }
+  ErasureRequest.init({
+    userId: DataTypes.INTEGER,
+    status: DataTypes.ENUM("pending", "approved", "denied"),
+    reason: DataTypes.TEXT,
+    reviewedById: DataTypes.INTEGER,
+    reviewedAt: DataTypes.DATE,
+    decisionNote: DataTypes.TEXT
+  }, {
+    sequelize,
+    modelName: 'ErasureRequest',
+  });
+  return ErasureRequest;
+};
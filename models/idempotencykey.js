@@ -0,0 +1,30 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class IdempotencyKey extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // define association here
+    }
+  }
+  IdempotencyKey.init({
+    scope: DataTypes.STRING, // who sent the key, e.g. "user:12", "api_key:3" or "anonymous"
+    key: DataTypes.STRING,
+    method: DataTypes.STRING,
+    path: DataTypes.STRING,
+    requestHash: DataTypes.STRING,
+    responseStatus: DataTypes.INTEGER, // null while the first request is still running
+    responseBody: DataTypes.JSONB,
+    expiresAt: DataTypes.DATE
+  }, {
+    sequelize,
+    modelName: 'IdempotencyKey',
+  });
+  return IdempotencyKey;
+};
@@ -0,0 +1,39 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class Invitation extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      Invitation.belongsTo(models.User, { foreignKey: 'invitedById', as: 'invitedBy' });
+      Invitation.belongsTo(models.User, { foreignKey: 'acceptedUserId', as: 'acceptedUser' });
+    }
+  }
+  Invitation.init({
+    email: DataTypes.STRING,
+    role: DataTypes.STRING,
+    invitedById: DataTypes.INTEGER,
+    acceptedUserId: DataTypes.INTEGER,
+    expiresAt: DataTypes.DATE,
+    acceptedAt: DataTypes.DATE,
+    revokedAt: DataTypes.DATE,
+    status: {
+      type: DataTypes.VIRTUAL,
+      get() {
+        if (this.acceptedAt) return "accepted";
+        if (this.revokedAt) return "revoked";
+        if (this.expiresAt && this.expiresAt < new Date()) return "expired";
+        return "pending";
+      }
+    }
+  }, {
+    sequelize,
+    modelName: 'Invitation',
+  });
+  return Invitation;
+};
@@ -0,0 +1,26 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class LoginThrottle extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // define association here
+    }
+  }
+  LoginThrottle.init({
+    key: DataTypes.STRING,
+    failures: DataTypes.INTEGER,
+    lockedUntil: DataTypes.DATE,
+    lastFailureAt: DataTypes.DATE
+  }, {
+    sequelize,
+    modelName: 'LoginThrottle',
+  });
+  return LoginThrottle;
+};
@@ -0,0 +1,27 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class OidcLoginState extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // define association here
+    }
+  }
+  OidcLoginState.init({
+    stateHash: DataTypes.STRING,
+    provider: DataTypes.STRING,
+    codeVerifier: DataTypes.STRING,
+    nonce: DataTypes.STRING,
+    expiresAt: DataTypes.DATE
+  }, {
+    sequelize,
+    modelName: 'OidcLoginState',
+  });
+  return OidcLoginState;
+};
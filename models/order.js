@@ -11,20 +11,40 @@ module.exports = (sequelize, DataTypes) => {
      */
     static associate(models) {
       Order.belongsTo(models.User, { foreignKey: 'userId', as: 'user' });
-    Order.belongsTo(models.Product, { foreignKey: 'productId', as: 'product' });
+      Order.hasMany(models.OrderItem, { foreignKey: 'orderId', as: 'items' });
+      Order.hasMany(models.OrderStatusHistory, { foreignKey: 'orderId', as: 'statusHistory' });
+      Order.hasMany(models.Payment, { foreignKey: 'orderId', as: 'payments' });
+      Order.hasMany(models.Refund, { foreignKey: 'orderId', as: 'refunds' });
+      Order.hasMany(models.ReturnRequest, { foreignKey: 'orderId', as: 'returns' });
+      Order.hasMany(models.Shipment, { foreignKey: 'orderId', as: 'shipments' });
     }
   }
   Order.init({
-    userId: DataTypes.INTEGER,
+    userId: DataTypes.INTEGER, // null for guest orders
+    guestEmail: DataTypes.STRING,
+    guestPhone: DataTypes.STRING,
     totalAmount: DataTypes.DECIMAL,
-    status: DataTypes.STRING,
+    status: {
+      type: DataTypes.STRING, // see services/orderLifecycle for the allowed values and moves
+      validate: {
+        isIn: [["Pending", "Confirmed", "Packed", "Shipped", "Delivered", "Cancelled", "Returned"]]
+      }
+    },
     address: DataTypes.TEXT,
     city: DataTypes.STRING,
     zipcode: DataTypes.STRING,
     deliveryDate: DataTypes.DATE,
     courierName: DataTypes.STRING,
-    productId: DataTypes.INTEGER,
-    quantity: DataTypes.INTEGER
+    paymentStatus: {
+      type: DataTypes.STRING, // unpaid, pending (customer action needed), authorized, paid, failed, voided, refunded
+      defaultValue: "unpaid"
+    },
+    refundedAmount: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0
+    },
+    cancellationReason: DataTypes.TEXT,
+    cancelledAt: DataTypes.DATE
   }, {
     sequelize,
     modelName: 'Order',
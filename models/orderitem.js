@@ -0,0 +1,30 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class OrderItem extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      OrderItem.belongsTo(models.Order, { foreignKey: 'orderId', as: 'order' });
+      OrderItem.belongsTo(models.Product, { foreignKey: 'productId', as: 'product' });
+      OrderItem.hasMany(models.RefundItem, { foreignKey: 'orderItemId', as: 'refundItems' });
+    }
+  }
+  OrderItem.init({
+    orderId: DataTypes.INTEGER,
+    productId: DataTypes.INTEGER,
+    productName: DataTypes.STRING, // snapshot, survives product renames and deletion
+    quantity: DataTypes.INTEGER,
+    unitPrice: DataTypes.DECIMAL(10, 2), // price at the time of the order
+    lineTotal: DataTypes.DECIMAL(10, 2)
+  }, {
+    sequelize,
+    modelName: 'OrderItem',
+  });
+  return OrderItem;
+};
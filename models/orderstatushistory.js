@@ -0,0 +1,28 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class OrderStatusHistory extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      OrderStatusHistory.belongsTo(models.Order, { foreignKey: 'orderId', as: 'order' });
+      OrderStatusHistory.belongsTo(models.User, { foreignKey: 'changedById', as: 'changedBy' });
+    }
+  }
+  OrderStatusHistory.init({
+    orderId: DataTypes.INTEGER,
+    fromStatus: DataTypes.STRING,
+    toStatus: DataTypes.STRING,
+    changedById: DataTypes.INTEGER, // null for guests, API keys and the data migration
+    note: DataTypes.TEXT
+  }, {
+    sequelize,
+    modelName: 'OrderStatusHistory',
+  });
+  return OrderStatusHistory;
+};
@@ -0,0 +1,26 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class PasswordResetToken extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      PasswordResetToken.belongsTo(models.User, { foreignKey: 'userId', as: 'user' });
+    }
+  }
+  PasswordResetToken.init({
+    userId: DataTypes.INTEGER,
+    tokenHash: DataTypes.STRING,
+    expiresAt: DataTypes.DATE,
+    usedAt: DataTypes.DATE
+  }, {
+    sequelize,
+    modelName: 'PasswordResetToken',
+  });
+  return PasswordResetToken;
+};
@@ -0,0 +1,37 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class Payment extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      Payment.belongsTo(models.Order, { foreignKey: 'orderId', as: 'order' });
+    }
+  }
+  Payment.init({
+    orderId: DataTypes.INTEGER,
+    provider: DataTypes.STRING,
+    providerReference: DataTypes.STRING, // the gateway's id for the authorization
+    amount: DataTypes.DECIMAL(10, 2),
+    currency: DataTypes.STRING,
+    status: {
+      type: DataTypes.STRING,
+      validate: {
+        isIn: [["requires_action", "authorized", "captured", "declined", "voided", "refunded", "partially_refunded"]]
+      }
+    },
+    refundedAmount: DataTypes.DECIMAL(10, 2),
+    nextAction: DataTypes.JSONB, // what the customer has to do while status is requires_action
+    failureReason: DataTypes.STRING,
+    capturedAt: DataTypes.DATE
+  }, {
+    sequelize,
+    modelName: 'Payment',
+  });
+  return Payment;
+};
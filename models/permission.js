@@ -0,0 +1,29 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class Permission extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      Permission.belongsToMany(models.Role, {
+        through: models.RolePermission,
+        foreignKey: 'permissionId',
+        otherKey: 'roleId',
+        as: 'roles'
+      });
+    }
+  }
+  Permission.init({
+    name: DataTypes.STRING,
+    description: DataTypes.STRING
+  }, {
+    sequelize,
+    modelName: 'Permission',
+  });
+  return Permission;
+};
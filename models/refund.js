@@ -0,0 +1,32 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class Refund extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      Refund.belongsTo(models.Order, { foreignKey: 'orderId', as: 'order' });
+      Refund.belongsTo(models.Payment, { foreignKey: 'paymentId', as: 'payment' });
+      Refund.belongsTo(models.User, { foreignKey: 'createdById', as: 'createdBy' });
+      Refund.hasMany(models.RefundItem, { foreignKey: 'refundId', as: 'items' });
+    }
+  }
+  Refund.init({
+    orderId: DataTypes.INTEGER,
+    paymentId: DataTypes.INTEGER,
+    amount: DataTypes.DECIMAL(10, 2),
+    reason: DataTypes.TEXT,
+    restocked: DataTypes.BOOLEAN, // whether the refunded quantities went back into stock
+    providerReference: DataTypes.STRING, // the gateway's id for the refund
+    createdById: DataTypes.INTEGER // null for refunds reported by the gateway
+  }, {
+    sequelize,
+    modelName: 'Refund',
+  });
+  return Refund;
+};
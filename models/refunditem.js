@@ -0,0 +1,27 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class RefundItem extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      RefundItem.belongsTo(models.Refund, { foreignKey: 'refundId', as: 'refund' });
+      RefundItem.belongsTo(models.OrderItem, { foreignKey: 'orderItemId', as: 'orderItem' });
+    }
+  }
+  RefundItem.init({
+    refundId: DataTypes.INTEGER,
+    orderItemId: DataTypes.INTEGER,
+    quantity: DataTypes.INTEGER,
+    amount: DataTypes.DECIMAL(10, 2)
+  }, {
+    sequelize,
+    modelName: 'RefundItem',
+  });
+  return RefundItem;
+};
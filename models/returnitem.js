@@ -0,0 +1,26 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class ReturnItem extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      ReturnItem.belongsTo(models.ReturnRequest, { foreignKey: 'returnRequestId', as: 'returnRequest' });
+      ReturnItem.belongsTo(models.OrderItem, { foreignKey: 'orderItemId', as: 'orderItem' });
+    }
+  }
+  ReturnItem.init({
+    returnRequestId: DataTypes.INTEGER,
+    orderItemId: DataTypes.INTEGER,
+    quantity: DataTypes.INTEGER
+  }, {
+    sequelize,
+    modelName: 'ReturnItem',
+  });
+  return ReturnItem;
+};
@@ -0,0 +1,59 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class ReturnRequest extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      ReturnRequest.belongsTo(models.Order, { foreignKey: 'orderId', as: 'order' });
+      ReturnRequest.belongsTo(models.User, { foreignKey: 'userId', as: 'user' });
+      ReturnRequest.belongsTo(models.User, { foreignKey: 'reviewedById', as: 'reviewedBy' });
+      ReturnRequest.belongsTo(models.User, { foreignKey: 'inspectedById', as: 'inspectedBy' });
+      ReturnRequest.belongsTo(models.Refund, { foreignKey: 'refundId', as: 'refund' });
+      ReturnRequest.belongsTo(models.StoreCredit, { foreignKey: 'storeCreditId', as: 'storeCredit' });
+      ReturnRequest.hasMany(models.ReturnItem, { foreignKey: 'returnRequestId', as: 'items' });
+    }
+  }
+  ReturnRequest.init({
+    orderId: DataTypes.INTEGER,
+    userId: DataTypes.INTEGER,
+    status: {
+      type: DataTypes.STRING, // requested -> approved | rejected, approved -> received -> completed
+      validate: {
+        isIn: [["requested", "approved", "rejected", "received", "completed"]]
+      }
+    },
+    reason: DataTypes.TEXT,
+    photoUrls: DataTypes.JSONB,
+    reviewedById: DataTypes.INTEGER,
+    reviewedAt: DataTypes.DATE,
+    decisionNote: DataTypes.TEXT,
+    receivedAt: DataTypes.DATE,
+    inspectedById: DataTypes.INTEGER,
+    inspectedAt: DataTypes.DATE,
+    inspectionNote: DataTypes.TEXT,
+    inspectionOutcome: {
+      type: DataTypes.STRING, // restock or write_off
+      validate: {
+        isIn: [["restock", "write_off"]]
+      }
+    },
+    resolution: {
+      type: DataTypes.STRING, // how the customer was compensated
+      validate: {
+        isIn: [["refund", "store_credit", "none"]]
+      }
+    },
+    refundId: DataTypes.INTEGER,
+    storeCreditId: DataTypes.INTEGER
+  }, {
+    sequelize,
+    modelName: 'ReturnRequest',
+  });
+  return ReturnRequest;
+};
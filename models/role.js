@@ -0,0 +1,30 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class Role extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      Role.belongsToMany(models.Permission, {
+        through: models.RolePermission,
+        foreignKey: 'roleId',
+        otherKey: 'permissionId',
+        as: 'permissions'
+      });
+    }
+  }
+  Role.init({
+    name: DataTypes.STRING,
+    description: DataTypes.STRING,
+    isSystem: DataTypes.BOOLEAN
+  }, {
+    sequelize,
+    modelName: 'Role',
+  });
+  return Role;
+};
@@ -0,0 +1,24 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class RolePermission extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // define association here
+    }
+  }
+  RolePermission.init({
+    roleId: DataTypes.INTEGER,
+    permissionId: DataTypes.INTEGER
+  }, {
+    sequelize,
+    modelName: 'RolePermission',
+  });
+  return RolePermission;
+};
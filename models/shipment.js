@@ -0,0 +1,37 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class Shipment extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      Shipment.belongsTo(models.Order, { foreignKey: 'orderId', as: 'order' });
+      Shipment.belongsTo(models.User, { foreignKey: 'createdById', as: 'createdBy' });
+      Shipment.hasMany(models.ShipmentItem, { foreignKey: 'shipmentId', as: 'items' });
+      Shipment.hasMany(models.ShipmentEvent, { foreignKey: 'shipmentId', as: 'events' });
+    }
+  }
+  Shipment.init({
+    orderId: DataTypes.INTEGER,
+    carrier: DataTypes.STRING, // an adapter in services/carriers, or any other carrier without tracking
+    trackingNumber: DataTypes.STRING,
+    status: {
+      type: DataTypes.STRING, // the status of the latest tracking event
+      validate: {
+        isIn: [["shipped", "in_transit", "out_for_delivery", "delivered", "exception"]]
+      }
+    },
+    shippedAt: DataTypes.DATE,
+    deliveredAt: DataTypes.DATE,
+    createdById: DataTypes.INTEGER
+  }, {
+    sequelize,
+    modelName: 'Shipment',
+  });
+  return Shipment;
+};
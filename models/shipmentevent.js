@@ -0,0 +1,28 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class ShipmentEvent extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      ShipmentEvent.belongsTo(models.Shipment, { foreignKey: 'shipmentId', as: 'shipment' });
+    }
+  }
+  ShipmentEvent.init({
+    shipmentId: DataTypes.INTEGER,
+    externalId: DataTypes.STRING, // the carrier's event id, so repeated updates are stored once
+    status: DataTypes.STRING,
+    description: DataTypes.STRING,
+    location: DataTypes.STRING,
+    occurredAt: DataTypes.DATE
+  }, {
+    sequelize,
+    modelName: 'ShipmentEvent',
+  });
+  return ShipmentEvent;
+};
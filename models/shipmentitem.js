@@ -0,0 +1,26 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class ShipmentItem extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      ShipmentItem.belongsTo(models.Shipment, { foreignKey: 'shipmentId', as: 'shipment' });
+      ShipmentItem.belongsTo(models.OrderItem, { foreignKey: 'orderItemId', as: 'orderItem' });
+    }
+  }
+  ShipmentItem.init({
+    shipmentId: DataTypes.INTEGER,
+    orderItemId: DataTypes.INTEGER,
+    quantity: DataTypes.INTEGER
+  }, {
+    sequelize,
+    modelName: 'ShipmentItem',
+  });
+  return ShipmentItem;
+};
@@ -0,0 +1,27 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class StockReservation extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      StockReservation.belongsTo(models.User, { foreignKey: 'userId', as: 'user' });
+      StockReservation.belongsTo(models.Product, { foreignKey: 'productId', as: 'product' });
+    }
+  }
+  StockReservation.init({
+    userId: DataTypes.INTEGER,
+    productId: DataTypes.INTEGER,
+    quantity: DataTypes.INTEGER, // already taken from Product.stock while the reservation exists
+    expiresAt: DataTypes.DATE
+  }, {
+    sequelize,
+    modelName: 'StockReservation',
+  });
+  return StockReservation;
+};
@@ -0,0 +1,27 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class StoreCredit extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      StoreCredit.belongsTo(models.User, { foreignKey: 'userId', as: 'user' });
+      StoreCredit.belongsTo(models.User, { foreignKey: 'createdById', as: 'createdBy' });
+    }
+  }
+  StoreCredit.init({
+    userId: DataTypes.INTEGER,
+    amount: DataTypes.DECIMAL(10, 2), // positive when credit is granted, negative when it is spent
+    reason: DataTypes.STRING,
+    createdById: DataTypes.INTEGER
+  }, {
+    sequelize,
+    modelName: 'StoreCredit',
+  });
+  return StoreCredit;
+};
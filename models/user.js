@@ -20,10 +20,85 @@ module.exports = (sequelize) => {
         allowNull: false,
       },
       role: {
-        type: DataTypes.ENUM("admin", "customer"), // Manually define ENUM here
+        type: DataTypes.STRING, // References Roles.name
         allowNull: false,
         defaultValue: "customer",
       },
+      status: {
+        type: DataTypes.ENUM("active", "suspended", "deleted"),
+        allowNull: false,
+        defaultValue: "active",
+      },
+      suspendedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      suspensionReason: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      passwordResetRequired: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      deletedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      firstName: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      lastName: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      phone: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      preferences: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: {},
+      },
+      emailVerifiedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      verificationSentAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      totpSecret: {
+        type: DataTypes.STRING,
+        allowNull: true,
+      },
+      totpEnabledAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      totpLastUsedStep: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      totpRecoveryCodes: {
+        type: DataTypes.JSONB, // sha256 hashes of unused recovery codes
+        allowNull: true,
+      },
+      verified: {
+        type: DataTypes.VIRTUAL,
+        get() {
+          return Boolean(this.getDataValue("emailVerifiedAt"));
+        },
+      },
+      twoFactorEnabled: {
+        type: DataTypes.VIRTUAL,
+        get() {
+          return Boolean(this.getDataValue("totpEnabledAt"));
+        },
+      },
     },
     {
       sequelize,
@@ -0,0 +1,27 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class UserIdentity extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      UserIdentity.belongsTo(models.User, { foreignKey: 'userId', as: 'user' });
+    }
+  }
+  UserIdentity.init({
+    userId: DataTypes.INTEGER,
+    provider: DataTypes.STRING,
+    subject: DataTypes.STRING,
+    email: DataTypes.STRING,
+    lastLoginAt: DataTypes.DATE
+  }, {
+    sequelize,
+    modelName: 'UserIdentity',
+  });
+  return UserIdentity;
+};
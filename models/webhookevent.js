@@ -0,0 +1,35 @@
+'use strict';
+const {
+  Model
+} = require('sequelize');
+module.exports = (sequelize, DataTypes) => {
+  class WebhookEvent extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // define association here
+    }
+  }
+  WebhookEvent.init({
+    provider: DataTypes.STRING,
+    eventId: DataTypes.STRING, // the provider's event id, unique per provider
+    type: DataTypes.STRING,
+    payload: DataTypes.JSONB, // kept as received so the event can be replayed
+    status: {
+      type: DataTypes.STRING,
+      validate: {
+        isIn: [["pending", "processed", "failed"]]
+      }
+    },
+    attempts: DataTypes.INTEGER,
+    lastError: DataTypes.TEXT,
+    processedAt: DataTypes.DATE
+  }, {
+    sequelize,
+    modelName: 'WebhookEvent',
+  });
+  return WebhookEvent;
+};
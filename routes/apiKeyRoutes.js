@@ -0,0 +1,141 @@
+const express = require("express");
+const router = express.Router();
+
+const { body, param } = require("express-validator");
+
+const ApiKeyController = require("../controllers/apiKeyController");
+const { authenticate, requireUserSession, requirePermission } = require("../middlewares/auth");
+
+// Keys are managed by signed-in admins only, never by another API key.
+router.use(authenticate, requireUserSession, requirePermission("apikey:manage"));
+
+/**
+ * @swagger
+ * tags:
+ *   name: API Keys
+ *   description: >
+ *     Keys for machine-to-machine integrations. Send them as "Authorization: ApiKey <key>"
+ *     or in the X-API-Key header; they only grant the permissions listed in their scopes.
+ */
+
+/**
+ * @swagger
+ * /api-keys:
+ *   post:
+ *     summary: Create an API key
+ *     description: The key is returned once and only its hash is stored (requires apikey:manage).
+ *     tags: [API Keys]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: ERP product sync
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["product:write", "order:read"]
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 example: 2027-01-01T00:00:00Z
+ *     responses:
+ *       201:
+ *         description: API key created
+ *       400:
+ *         description: Unknown scopes
+ *       403:
+ *         description: Scopes you do not hold yourself
+ */
+router.post("/",
+    [
+        body("name").trim().notEmpty().withMessage("Name is required"),
+        body("scopes").isArray({ min: 1 }).withMessage("Scopes must be a non-empty array of permission names"),
+        body("scopes.*").isString().withMessage("Scopes must be a non-empty array of permission names"),
+        body("expiresAt").optional({ values: "null" }).isISO8601().withMessage("expiresAt must be a date")
+            .custom(value => new Date(value) > new Date()).withMessage("expiresAt must be in the future"),
+    ],
+    ApiKeyController.createApiKey);
+
+/**
+ * @swagger
+ * /api-keys:
+ *   get:
+ *     summary: List API keys
+ *     description: Shows prefix, scopes, status and last use of every key (requires apikey:manage).
+ *     tags: [API Keys]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: API keys retrieved successfully
+ */
+router.get("/", ApiKeyController.getAllApiKeys);
+
+/**
+ * @swagger
+ * /api-keys/{id}/rotate:
+ *   post:
+ *     summary: Rotate an API key
+ *     description: Replaces the secret and prefix, keeping name, scopes and expiry. The old key stops working at once (requires apikey:manage).
+ *     tags: [API Keys]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: API key rotated
+ *       400:
+ *         description: Key is revoked or expired
+ *       404:
+ *         description: API key not found
+ */
+router.post("/:id/rotate",
+    [
+        param("id").isInt().withMessage("API key ID must be an integer"),
+    ],
+    ApiKeyController.rotateApiKey);
+
+/**
+ * @swagger
+ * /api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     description: Revokes the key without touching any user session (requires apikey:manage).
+ *     tags: [API Keys]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: API key revoked successfully
+ *       404:
+ *         description: API key not found
+ */
+router.delete("/:id",
+    [
+        param("id").isInt().withMessage("API key ID must be an integer"),
+    ],
+    ApiKeyController.revokeApiKey);
+
+module.exports = router;
@@ -1,17 +1,29 @@
 const express = require("express");
 const router = express.Router();
-const { body, param, query } = require("express-validator");
+const { body, param, query, validationResult } = require("express-validator");
 
 const CartController = require('../controllers/cartController');
+const { authenticate, requirePermission } = require("../middlewares/auth");
+const { customerFromEmail } = require("../middlewares/customer");
+
+const validate = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+};
 
 /**
  * @swagger
  * /cart/addCart:
  *   post:
- *     summary: Add a product to the cart
- *     description: Adds a product to the user's cart and updates the stock in the product table.
+ *     summary: Add a product to a user's cart
+ *     description: Adds a product to the cart of the user with the given email (requires cart:manage). Customers should use /me/cart.
  *     tags:
  *       - Cart
+ *     security:
+ *       - BearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -95,12 +107,14 @@ const CartController = require('../controllers/cartController');
  *                   example: "Internal server error"
  */
 
-router.post('/addCart',
+router.post('/addCart', authenticate, requirePermission("cart:manage"),
     [
         body("email").isEmail().withMessage("Invalid email format"),
         body("productId").isInt({ gt: 0 }).withMessage("Product ID must be a positive integer"),
         body("quantity").isInt({ gt: 0 }).withMessage("Quantity must be a positive integer"),
     ],
+    validate,
+    customerFromEmail,
     CartController.addToCart)
 
 /**
@@ -108,9 +122,11 @@ router.post('/addCart',
  * /cart/getallCart:
  *   get:
  *     summary: Retrieve all cart items for a user
- *     description: Fetches all cart items along with product details for the given user.
+ *     description: Fetches all cart items along with product details for the given user (requires cart:manage). Customers should use /me/cart.
  *     tags:
  *       - Cart
+ *     security:
+ *       - BearerAuth: []
  *     parameters:
  *       - in: query
  *         name: email
@@ -212,8 +228,10 @@ router.post('/addCart',
  *                   example: "Internal server error"
  */
 
-router.get('/getallCart',
+router.get('/getallCart', authenticate, requirePermission("cart:manage"),
     [query("email").isEmail().withMessage("Invalid email format")],
+    validate,
+    customerFromEmail,
     CartController.getallCartItems);
 
 /**
@@ -221,9 +239,11 @@ router.get('/getallCart',
  * /cart/updateCartQuantity:
  *   put:
  *     summary: Update the quantity of a product in the cart
- *     description: Updates the quantity of a product in the user's cart while dynamically adjusting the product stock.
+ *     description: Updates the quantity of a product in the cart of the user with the given email (requires cart:manage). Customers should use /me/cart.
  *     tags:
  *       - Cart
+ *     security:
+ *       - BearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -303,12 +323,14 @@ router.get('/getallCart',
  *                   example: "Internal server error"
  */
 
-router.put('/updateCartQuantity',
+router.put('/updateCartQuantity', authenticate, requirePermission("cart:manage"),
     [
         body("email").isEmail().withMessage("Invalid email format"),
         body("productId").isInt({ gt: 0 }).withMessage("Product ID must be a positive integer"),
         body("quantity").isInt({ gt: 0 }).withMessage("Quantity must be a positive integer"),
     ],
+    validate,
+    customerFromEmail,
     CartController.updateCartQuantity)
 
 /**
@@ -316,9 +338,11 @@ router.put('/updateCartQuantity',
  * /cart/removeCartItem/{email}/{cartId}:
  *   delete:
  *     summary: Remove an item from the cart
- *     description: Removes an item from the user's cart using email and cartId.
+ *     description: Removes an item from the user's cart using email and cartId (requires cart:manage). Customers should use /me/cart/{cartId}.
  *     tags:
  *       - Cart
+ *     security:
+ *       - BearerAuth: []
  *     parameters:
  *       - name: email
  *         in: path
@@ -377,11 +401,13 @@ router.put('/updateCartQuantity',
  *                   example: "Internal server error."
  */
 
-router.delete('/removeCartItem/:email/:cartId',
+router.delete('/removeCartItem/:email/:cartId', authenticate, requirePermission("cart:manage"),
     [
         param("email").isEmail().withMessage("Invalid email format"),
         param("cartId").isInt({ gt: 0 }).withMessage("Cart ID must be a positive integer"),
     ],
+    validate,
+    customerFromEmail,
     CartController.removeCartItem)
 
 module.exports = router;
\ No newline at end of file
@@ -3,7 +3,7 @@ const router = express.Router();
 const { body, param } = require("express-validator");
 
 const categoryController = require("../controllers/categoryController");
-const { authenticate, authorizeRole } = require("../middlewares/auth");
+const { authenticate, requirePermission } = require("../middlewares/auth");
 
 
 const categoryValidation = [
@@ -21,7 +21,7 @@ const categoryValidation = [
  * /category/addCategory:
  *   post:
  *     summary: Create a new category
- *     description: Adds a new category to the system (Admin only).
+ *     description: Adds a new category to the system (requires category:write).
  *     tags: [Categories]
  *     security:
  *       - BearerAuth: []
@@ -105,7 +105,7 @@ const categoryValidation = [
  *                   type: string
  *                   example: Internal server error
  */
-router.post("/addCategory", authenticate, authorizeRole("admin"), categoryValidation, categoryController.createCategory);
+router.post("/addCategory", authenticate, requirePermission("category:write"), categoryValidation, categoryController.createCategory);
 
 /**
  * @swagger
@@ -168,7 +168,7 @@ router.post("/addCategory", authenticate, authorizeRole("admin"), categoryValida
  *       404:
  *         description: Category not found
  */
-router.put("/updateCategory/:id", authenticate, authorizeRole("admin"),
+router.put("/updateCategory/:id", authenticate, requirePermission("category:write"),
     [
         param("id").isInt().withMessage("Category ID must be an integer"),
         ...categoryValidation
@@ -367,7 +367,7 @@ router.get("/getCategory/:id",
  *                   example: "Internal server error"
  */
 
-router.delete("/deleteCategory/:id", authenticate, authorizeRole("admin"),
+router.delete("/deleteCategory/:id", authenticate, requirePermission("category:write"),
     param("id").isInt().withMessage("Category ID must be an integer"),
     categoryController.deleteCategoryById);
 
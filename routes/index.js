@@ -5,6 +5,13 @@ const categoryRoutes = require('./categoryRoutes');
 const productRoutes = require('./productRoutes');
 const cartRoues = require('./cartRoutes');
 const orderRoutes = require('./orderRoutes');
+const meRoutes = require('./meRoutes');
+const roleRoutes = require('./roleRoutes');
+const privacyRoutes = require('./privacyRoutes');
+const apiKeyRoutes = require('./apiKeyRoutes');
+const oidcRoutes = require('./oidcRoutes');
+const webhookRoutes = require('./webhookRoutes');
+const returnRoutes = require('./returnRoutes');
 
 const router = express.Router();
 router.use('/users', userRoutes);  
@@ -12,5 +19,12 @@ router.use('/category', categoryRoutes);
 router.use('/product', productRoutes);
 router.use('/cart', cartRoues);
 router.use('/order', orderRoutes);
+router.use('/me', meRoutes);
+router.use('/roles', roleRoutes);
+router.use('/privacy', privacyRoutes);
+router.use('/api-keys', apiKeyRoutes);
+router.use('/auth/oidc', oidcRoutes);
+router.use('/webhooks', webhookRoutes);
+router.use('/returns', returnRoutes);
 
 module.exports = router;  
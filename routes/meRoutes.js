@@ -0,0 +1,979 @@
+const express = require("express");
+const router = express.Router();
+
+const { body, param, query, validationResult } = require("express-validator");
+
+const CartController = require('../controllers/cartController');
+const OrderController = require('../controllers/orderController');
+const ProfileController = require('../controllers/profileController');
+const AddressController = require('../controllers/addressController');
+const PrivacyController = require('../controllers/privacyController');
+const OidcController = require('../controllers/oidcController');
+const ReturnController = require('../controllers/returnController');
+const { authenticate, requireUserSession } = require("../middlewares/auth");
+const { customerFromToken, requireVerifiedCustomer } = require("../middlewares/customer");
+const { idempotent } = require("../middlewares/idempotency");
+const upload = require('../middlewares/multer');
+
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+// Every /me route acts on the customer identified by the access token.
+router.use(authenticate, requireUserSession, customerFromToken);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Me
+ *   description: Profile, addresses, cart and orders of the authenticated customer
+ */
+
+/**
+ * @swagger
+ * /me/cart:
+ *   get:
+ *     summary: Retrieve my cart
+ *     description: Fetches all cart items along with product details for the authenticated customer.
+ *     tags: [Me]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved cart items.
+ *       401:
+ *         description: Invalid token
+ *       403:
+ *         description: Access Denied. No token provided
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/cart', CartController.getallCartItems);
+
+/**
+ * @swagger
+ * /me/cart:
+ *   post:
+ *     summary: Add a product to my cart
+ *     tags: [Me]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - productId
+ *               - quantity
+ *             properties:
+ *               productId:
+ *                 type: integer
+ *                 example: 5
+ *               quantity:
+ *                 type: integer
+ *                 example: 2
+ *     responses:
+ *       200:
+ *         description: Product added to cart successfully
+ *       400:
+ *         description: Invalid request or insufficient stock
+ *       404:
+ *         description: Product not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/cart',
+  [
+    body("productId").isInt({ gt: 0 }).withMessage("Product ID must be a positive integer"),
+    body("quantity").isInt({ gt: 0 }).withMessage("Quantity must be a positive integer"),
+  ],
+  validate,
+  CartController.addToCart);
+
+/**
+ * @swagger
+ * /me/cart:
+ *   put:
+ *     summary: Update the quantity of a product in my cart
+ *     tags: [Me]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - productId
+ *               - quantity
+ *             properties:
+ *               productId:
+ *                 type: integer
+ *                 example: 5
+ *               quantity:
+ *                 type: integer
+ *                 example: 3
+ *     responses:
+ *       200:
+ *         description: Cart item quantity updated successfully
+ *       400:
+ *         description: Invalid request or insufficient stock
+ *       404:
+ *         description: Product or cart item not found
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/cart',
+  [
+    body("productId").isInt({ gt: 0 }).withMessage("Product ID must be a positive integer"),
+    body("quantity").isInt({ gt: 0 }).withMessage("Quantity must be a positive integer"),
+  ],
+  validate,
+  CartController.updateCartQuantity);
+
+/**
+ * @swagger
+ * /me/cart/{cartId}:
+ *   delete:
+ *     summary: Remove an item from my cart
+ *     tags: [Me]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: cartId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Cart item removed successfully
+ *       404:
+ *         description: Cart item not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/cart/:cartId',
+  [param("cartId").isInt({ gt: 0 }).withMessage("Cart ID must be a positive integer")],
+  validate,
+  CartController.removeCartItem);
+
+/**
+ * @swagger
+ * /me/orders:
+ *   post:
+ *     summary: Place a new order
+ *     description: Creates an order with one line per product for the authenticated customer, updates product stock, and calculates total price. The shipping address comes from `addressId`, from the free-text fields, or else from the default saved address.
+ *     tags: [Me]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - deliveryDate
+ *               - paymentToken
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 description: Order lines. Replaces productId and quantity, which are still accepted for a single product.
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     productId:
+ *                       type: integer
+ *                       example: 1
+ *                     quantity:
+ *                       type: integer
+ *                       example: 2
+ *               productId:
+ *                 type: integer
+ *                 example: 1
+ *               quantity:
+ *                 type: integer
+ *                 example: 2
+ *               addressId:
+ *                 type: integer
+ *                 example: 3
+ *               address:
+ *                 type: string
+ *                 example: "123 Main St"
+ *               city:
+ *                 type: string
+ *                 example: "New York"
+ *               zipcode:
+ *                 type: string
+ *                 example: "10001"
+ *               deliveryDate:
+ *                 type: string
+ *                 format: date
+ *                 example: "2025-03-01"
+ *               courierName:
+ *                 type: string
+ *                 description: Preferred courier. The carrier and tracking number actually used are on the order's shipments.
+ *                 example: "FedEx"
+ *               paymentToken:
+ *                 type: string
+ *                 description: >
+ *                   Card token from the payment gateway. The mock gateway accepts tok_visa, tok_3ds
+ *                   (asks for authentication), tok_declined, tok_insufficient_funds and tok_capture_fails.
+ *                 example: tok_visa
+ *     responses:
+ *       201:
+ *         description: Order placed successfully
+ *       202:
+ *         description: Order placed but the payment needs the customer's authentication (3-D Secure); see payment.nextAction
+ *       402:
+ *         description: Payment declined or could not be captured. Nothing is charged and the stock is released
+ *       400:
+ *         description: Bad request (missing fields or insufficient stock)
+ *       403:
+ *         description: Email address not verified
+ *       404:
+ *         description: Product or address not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/orders', requireVerifiedCustomer, idempotent,
+  [
+    body("items").optional().isArray({ min: 1 }).withMessage("Items must be a non-empty array"),
+    body("items.*.productId").isInt().withMessage("Product ID must be an integer"),
+    body("items.*.quantity").isInt({ min: 1 }).withMessage("Quantity must be at least 1"),
+    body("productId").optional().isInt().withMessage("Product ID must be an integer"),
+    body("quantity").optional().isInt({ min: 1 }).withMessage("At least one product is required"),
+    body("addressId").optional().isInt().withMessage("Address ID must be an integer"),
+    body("deliveryDate").isISO8601().withMessage("Delivery date must be a date"),
+    body("courierName").optional().trim().isLength({ max: 255 }).withMessage("Courier name must be at most 255 characters"),
+    body("paymentToken").trim().notEmpty().withMessage("Payment token is required")
+  ],
+  validate,
+  OrderController.placeOrder);
+
+/**
+ * @swagger
+ * /me/checkout:
+ *   post:
+ *     summary: Order everything in my cart
+ *     description: >
+ *       Checks every cart line against current stock and price, then creates one order with all lines,
+ *       takes the stock and empties the cart in a single transaction. Nothing is ordered if any line fails.
+ *       Stock reserved with POST /me/checkout/reservation counts as available and the reservation is used up.
+ *       The shipping address comes from `addressId`, from the free-text fields, or else from the default saved address.
+ *     tags: [Me]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - deliveryDate
+ *               - paymentToken
+ *             properties:
+ *               addressId:
+ *                 type: integer
+ *                 example: 3
+ *               address:
+ *                 type: string
+ *                 example: "123 Main St"
+ *               city:
+ *                 type: string
+ *                 example: "New York"
+ *               zipcode:
+ *                 type: string
+ *                 example: "10001"
+ *               deliveryDate:
+ *                 type: string
+ *                 format: date
+ *                 example: "2025-03-01"
+ *               courierName:
+ *                 type: string
+ *                 description: Preferred courier. The carrier and tracking number actually used are on the order's shipments.
+ *                 example: "FedEx"
+ *               paymentToken:
+ *                 type: string
+ *                 description: >
+ *                   Card token from the payment gateway. The mock gateway accepts tok_visa, tok_3ds
+ *                   (asks for authentication), tok_declined, tok_insufficient_funds and tok_capture_fails.
+ *                 example: tok_visa
+ *               acceptPriceChanges:
+ *                 type: boolean
+ *                 description: Order at current prices even when they differ from the prices in the cart
+ *                 example: false
+ *     responses:
+ *       201:
+ *         description: Order placed successfully
+ *       202:
+ *         description: Order placed but the payment needs the customer's authentication (3-D Secure); see payment.nextAction
+ *       402:
+ *         description: Payment declined or could not be captured. Nothing is charged and the stock is released
+ *       400:
+ *         description: Cart is empty or no shipping address
+ *       403:
+ *         description: Email address not verified
+ *       404:
+ *         description: Address not found
+ *       409:
+ *         description: >
+ *           Some cart lines cannot be ordered. Each entry in `errors` names the cartId and productId
+ *           with a code of not_found, out_of_stock, insufficient_stock or price_changed.
+ */
+router.post('/checkout', requireVerifiedCustomer, idempotent,
+  [
+    body("addressId").optional().isInt().withMessage("Address ID must be an integer"),
+    body("deliveryDate").isISO8601().withMessage("Delivery date must be a date"),
+    body("courierName").optional().trim().isLength({ max: 255 }).withMessage("Courier name must be at most 255 characters"),
+    body("paymentToken").trim().notEmpty().withMessage("Payment token is required"),
+    body("acceptPriceChanges").optional().isBoolean().withMessage("acceptPriceChanges must be a boolean").toBoolean()
+  ],
+  OrderController.checkout);
+
+/**
+ * @swagger
+ * /me/checkout/reservation:
+ *   post:
+ *     summary: Reserve the stock for my cart
+ *     description: >
+ *       Holds the stock for every cart line for a few minutes (STOCK_RESERVATION_TTL_MINUTES, 15 by default)
+ *       so it cannot sell out during checkout. Reserving again replaces the previous reservation. The
+ *       reservation is used by POST /me/checkout, released if that checkout fails, and otherwise given
+ *       back automatically when it expires.
+ *     tags: [Me]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Cart reserved, with the reservation expiry
+ *       400:
+ *         description: Cart is empty
+ *       403:
+ *         description: Email address not verified
+ *       409:
+ *         description: >
+ *           Some cart lines cannot be reserved. Each entry in `errors` names the productId with a code
+ *           of not_found, out_of_stock or insufficient_stock.
+ *       500:
+ *         description: Internal server error
+ *   delete:
+ *     summary: Release my cart reservation
+ *     tags: [Me]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Reservation released
+ *       404:
+ *         description: No active reservation
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/checkout/reservation', requireVerifiedCustomer, OrderController.reserveCart);
+router.delete('/checkout/reservation', OrderController.releaseCartReservation);
+
+/**
+ * @swagger
+ * /me/orders:
+ *   get:
+ *     summary: Get my order history
+ *     tags: [Me]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Order History retrieved successfully
+ *       404:
+ *         description: No orders found for this user
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/orders', OrderController.getallOrdersByEmail);
+
+/**
+ * @swagger
+ * /me/orders/{orderId}:
+ *   get:
+ *     summary: Get one of my orders
+ *     description: Includes the status history, refunds and shipments, each shipment with its carrier tracking timeline.
+ *     tags: [Me]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Order details retrieved successfully
+ *       404:
+ *         description: Order not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/orders/:orderId',
+  [param("orderId").isInt().withMessage("Order ID must be an integer")],
+  validate,
+  OrderController.getOrderById);
+
+/**
+ * @swagger
+ * /me/orders/{orderId}/cancel:
+ *   put:
+ *     summary: Cancel one of my orders
+ *     description: Orders can be cancelled until they ship. The items go back into stock and the payment is voided or refunded.
+ *     tags: [Me]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Ordered the wrong size
+ *     responses:
+ *       200:
+ *         description: Order cancelled successfully
+ *       400:
+ *         description: Order is already cancelled
+ *       409:
+ *         description: Order has already shipped and can no longer be cancelled
+ *       502:
+ *         description: The payment gateway could not refund the payment; the order is not cancelled
+ *       404:
+ *         description: Order not found
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/orders/:orderId/cancel',
+  [
+    param("orderId").isInt().withMessage("Order ID must be an integer"),
+    body("reason").trim().notEmpty().withMessage("A cancellation reason is required")
+      .isLength({ max: 1000 }).withMessage("Reason must be at most 1000 characters")
+  ],
+  validate,
+  OrderController.cancelOrderById);
+
+/**
+ * @swagger
+ * /me/orders/claim-guest:
+ *   post:
+ *     summary: Add my guest orders to my account
+ *     description: Moves orders placed through guest checkout with my (verified) email address into my order history.
+ *     tags: [Me]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Number of guest orders claimed
+ *       403:
+ *         description: Email address not verified
+ */
+router.post('/orders/claim-guest', OrderController.claimGuestOrders);
+
+/**
+ * @swagger
+ * /me/orders/{orderId}/payment/confirm:
+ *   post:
+ *     summary: Complete the payment authentication of my order
+ *     description: >
+ *       Answers the 3-D Secure challenge returned when the order was placed. On success the payment is
+ *       captured and the order confirmed; a failed challenge cancels the order.
+ *     tags: [Me]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Payment completed and order confirmed
+ *       400:
+ *         description: Validation error or no payment is waiting for authentication
+ *       402:
+ *         description: Authentication failed or the payment could not be captured; the order is cancelled
+ *       404:
+ *         description: Order not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/orders/:orderId/payment/confirm', idempotent,
+  [
+    param("orderId").isInt().withMessage("Order ID must be an integer"),
+    body("code").trim().notEmpty().withMessage("Code is required")
+  ],
+  OrderController.confirmOrderPayment);
+
+/**
+ * @swagger
+ * /me/orders/{orderId}/returns:
+ *   post:
+ *     summary: Ask to return items from one of my orders
+ *     description: >
+ *       Opens a return for some lines of a delivered order, within RETURN_WINDOW_DAYS (30 by default)
+ *       of delivery. Staff approve or reject it; once approved, send the items back. Sent as a
+ *       multipart form so photos of the items can be attached.
+ *     tags: [Me]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *               - items
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Arrived damaged
+ *               items:
+ *                 type: string
+ *                 description: JSON array of the order lines and quantities to return
+ *                 example: '[{"orderItemId": 12, "quantity": 1}]'
+ *               images:
+ *                 type: array
+ *                 description: Up to 5 photos of the items
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Return requested successfully
+ *       400:
+ *         description: Validation error or more items than can still be returned
+ *       404:
+ *         description: Order or order line not found
+ *       409:
+ *         description: The order is not delivered or its return window has closed
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/orders/:orderId/returns', upload,
+  [
+    param("orderId").isInt().withMessage("Order ID must be an integer"),
+    body("reason").trim().notEmpty().withMessage("A return reason is required")
+      .isLength({ max: 1000 }).withMessage("Reason must be at most 1000 characters"),
+    // Multipart forms carry the lines as a JSON string
+    body("items").customSanitizer(value => {
+      if (typeof value !== "string") {
+        return value;
+      }
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        return value;
+      }
+    }).isArray({ min: 1 }).withMessage("Items must be a non-empty array"),
+    body("items.*.orderItemId").isInt({ gt: 0 }).withMessage("Order item ID must be a positive integer"),
+    body("items.*.quantity").isInt({ min: 1 }).withMessage("Quantity must be at least 1")
+  ],
+  ReturnController.requestReturn);
+
+/**
+ * @swagger
+ * /me/returns:
+ *   get:
+ *     summary: List my returns
+ *     tags: [Me]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Returns retrieved successfully
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/returns', ReturnController.getMyReturns);
+
+/**
+ * @swagger
+ * /me/store-credit:
+ *   get:
+ *     summary: Get my store credit
+ *     description: The balance and the entries that make it up, newest first.
+ *     tags: [Me]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Store credit retrieved successfully
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/store-credit', ReturnController.getMyStoreCredit);
+
+/**
+ * @swagger
+ * /me/profile:
+ *   get:
+ *     summary: Get my profile
+ *     tags: [Me]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Profile retrieved successfully
+ */
+router.get('/profile', ProfileController.getProfile);
+
+/**
+ * @swagger
+ * /me/profile:
+ *   put:
+ *     summary: Update my profile
+ *     description: Updates name, phone and preferences. Preferences are merged with the stored ones.
+ *     tags: [Me]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               firstName:
+ *                 type: string
+ *                 example: Jane
+ *               lastName:
+ *                 type: string
+ *                 example: Doe
+ *               phone:
+ *                 type: string
+ *                 example: "+1 555 0100"
+ *               preferences:
+ *                 type: object
+ *                 example: { "newsletter": true, "currency": "USD" }
+ *     responses:
+ *       200:
+ *         description: Profile updated successfully
+ *       400:
+ *         description: Validation error
+ */
+router.put('/profile',
+  [
+    body("firstName").optional({ nullable: true }).isString().isLength({ max: 100 }).withMessage("First name must be at most 100 characters"),
+    body("lastName").optional({ nullable: true }).isString().isLength({ max: 100 }).withMessage("Last name must be at most 100 characters"),
+    body("phone").optional({ nullable: true }).matches(/^\+?[0-9 ()-]{6,20}$/).withMessage("Invalid phone number"),
+    body("preferences").optional().isObject().withMessage("Preferences must be an object"),
+  ],
+  ProfileController.updateProfile);
+
+const addressValidation = (optional) => {
+  const field = (name) => optional ? body(name).optional() : body(name);
+  return [
+    field("address").isString().notEmpty().withMessage("Address is required"),
+    field("city").isString().notEmpty().withMessage("City is required"),
+    field("zipcode").isString().notEmpty().withMessage("Zipcode is required"),
+    body("label").optional().isString(),
+    body("fullName").optional().isString(),
+    body("phone").optional().matches(/^\+?[0-9 ()-]{6,20}$/).withMessage("Invalid phone number"),
+  ];
+};
+
+/**
+ * @swagger
+ * /me/addresses:
+ *   get:
+ *     summary: List my saved addresses
+ *     description: The default address is listed first.
+ *     tags: [Me]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Addresses retrieved successfully
+ */
+router.get('/addresses', AddressController.getAllAddresses);
+
+/**
+ * @swagger
+ * /me/addresses:
+ *   post:
+ *     summary: Save an address
+ *     description: The first saved address becomes the default; pass isDefault to make a later one the default.
+ *     tags: [Me]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - address
+ *               - city
+ *               - zipcode
+ *             properties:
+ *               label:
+ *                 type: string
+ *                 example: Home
+ *               fullName:
+ *                 type: string
+ *                 example: Jane Doe
+ *               phone:
+ *                 type: string
+ *                 example: "+1 555 0100"
+ *               address:
+ *                 type: string
+ *                 example: "123 Main St"
+ *               city:
+ *                 type: string
+ *                 example: "New York"
+ *               zipcode:
+ *                 type: string
+ *                 example: "10001"
+ *               isDefault:
+ *                 type: boolean
+ *                 example: true
+ *     responses:
+ *       201:
+ *         description: Address saved successfully
+ *       400:
+ *         description: Validation error
+ */
+router.post('/addresses',
+  [...addressValidation(false), body("isDefault").optional().isBoolean().toBoolean()],
+  AddressController.createAddress);
+
+/**
+ * @swagger
+ * /me/addresses/{addressId}:
+ *   put:
+ *     summary: Update a saved address
+ *     tags: [Me]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: addressId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Address updated successfully
+ *       404:
+ *         description: Address not found
+ */
+router.put('/addresses/:addressId',
+  [param("addressId").isInt().withMessage("Address ID must be an integer"), ...addressValidation(true)],
+  AddressController.updateAddress);
+
+/**
+ * @swagger
+ * /me/addresses/{addressId}/default:
+ *   put:
+ *     summary: Make a saved address the default
+ *     tags: [Me]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: addressId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Default address updated successfully
+ *       404:
+ *         description: Address not found
+ */
+router.put('/addresses/:addressId/default',
+  [param("addressId").isInt().withMessage("Address ID must be an integer")],
+  validate,
+  AddressController.setDefaultAddress);
+
+/**
+ * @swagger
+ * /me/addresses/{addressId}:
+ *   delete:
+ *     summary: Delete a saved address
+ *     description: If the default address is deleted, the oldest remaining address becomes the default.
+ *     tags: [Me]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: addressId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Address deleted successfully
+ *       404:
+ *         description: Address not found
+ */
+router.delete('/addresses/:addressId',
+  [param("addressId").isInt().withMessage("Address ID must be an integer")],
+  validate,
+  AddressController.deleteAddress);
+
+/**
+ * @swagger
+ * /me/data-export:
+ *   get:
+ *     summary: Download my personal data
+ *     description: Bundles the account, saved addresses, cart, orders, returns, store credit and sign-in sessions as a JSON document or a ZIP of JSON files.
+ *     tags: [Me]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, zip]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: The export as an attachment
+ *         content:
+ *           application/json: {}
+ *           application/zip: {}
+ */
+router.get('/data-export',
+  [query("format").optional().isIn(["json", "zip"]).withMessage("Format must be json or zip")],
+  PrivacyController.exportMyData);
+
+/**
+ * @swagger
+ * /me/erasure-request:
+ *   post:
+ *     summary: Ask for my personal data to be erased
+ *     description: >
+ *       Queues a right-to-erasure request for review. Once approved the account is anonymized,
+ *       including order addresses; order totals are kept for accounting.
+ *     tags: [Me]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: I no longer use this shop
+ *     responses:
+ *       201:
+ *         description: Erasure request submitted
+ *       409:
+ *         description: An erasure request is already pending
+ */
+router.post('/erasure-request',
+  [body("reason").optional().isString().isLength({ max: 1000 }).withMessage("Reason must be at most 1000 characters")],
+  PrivacyController.requestErasure);
+
+/**
+ * @swagger
+ * /me/erasure-request:
+ *   get:
+ *     summary: View my erasure requests
+ *     tags: [Me]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Erasure requests retrieved successfully
+ */
+router.get('/erasure-request', PrivacyController.getMyErasureRequests);
+
+/**
+ * @swagger
+ * /me/identities:
+ *   get:
+ *     summary: List my linked sign-in providers
+ *     tags: [Me]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Linked identities retrieved successfully
+ */
+router.get('/identities', OidcController.getMyIdentities);
+
+/**
+ * @swagger
+ * /me/identities/{identityId}:
+ *   delete:
+ *     summary: Unlink a sign-in provider
+ *     description: The account can still be used with its password (or a password reset).
+ *     tags: [Me]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: identityId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Identity unlinked successfully
+ *       404:
+ *         description: Linked identity not found
+ */
+router.delete('/identities/:identityId',
+  [param("identityId").isInt().withMessage("Identity ID must be an integer")],
+  validate,
+  OidcController.unlinkIdentity);
+
+module.exports = router;
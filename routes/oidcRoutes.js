@@ -0,0 +1,88 @@
+const express = require("express");
+const router = express.Router();
+
+const OidcController = require("../controllers/oidcController");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Social Login
+ *   description: Sign in with an external OpenID Connect provider (authorization code with PKCE)
+ */
+
+/**
+ * @swagger
+ * /auth/oidc/providers:
+ *   get:
+ *     summary: List sign-in providers
+ *     description: Providers configured through OIDC_PROVIDERS.
+ *     tags: [Social Login]
+ *     responses:
+ *       200:
+ *         description: Sign-in providers retrieved successfully
+ */
+router.get("/providers", OidcController.getProviders);
+
+/**
+ * @swagger
+ * /auth/oidc/{provider}/authorize:
+ *   get:
+ *     summary: Start a provider login
+ *     description: Redirects the browser to the provider's login page.
+ *     tags: [Social Login]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: google
+ *     responses:
+ *       302:
+ *         description: Redirect to the provider
+ *       404:
+ *         description: Unknown sign-in provider
+ *       502:
+ *         description: Sign-in provider is unavailable
+ */
+router.get("/:provider/authorize", OidcController.authorize);
+
+/**
+ * @swagger
+ * /auth/oidc/{provider}/callback:
+ *   get:
+ *     summary: Finish a provider login
+ *     description: >
+ *       Redirect target registered at the provider. Signs in the user linked to the identity,
+ *       links it to an existing verified account with the same email, or creates a customer account.
+ *       Accounts with two-factor authentication get a challenge token as with password login.
+ *     tags: [Social Login]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: code
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Login Successful, or two-factor authentication required
+ *       400:
+ *         description: Invalid or expired sign-in attempt
+ *       401:
+ *         description: Sign-in with the provider failed
+ *       403:
+ *         description: No verified email from the provider, or account suspended
+ *       409:
+ *         description: An unverified local account already uses this email
+ */
+router.get("/:provider/callback", OidcController.callback);
+
+module.exports = router;
@@ -1,10 +1,13 @@
 const express = require("express");
 const router = express.Router();
 
-const { body, param, validationResult } = require("express-validator");
+const { body, param, query, validationResult } = require("express-validator");
 
 const OrderController = require('../controllers/orderController');
-const { authenticate, authorizeRole } = require("../middlewares/auth");
+const { authenticate, requirePermission } = require("../middlewares/auth");
+const { customerFromEmail } = require("../middlewares/customer");
+const { idempotent } = require("../middlewares/idempotency");
+const { STATUSES } = require("../services/orderLifecycle");
 
 const validate = (req, res, next) => {
   const errors = validationResult(req);
@@ -14,15 +17,18 @@ const validate = (req, res, next) => {
   next();
 };
 
-
 /**
  * @swagger
- * /order/placeOrder:
+ * /order/guest:
  *   post:
- *     summary: Place a new order
- *     description: Creates an order for a user, updates product stock, and calculates total price.
+ *     summary: Place an order as a guest
+ *     description: >
+ *       Checkout without an account. The order is tied to the contact email and phone. The response
+ *       contains a lookup token (also emailed) to follow the order or turn it into an account later.
  *     tags:
  *       - Orders
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -31,24 +37,251 @@ const validate = (req, res, next) => {
  *             type: object
  *             required:
  *               - email
- *               - productId
- *               - quantity
+ *               - phone
  *               - address
  *               - city
  *               - zipcode
  *               - deliveryDate
- *               - courierName
+ *               - paymentToken
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: "guest@example.com"
+ *               phone:
+ *                 type: string
+ *                 example: "+1 555 0100"
+ *               items:
+ *                 type: array
+ *                 description: Order lines. Replaces productId and quantity, which are still accepted for a single product.
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     productId:
+ *                       type: integer
+ *                       example: 1
+ *                     quantity:
+ *                       type: integer
+ *                       example: 2
+ *               productId:
+ *                 type: integer
+ *                 example: 1
+ *               quantity:
+ *                 type: integer
+ *                 example: 2
+ *               address:
+ *                 type: string
+ *                 example: "123 Main St"
+ *               city:
+ *                 type: string
+ *                 example: "New York"
+ *               zipcode:
+ *                 type: string
+ *                 example: "10001"
+ *               deliveryDate:
+ *                 type: string
+ *                 format: date
+ *                 example: "2025-03-01"
+ *               courierName:
+ *                 type: string
+ *                 description: Preferred courier. The carrier and tracking number actually used are on the order's shipments.
+ *                 example: "FedEx"
+ *               paymentToken:
+ *                 type: string
+ *                 description: >
+ *                   Card token from the payment gateway. The mock gateway accepts tok_visa, tok_3ds
+ *                   (asks for authentication), tok_declined, tok_insufficient_funds and tok_capture_fails.
+ *                 example: tok_visa
+ *     responses:
+ *       201:
+ *         description: Order placed successfully, with its lookup token
+ *       202:
+ *         description: Order placed but the payment needs the customer's authentication (3-D Secure); see payment.nextAction
+ *       402:
+ *         description: Payment declined or could not be captured. Nothing is charged and the stock is released
+ *       400:
+ *         description: Validation error or insufficient stock
+ *       404:
+ *         description: Product not found
+ */
+router.post('/guest', idempotent,
+  [
+    body("email").isEmail().withMessage("Invalid email format"),
+    body("phone").trim().notEmpty().withMessage("Phone is required"),
+    body("items").optional().isArray({ min: 1 }).withMessage("Items must be a non-empty array"),
+    body("items.*.productId").isInt().withMessage("Product ID must be an integer"),
+    body("items.*.quantity").isInt({ min: 1 }).withMessage("Quantity must be at least 1"),
+    body("productId").optional().isInt().withMessage("Product ID must be an integer"),
+    body("quantity").optional().isInt({ min: 1 }).withMessage("At least one product is required"),
+    body("address").trim().notEmpty().withMessage("Address is required"),
+    body("city").trim().notEmpty().withMessage("City is required"),
+    body("zipcode").trim().notEmpty().withMessage("Zipcode is required"),
+    body("deliveryDate").isISO8601().withMessage("Delivery date must be a date"),
+    body("courierName").optional().trim().isLength({ max: 255 }).withMessage("Courier name must be at most 255 characters"),
+    body("paymentToken").trim().notEmpty().withMessage("Payment token is required")
+  ],
+  OrderController.placeGuestOrder);
+
+/**
+ * @swagger
+ * /order/guest/lookup:
+ *   get:
+ *     summary: View a guest order
+ *     description: Shows the status and details of the order behind a lookup token.
+ *     tags:
+ *       - Orders
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Order details retrieved successfully
+ *       404:
+ *         description: Invalid or expired order link
+ */
+router.get('/guest/lookup',
+  [query("token").notEmpty().withMessage("Token is required")],
+  OrderController.getGuestOrder);
+
+/**
+ * @swagger
+ * /order/guest/payment/confirm:
+ *   post:
+ *     summary: Complete the payment authentication of a guest order
+ *     description: >
+ *       Answers the 3-D Secure challenge returned when the guest order was placed, using the order's
+ *       lookup token. On success the payment is captured and the order confirmed; a failed challenge
+ *       cancels the order.
+ *     tags:
+ *       - Orders
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - code
+ *             properties:
+ *               token:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Payment completed and order confirmed
+ *       400:
+ *         description: Validation error or no payment is waiting for authentication
+ *       402:
+ *         description: Authentication failed or the payment could not be captured; the order is cancelled
+ *       404:
+ *         description: Invalid or expired order link
+ */
+router.post('/guest/payment/confirm', idempotent,
+  [
+    body("token").notEmpty().withMessage("Token is required"),
+    body("code").trim().notEmpty().withMessage("Code is required")
+  ],
+  OrderController.confirmGuestOrderPayment);
+
+/**
+ * @swagger
+ * /order/guest/convert:
+ *   post:
+ *     summary: Create an account from a guest order
+ *     description: >
+ *       Creates a customer account for the guest's email with the order attached. Other guest orders
+ *       placed with the same email are added once the email address is verified.
+ *     tags:
+ *       - Orders
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 example: "S3cure-pass"
+ *     responses:
+ *       201:
+ *         description: Account created
+ *       400:
+ *         description: Order already belongs to an account
+ *       404:
+ *         description: Invalid or expired order link
+ *       409:
+ *         description: An account already exists for this email
+ */
+router.post('/guest/convert',
+  [
+    body("token").notEmpty().withMessage("Token is required"),
+    body("password").isLength({ min: 6 }).withMessage("Password must be at least 6 characters long")
+  ],
+  OrderController.convertGuestToAccount);
+
+/**
+ * @swagger
+ * /order/placeOrder:
+ *   post:
+ *     summary: Place a new order on behalf of a user
+ *     description: Creates an order for the user with the given email, updates product stock, and calculates total price (requires order:write). Customers should use /me/orders.
+ *     tags:
+ *       - Orders
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - deliveryDate
+ *               - paymentToken
  *             properties:
  *               email:
  *                 type: string
  *                 format: email
  *                 example: "user@example.com"
+ *               items:
+ *                 type: array
+ *                 description: Order lines. Replaces productId and quantity, which are still accepted for a single product.
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     productId:
+ *                       type: integer
+ *                       example: 1
+ *                     quantity:
+ *                       type: integer
+ *                       example: 2
  *               productId:
  *                 type: integer
  *                 example: 1
  *               quantity:
  *                 type: integer
  *                 example: 2
+ *               addressId:
+ *                 type: integer
+ *                 description: Saved address of the user. Without it the free-text address or the user's default address is used.
+ *                 example: 3
  *               address:
  *                 type: string
  *                 example: "123 Main St"
@@ -64,7 +297,14 @@ const validate = (req, res, next) => {
  *                 example: "2025-03-01"
  *               courierName:
  *                 type: string
+ *                 description: Preferred courier. The carrier and tracking number actually used are on the order's shipments.
  *                 example: "FedEx"
+ *               paymentToken:
+ *                 type: string
+ *                 description: >
+ *                   Card token from the payment gateway. The mock gateway accepts tok_visa, tok_3ds
+ *                   (asks for authentication), tok_declined, tok_insufficient_funds and tok_capture_fails.
+ *                 example: tok_visa
  *     responses:
  *       201:
  *         description: Order placed successfully
@@ -79,12 +319,9 @@ const validate = (req, res, next) => {
  *                 order:
  *                   type: object
  *                   properties:
- *                     id:
+ *                     orderId:
  *                       type: integer
  *                       example: 123
- *                     userId:
- *                       type: integer
- *                       example: 45
  *                     totalAmount:
  *                       type: number
  *                       example: 199.99
@@ -107,6 +344,30 @@ const validate = (req, res, next) => {
  *                     courierName:
  *                       type: string
  *                       example: "FedEx"
+ *                     items:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           productId:
+ *                             type: integer
+ *                             example: 1
+ *                           productName:
+ *                             type: string
+ *                             example: "Desk lamp"
+ *                           quantity:
+ *                             type: integer
+ *                             example: 2
+ *                           unitPrice:
+ *                             type: number
+ *                             example: 99.99
+ *                           lineTotal:
+ *                             type: number
+ *                             example: 199.98
+ *       202:
+ *         description: Order placed but the payment needs the customer's authentication (3-D Secure); see payment.nextAction
+ *       402:
+ *         description: Payment declined or could not be captured. Nothing is charged and the stock is released
  *       400:
  *         description: Bad request (missing fields or insufficient stock)
  *         content:
@@ -139,12 +400,21 @@ const validate = (req, res, next) => {
  *                   example: "Internal server error"
  */
 
-router.post('/placeOrder',
+router.post('/placeOrder', authenticate, requirePermission("order:write"), idempotent,
   [
-    body("email").notEmpty().withMessage("Email is required"),
-    body("quantity").isInt({ min: 1 }).withMessage("At least one product is required")
+    body("email").isEmail().withMessage("Invalid email format"),
+    body("items").optional().isArray({ min: 1 }).withMessage("Items must be a non-empty array"),
+    body("items.*.productId").isInt().withMessage("Product ID must be an integer"),
+    body("items.*.quantity").isInt({ min: 1 }).withMessage("Quantity must be at least 1"),
+    body("productId").optional().isInt().withMessage("Product ID must be an integer"),
+    body("quantity").optional().isInt({ min: 1 }).withMessage("At least one product is required"),
+    body("addressId").optional().isInt().withMessage("Address ID must be an integer"),
+    body("deliveryDate").isISO8601().withMessage("Delivery date must be a date"),
+    body("courierName").optional().trim().isLength({ max: 255 }).withMessage("Courier name must be at most 255 characters"),
+    body("paymentToken").trim().notEmpty().withMessage("Payment token is required")
   ],
   validate,
+  customerFromEmail,
   OrderController.placeOrder);
 
 
@@ -153,9 +423,11 @@ router.post('/placeOrder',
  * /order/getOrdersByEmail/{email}:
  *   get:
  *     summary: Get all orders for a user by email
- *     description: Retrieves all orders placed by a user, displaying email, product name, quantity, and other details.
+ *     description: Retrieves all orders placed by a user, with their line items (requires order:read). Customers should use /me/orders.
  *     tags:
  *       - Orders
+ *     security:
+ *       - BearerAuth: []
  *     parameters:
  *       - in: path
  *         name: email
@@ -176,12 +448,6 @@ router.post('/placeOrder',
  *                   email:
  *                     type: string
  *                     example: "user@example.com"
- *                   productName:
- *                     type: string
- *                     example: "Laptop"
- *                   quantity:
- *                     type: integer
- *                     example: 2
  *                   totalAmount:
  *                     type: number
  *                     example: 1500
@@ -204,6 +470,26 @@ router.post('/placeOrder',
  *                   courierName:
  *                     type: string
  *                     example: "FedEx"
+ *                   items:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         productId:
+ *                           type: integer
+ *                           example: 1
+ *                         productName:
+ *                           type: string
+ *                           example: "Laptop"
+ *                         quantity:
+ *                           type: integer
+ *                           example: 2
+ *                         unitPrice:
+ *                           type: number
+ *                           example: 750.00
+ *                         lineTotal:
+ *                           type: number
+ *                           example: 1500.00
  *       400:
  *         description: Email is required
  *       404:
@@ -212,18 +498,23 @@ router.post('/placeOrder',
  *         description: Internal server error
  */
 
-router.get('/getOrdersByEmail/:email', OrderController.getallOrdersByEmail);
+router.get('/getOrdersByEmail/:email', authenticate, requirePermission("order:read"),
+  [param("email").isEmail().withMessage("Invalid email format")],
+  validate,
+  customerFromEmail,
+  OrderController.getallOrdersByEmail);
 
 /**
  * @swagger
  * /order/getallOrders:
  *   get:
  *     summary: Retrieve all orders
- *     description: Fetches all orders with user email and product details.
+ *     description: Fetches all orders, including guest orders, with the customer email, line items, payment status and refunded amount (requires order:read).
  *     tags:
  *       - Orders
  *     security:
  *       - BearerAuth: []
+ *       - ApiKeyAuth: []
  *     responses:
  *       200:
  *         description: Successfully retrieved all orders
@@ -246,12 +537,6 @@ router.get('/getOrdersByEmail/:email', OrderController.getallOrdersByEmail);
  *                       userEmail:
  *                         type: string
  *                         example: "user@example.com"
- *                       productName:
- *                         type: string
- *                         example: "Laptop"
- *                       quantity:
- *                         type: integer
- *                         example: 2
  *                       totalAmount:
  *                         type: number
  *                         example: 5000.00
@@ -274,6 +559,26 @@ router.get('/getOrdersByEmail/:email', OrderController.getallOrdersByEmail);
  *                       courierName:
  *                         type: string
  *                         example: "FedEx"
+ *                       items:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             productId:
+ *                               type: integer
+ *                               example: 1
+ *                             productName:
+ *                               type: string
+ *                               example: "Laptop"
+ *                             quantity:
+ *                               type: integer
+ *                               example: 2
+ *                             unitPrice:
+ *                               type: number
+ *                               example: 750.00
+ *                             lineTotal:
+ *                               type: number
+ *                               example: 1500.00
  *                       orderDate:
  *                         type: string
  *                         format: date-time
@@ -300,16 +605,18 @@ router.get('/getOrdersByEmail/:email', OrderController.getallOrdersByEmail);
  *                   example: "Internal server error"
  */
 
-router.get('/getallOrders', authenticate, authorizeRole("admin"), OrderController.getAllOrders);
+router.get('/getallOrders', authenticate, requirePermission("order:read"), OrderController.getAllOrders);
 
 /**
  * @swagger
- * /order/getOrderByEmail/{email}/{orderId}:
+ * /order/getOrderById/{email}/{orderId}:
  *   get:
  *     summary: Retrieve a specific order by email and order ID
- *     description: Fetches order details using the user's email and order ID.
+ *     description: Fetches order details, including status history and refunds, using the user's email and order ID (requires order:read). Customers should use /me/orders/{orderId}.
  *     tags:
  *       - Orders
+ *     security:
+ *       - BearerAuth: []
  *     parameters:
  *       - in: path
  *         name: email
@@ -343,12 +650,6 @@ router.get('/getallOrders', authenticate, authorizeRole("admin"), OrderControlle
  *                     userEmail:
  *                       type: string
  *                       example: "user@example.com"
- *                     productName:
- *                       type: string
- *                       example: "Smartphone"
- *                     quantity:
- *                       type: integer
- *                       example: 2
  *                     totalAmount:
  *                       type: number
  *                       example: 1500.00
@@ -371,6 +672,26 @@ router.get('/getallOrders', authenticate, authorizeRole("admin"), OrderControlle
  *                     courierName:
  *                       type: string
  *                       example: "UPS"
+ *                     items:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           productId:
+ *                             type: integer
+ *                             example: 1
+ *                           productName:
+ *                             type: string
+ *                             example: "Smartphone"
+ *                           quantity:
+ *                             type: integer
+ *                             example: 2
+ *                           unitPrice:
+ *                             type: number
+ *                             example: 750.00
+ *                           lineTotal:
+ *                             type: number
+ *                             example: 1500.00
  *                     orderDate:
  *                       type: string
  *                       format: date-time
@@ -381,16 +702,25 @@ router.get('/getallOrders', authenticate, authorizeRole("admin"), OrderControlle
  *         description: Internal server error
  */
 
-router.get("/getOrderById/:email/:orderId", OrderController.getOrderById);
+router.get("/getOrderById/:email/:orderId", authenticate, requirePermission("order:read"),
+  [
+    param("email").isEmail().withMessage("Invalid email format"),
+    param("orderId").isInt().withMessage("Order ID must be an integer")
+  ],
+  validate,
+  customerFromEmail,
+  OrderController.getOrderById);
 
 /**
  * @swagger
  * /order/cancelOrder/{email}/{orderId}:
  *   put:
  *     summary: Cancel an order by email and order ID
- *     description: Cancels an order by setting its status to "Cancelled".
+ *     description: Cancels an order that has not shipped yet, puts its items back in stock and voids or refunds its payment (requires order:write). Customers should use /me/orders/{orderId}/cancel.
  *     tags:
  *       - Orders
+ *     security:
+ *       - BearerAuth: []
  *     parameters:
  *       - in: path
  *         name: email
@@ -404,20 +734,286 @@ router.get("/getOrderById/:email/:orderId", OrderController.getOrderById);
  *         schema:
  *           type: integer
  *         description: ID of the order
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Ordered the wrong size
  *     responses:
  *       200:
  *         description: Order successfully cancelled
  *       400:
  *         description: Order is already cancelled
+ *       409:
+ *         description: Order has already shipped and can no longer be cancelled
+ *       502:
+ *         description: The payment gateway could not refund the payment; the order is not cancelled
  *       404:
  *         description: User or Order not found
  *       500:
  *         description: Internal server error
  */
 
-router.put("/cancelOrder/:email/:orderId",
-  [param("orderId").isInt().withMessage("Order ID must be an integer")],
+router.put("/cancelOrder/:email/:orderId", authenticate, requirePermission("order:write"),
+  [
+    param("email").isEmail().withMessage("Invalid email format"),
+    param("orderId").isInt().withMessage("Order ID must be an integer"),
+    body("reason").trim().notEmpty().withMessage("A cancellation reason is required")
+      .isLength({ max: 1000 }).withMessage("Reason must be at most 1000 characters")
+  ],
   validate,
+  customerFromEmail,
   OrderController.cancelOrderById);
 
+/**
+ * @swagger
+ * /order/{orderId}/status:
+ *   put:
+ *     summary: Move an order to its next status
+ *     description: |
+ *       Orders follow Pending → Confirmed → Packed → Shipped → Delivered. Orders can be Cancelled until
+ *       they ship (a note with the reason is required, and the items go back into stock), and Shipped or
+ *       Delivered orders can be marked Returned. Orders are confirmed automatically when their payment is
+ *       captured, and only paid orders can be confirmed by hand. Every change is recorded in the order's
+ *       status history (requires order:update-status).
+ *     tags:
+ *       - Orders
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [Pending, Confirmed, Packed, Shipped, Delivered, Cancelled, Returned]
+ *                 example: Packed
+ *               note:
+ *                 type: string
+ *                 example: Packed at warehouse 2
+ *     responses:
+ *       200:
+ *         description: Order status updated, with the order's history and the statuses it can move to next
+ *       400:
+ *         description: Validation error or the order already has this status
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: The order cannot move from its current status to the requested one, or it is not paid yet
+ *       500:
+ *         description: Internal server error
+ */
+router.put("/:orderId/status", authenticate, requirePermission("order:update-status"),
+  [
+    param("orderId").isInt().withMessage("Order ID must be an integer"),
+    body("status").isIn(STATUSES).withMessage(`Status must be one of: ${STATUSES.join(", ")}`),
+    body("note").optional().trim().isLength({ max: 500 }).withMessage("Note must be at most 500 characters")
+  ],
+  validate,
+  OrderController.updateOrderStatus);
+
+/**
+ * @swagger
+ * /order/{orderId}/refunds:
+ *   post:
+ *     summary: Refund an order or some of its lines
+ *     description: >
+ *       Refunds the listed lines (unit price times quantity) through the payment provider, or everything
+ *       not refunded yet when `items` is omitted. Each call is recorded as a refund on the order. With
+ *       `restock` the refunded quantities go back into stock (requires order:refund).
+ *     tags:
+ *       - Orders
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     orderItemId:
+ *                       type: integer
+ *                       example: 12
+ *                     quantity:
+ *                       type: integer
+ *                       example: 1
+ *               reason:
+ *                 type: string
+ *                 example: Arrived damaged
+ *               restock:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       201:
+ *         description: Refund issued, with the order's new refunded amount and payment status
+ *       400:
+ *         description: Validation error, or more than what is left to refund
+ *       404:
+ *         description: Order or order line not found
+ *       409:
+ *         description: The order has no captured payment
+ *       502:
+ *         description: The payment provider refused the refund
+ */
+router.post("/:orderId/refunds", authenticate, requirePermission("order:refund"), idempotent,
+  [
+    param("orderId").isInt().withMessage("Order ID must be an integer"),
+    body("items").optional().isArray({ min: 1 }).withMessage("Items must be a non-empty array"),
+    body("items.*.orderItemId").isInt().withMessage("Order item ID must be an integer"),
+    body("items.*.quantity").isInt({ min: 1 }).withMessage("Quantity must be at least 1"),
+    body("reason").trim().notEmpty().withMessage("A refund reason is required")
+      .isLength({ max: 1000 }).withMessage("Reason must be at most 1000 characters"),
+    body("restock").optional().isBoolean().withMessage("restock must be a boolean").toBoolean()
+  ],
+  validate,
+  OrderController.refundOrder);
+
+/**
+ * @swagger
+ * /order/{orderId}/shipments:
+ *   post:
+ *     summary: Ship an order or some of its lines
+ *     description: >
+ *       Records that the listed lines, or everything not shipped yet when `items` is omitted, were handed
+ *       to a carrier. An order can be split over several shipments. The order must be Packed; the first
+ *       shipment moves it to Shipped. Tracking updates then come from the carrier when it has an adapter;
+ *       for other carriers the tracking number is only stored (requires order:ship).
+ *     tags:
+ *       - Orders
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - carrier
+ *               - trackingNumber
+ *             properties:
+ *               carrier:
+ *                 type: string
+ *                 description: >
+ *                   Carrier name. Carriers with an adapter check the tracking number and send updates;
+ *                   "local" is a test carrier whose tracking numbers look like LC12345678
+ *                 example: local
+ *               trackingNumber:
+ *                 type: string
+ *                 example: LC12345678
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     orderItemId:
+ *                       type: integer
+ *                       example: 12
+ *                     quantity:
+ *                       type: integer
+ *                       example: 1
+ *     responses:
+ *       201:
+ *         description: Shipment created, with the order's new status
+ *       400:
+ *         description: Validation error, invalid tracking number, or more than what is left to ship
+ *       404:
+ *         description: Order or order line not found
+ *       409:
+ *         description: The order is not packed, or the tracking number is already used
+ */
+router.post("/:orderId/shipments", authenticate, requirePermission("order:ship"), idempotent,
+  [
+    param("orderId").isInt().withMessage("Order ID must be an integer"),
+    body("carrier").trim().notEmpty().withMessage("Carrier is required")
+      .isLength({ max: 255 }).withMessage("Carrier must be at most 255 characters"),
+    body("trackingNumber").trim().notEmpty().withMessage("Tracking number is required"),
+    body("items").optional().isArray({ min: 1 }).withMessage("Items must be a non-empty array"),
+    body("items.*.orderItemId").isInt().withMessage("Order item ID must be an integer"),
+    body("items.*.quantity").isInt({ min: 1 }).withMessage("Quantity must be at least 1")
+  ],
+  validate,
+  OrderController.createShipment);
+
+/**
+ * @swagger
+ * /order/{orderId}/shipments/{shipmentId}/refresh:
+ *   post:
+ *     summary: Fetch the latest tracking events of a shipment
+ *     description: Asks the carrier for the parcel's events, e.g. after a missed update (requires order:ship).
+ *     tags:
+ *       - Orders
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: shipmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Shipment with its tracking timeline
+ *       404:
+ *         description: Shipment not found
+ *       409:
+ *         description: The carrier has no adapter, so its tracking cannot be fetched
+ */
+router.post("/:orderId/shipments/:shipmentId/refresh", authenticate, requirePermission("order:ship"),
+  [
+    param("orderId").isInt().withMessage("Order ID must be an integer"),
+    param("shipmentId").isInt().withMessage("Shipment ID must be an integer")
+  ],
+  validate,
+  OrderController.refreshShipmentTracking);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,125 @@
+const express = require("express");
+const router = express.Router();
+
+const { body, param, query } = require("express-validator");
+
+const PrivacyController = require("../controllers/privacyController");
+const { authenticate, requirePermission } = require("../middlewares/auth");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Privacy
+ *   description: Review queue for customer data erasure requests
+ */
+
+/**
+ * @swagger
+ * /privacy/erasure-requests:
+ *   get:
+ *     summary: List erasure requests
+ *     description: Oldest first, so the queue is worked in order (requires privacy:manage).
+ *     tags: [Privacy]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, denied]
+ *     responses:
+ *       200:
+ *         description: Erasure requests retrieved successfully
+ *       403:
+ *         description: Access Denied. Insufficient permissions
+ */
+router.get("/erasure-requests", authenticate, requirePermission("privacy:manage"),
+    [
+        query("status").optional().isIn(["pending", "approved", "denied"]).withMessage("Invalid status"),
+    ],
+    PrivacyController.getAllErasureRequests);
+
+/**
+ * @swagger
+ * /privacy/erasure-requests/{id}/approve:
+ *   put:
+ *     summary: Approve an erasure request
+ *     description: >
+ *       Anonymizes the account, removes saved addresses, cart and sessions, and blanks the shipping
+ *       address of the user's orders. Order totals are kept (requires privacy:manage).
+ *     tags: [Privacy]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Erasure request approved and user anonymized
+ *       400:
+ *         description: Erasure request already reviewed
+ *       404:
+ *         description: Erasure request not found
+ */
+router.put("/erasure-requests/:id/approve", authenticate, requirePermission("privacy:manage"),
+    [
+        param("id").isInt().withMessage("Erasure request ID must be an integer"),
+        body("note").optional().isString(),
+    ],
+    PrivacyController.approveErasureRequest);
+
+/**
+ * @swagger
+ * /privacy/erasure-requests/{id}/deny:
+ *   put:
+ *     summary: Deny an erasure request
+ *     description: The note is emailed to the customer (requires privacy:manage).
+ *     tags: [Privacy]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - note
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 example: Account has an open chargeback dispute
+ *     responses:
+ *       200:
+ *         description: Erasure request denied
+ *       400:
+ *         description: Erasure request already reviewed
+ *       404:
+ *         description: Erasure request not found
+ */
+router.put("/erasure-requests/:id/deny", authenticate, requirePermission("privacy:manage"),
+    [
+        param("id").isInt().withMessage("Erasure request ID must be an integer"),
+        body("note").notEmpty().withMessage("A note explaining the decision is required"),
+    ],
+    PrivacyController.denyErasureRequest);
+
+module.exports = router;
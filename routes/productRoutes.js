@@ -5,7 +5,7 @@ const { body, param, query, validationResult } = require("express-validator");
 const ProductController = require("../controllers/productControllet");
 const upload = require('../middlewares/multer');
 
-const { authenticate, authorizeRole } = require("../middlewares/auth");
+const { authenticate, requirePermission } = require("../middlewares/auth");
 
 const validateRequest = (req, res, next) => {
     const errors = validationResult(req);
@@ -146,7 +146,7 @@ const validateRequest = (req, res, next) => {
 
 router.post('/addProduct', 
     authenticate, 
-    authorizeRole("admin"), 
+    requirePermission("product:write"), 
     upload, // Use multer upload middleware here
     [
         body("name").notEmpty().withMessage("Product name is required"),
@@ -169,6 +169,7 @@ router.post('/addProduct',
  *     tags: [Products]
  *     security:
  *       - BearerAuth: []
+ *       - ApiKeyAuth: []
  *     parameters:
  *       - name: id
  *         in: path
@@ -298,7 +299,7 @@ router.post('/addProduct',
  *                   example: "Internal server error"
  */
 
-router.put('/updateProduct/:id', authenticate, authorizeRole("admin"), upload,
+router.put('/updateProduct/:id', authenticate, requirePermission("product:write"), upload,
     [
         param("id").isInt().withMessage("Invalid product ID"),
         body("name").optional().notEmpty().withMessage("Product name cannot be empty"),
@@ -524,7 +525,7 @@ router.get('/product/:id',
  *                   example: "Internal server error"
  */
 
-router.delete('/deleteProduct/:id', authenticate, authorizeRole("admin"),
+router.delete('/deleteProduct/:id', authenticate, requirePermission("product:write"),
     [param("id").isInt().withMessage("Invalid product ID")],
     validateRequest,
     ProductController.deleteProduct);
@@ -0,0 +1,262 @@
+const express = require("express");
+const router = express.Router();
+
+const { body, param, query } = require("express-validator");
+
+const ReturnController = require("../controllers/returnController");
+const { authenticate, requirePermission } = require("../middlewares/auth");
+const { idempotent } = require("../middlewares/idempotency");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Returns
+ *   description: Review, receipt and inspection of customer returns
+ */
+
+/**
+ * @swagger
+ * /returns:
+ *   get:
+ *     summary: List returns
+ *     description: Oldest first, so they can be worked through in order (requires return:manage).
+ *     tags: [Returns]
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [requested, approved, rejected, received, completed]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Returns retrieved successfully
+ *       403:
+ *         description: Access Denied. Insufficient permissions
+ */
+router.get("/", authenticate, requirePermission("return:manage"),
+    [
+        query("status").optional().isIn(["requested", "approved", "rejected", "received", "completed"]).withMessage("Invalid status"),
+        query("page").optional().isInt({ min: 1 }).withMessage("Page must be a positive integer"),
+        query("limit").optional().isInt({ min: 1 }).withMessage("Limit must be a positive integer"),
+    ],
+    ReturnController.getReturns);
+
+/**
+ * @swagger
+ * /returns/{id}:
+ *   get:
+ *     summary: Get a return
+ *     description: Includes the refund issued for it, if any (requires return:manage).
+ *     tags: [Returns]
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Return retrieved successfully
+ *       404:
+ *         description: Return not found
+ */
+router.get("/:id", authenticate, requirePermission("return:manage"),
+    [
+        param("id").isInt().withMessage("Return ID must be an integer"),
+    ],
+    ReturnController.getReturnById);
+
+/**
+ * @swagger
+ * /returns/{id}/approve:
+ *   put:
+ *     summary: Approve a return
+ *     description: The customer can now send the items back (requires return:manage).
+ *     tags: [Returns]
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 example: Please include the original packaging
+ *     responses:
+ *       200:
+ *         description: Return approved
+ *       404:
+ *         description: Return not found
+ *       409:
+ *         description: Return was already reviewed
+ */
+router.put("/:id/approve", authenticate, requirePermission("return:manage"),
+    [
+        param("id").isInt().withMessage("Return ID must be an integer"),
+        body("note").optional().isString().isLength({ max: 1000 }).withMessage("Note must be at most 1000 characters"),
+    ],
+    ReturnController.approveReturn);
+
+/**
+ * @swagger
+ * /returns/{id}/reject:
+ *   put:
+ *     summary: Reject a return
+ *     description: The note is shown to the customer (requires return:manage).
+ *     tags: [Returns]
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - note
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 example: Returns of worn items are not accepted
+ *     responses:
+ *       200:
+ *         description: Return rejected
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Return not found
+ *       409:
+ *         description: Return was already reviewed
+ */
+router.put("/:id/reject", authenticate, requirePermission("return:manage"),
+    [
+        param("id").isInt().withMessage("Return ID must be an integer"),
+        body("note").trim().notEmpty().withMessage("A note explaining the rejection is required")
+            .isLength({ max: 1000 }).withMessage("Note must be at most 1000 characters"),
+    ],
+    ReturnController.rejectReturn);
+
+/**
+ * @swagger
+ * /returns/{id}/receive:
+ *   put:
+ *     summary: Mark a return as received
+ *     description: The items of an approved return arrived at the warehouse (requires return:manage).
+ *     tags: [Returns]
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Return marked as received
+ *       404:
+ *         description: Return not found
+ *       409:
+ *         description: Return is not approved
+ */
+router.put("/:id/receive", authenticate, requirePermission("return:manage"),
+    [
+        param("id").isInt().withMessage("Return ID must be an integer"),
+    ],
+    ReturnController.receiveReturn);
+
+/**
+ * @swagger
+ * /returns/{id}/inspect:
+ *   put:
+ *     summary: Inspect a received return and settle it
+ *     description: >
+ *       Completes the return. With `outcome` restock the items go back into stock; write_off leaves the
+ *       stock as it is. `resolution` refund pays the returned lines back through the payment provider,
+ *       store_credit adds their value to the customer's store credit and none does neither. When every
+ *       unit of the order has been returned the order moves to Returned (requires return:manage).
+ *     tags: [Returns]
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - outcome
+ *               - resolution
+ *             properties:
+ *               outcome:
+ *                 type: string
+ *                 enum: [restock, write_off]
+ *               resolution:
+ *                 type: string
+ *                 enum: [refund, store_credit, none]
+ *               note:
+ *                 type: string
+ *                 example: Box opened, item unused
+ *     responses:
+ *       200:
+ *         description: Return inspected and completed
+ *       400:
+ *         description: Validation error or the lines can no longer be refunded
+ *       404:
+ *         description: Return not found
+ *       409:
+ *         description: Return has not been received, or there is no captured payment to refund
+ *       502:
+ *         description: The payment gateway could not refund the payment; the return is unchanged
+ */
+router.put("/:id/inspect", authenticate, requirePermission("return:manage"), idempotent,
+    [
+        param("id").isInt().withMessage("Return ID must be an integer"),
+        body("outcome").isIn(["restock", "write_off"]).withMessage("Outcome must be restock or write_off"),
+        body("resolution").isIn(["refund", "store_credit", "none"]).withMessage("Resolution must be refund, store_credit or none"),
+        body("note").optional().isString().isLength({ max: 1000 }).withMessage("Note must be at most 1000 characters"),
+    ],
+    ReturnController.inspectReturn);
+
+module.exports = router;
@@ -0,0 +1,174 @@
+const express = require("express");
+const router = express.Router();
+
+const { body, param } = require("express-validator");
+
+const RoleController = require("../controllers/roleController");
+const { authenticate, requirePermission } = require("../middlewares/auth");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Roles
+ *   description: Roles and the permissions they grant
+ */
+
+/**
+ * @swagger
+ * /roles:
+ *   get:
+ *     summary: List roles
+ *     description: Lists every role with its permissions (requires role:manage).
+ *     tags: [Roles]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Roles retrieved successfully
+ *       403:
+ *         description: Access Denied. Insufficient permissions
+ */
+router.get("/", authenticate, requirePermission("role:manage"), RoleController.getAllRoles);
+
+/**
+ * @swagger
+ * /roles/permissions:
+ *   get:
+ *     summary: List permissions
+ *     description: Lists every permission that can be assigned to a role (requires role:manage).
+ *     tags: [Roles]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permissions retrieved successfully
+ *       403:
+ *         description: Access Denied. Insufficient permissions
+ */
+router.get("/permissions", authenticate, requirePermission("role:manage"), RoleController.getAllPermissions);
+
+/**
+ * @swagger
+ * /roles:
+ *   post:
+ *     summary: Create a role
+ *     description: >
+ *       Creates a role with the given permissions, or an empty one to fill in later with
+ *       PUT /roles/{name}/permissions. Only permissions the caller holds can be granted (requires role:manage).
+ *     tags: [Roles]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: returns-desk
+ *               description:
+ *                 type: string
+ *                 example: Handles returned parcels
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["order:read"]
+ *     responses:
+ *       201:
+ *         description: Role created successfully
+ *       400:
+ *         description: Role already exists or unknown permissions
+ *       403:
+ *         description: Access Denied. Insufficient permissions, or a permission the caller does not hold
+ */
+router.post("/", authenticate, requirePermission("role:manage"),
+    [
+        body("name")
+            .matches(/^[a-z][a-z0-9-]*$/)
+            .withMessage("Role name must be lowercase letters, digits or dashes"),
+        body("description").optional().isString(),
+        body("permissions").optional().isArray().withMessage("Permissions must be an array of names"),
+        body("permissions.*").isString().withMessage("Permissions must be an array of names"),
+    ],
+    RoleController.createRole);
+
+/**
+ * @swagger
+ * /roles/{name}:
+ *   delete:
+ *     summary: Delete a role
+ *     description: Deletes a custom role that is not assigned to any user (requires role:manage).
+ *     tags: [Roles]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Role deleted successfully
+ *       400:
+ *         description: Built-in role or role still assigned
+ *       404:
+ *         description: Role not found
+ */
+router.delete("/:name", authenticate, requirePermission("role:manage"), RoleController.deleteRole);
+
+/**
+ * @swagger
+ * /roles/{name}/permissions:
+ *   put:
+ *     summary: Set role permissions
+ *     description: >
+ *       Replaces the permissions granted by a role. Only permissions the caller holds can be granted,
+ *       and neither the caller's own role nor the admin role can be changed (requires role:manage).
+ *     tags: [Roles]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - permissions
+ *             properties:
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["order:read", "order:update-status"]
+ *     responses:
+ *       200:
+ *         description: Role permissions updated successfully
+ *       400:
+ *         description: Unknown permissions
+ *       403:
+ *         description: The caller's own role, the admin role, or a permission the caller does not hold
+ *       404:
+ *         description: Role not found
+ */
+router.put("/:name/permissions", authenticate, requirePermission("role:manage"),
+    [
+        param("name").notEmpty(),
+        body("permissions").isArray().withMessage("Permissions must be an array of names"),
+        body("permissions.*").isString().withMessage("Permissions must be an array of names"),
+    ],
+    RoleController.setRolePermissions);
+
+module.exports = router;
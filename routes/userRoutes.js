@@ -1,10 +1,12 @@
 const express = require("express");
 const router = express.Router();
 
-const { body, param } = require("express-validator");
+const { body, param, query } = require("express-validator");
 
 const UserController = require("../controllers/userController");
-const { authenticate, authorizeRole } = require("../middlewares/auth");
+const InvitationController = require("../controllers/invitationController");
+const TwoFactorController = require("../controllers/twoFactorController");
+const { authenticate, authenticateForTwoFactorSetup, requireUserSession, authorizeRole, requirePermission } = require("../middlewares/auth");
 
 
 /**
@@ -19,7 +21,7 @@ const { authenticate, authorizeRole } = require("../middlewares/auth");
  * /users/register:
  *   post:
  *     summary: Register a new user
- *     description: Register a new user with email, password, and role.
+ *     description: Register a new customer with email and password. Admin and staff accounts are created through invitations.
  *     tags: [Users]
  *     requestBody:
  *       required: true
@@ -37,34 +39,604 @@ const { authenticate, authorizeRole } = require("../middlewares/auth");
  *               password:
  *                 type: string
  *                 example: "mypassword123"
+ *     responses:
+ *       201:
+ *         description: User Registered successfully
+ *       400:
+ *         description: Email already registered
+ *       500:
+ *         description: Internal server error
+ */
+router.post("/register",
+    [
+        body("email").isEmail().withMessage("Invalid email format"),
+        body("password").isLength({ min: 6 }).withMessage("Password must be at least 6 characters long"),
+    ],
+    UserController.registerUser);
+
+/**
+ * @swagger
+ * /users/login:
+ *   post:
+ *     summary: Login user
+ *     description: Authenticate a user using email and password.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - password
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: user@example.com
+ *               password:
+ *                 type: string
+ *                 example: mypassword123
+ *     responses:
+ *       200:
+ *         description: Login successful. Accounts with two-factor authentication get `twoFactorRequired` and a `challengeToken` instead of tokens; continue with /users/login/2fa.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Login successful
+ *                 user:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                       example: 1
+ *                     email:
+ *                       type: string
+ *                       example: user@example.com
+ *                     role:
+ *                       type: string
+ *                       example: customer
+ *                 Token:
+ *                   type: string
+ *                   example: eyJhbGciOiJIUzI1...
+ *                 refreshToken:
+ *                   type: string
+ *                   example: 12.8f3a9c...
+ *       401:
+ *         description: Invalid email or password
+ *       403:
+ *         description: Email not verified (when unverified users may not log in), or an admin must set up two-factor authentication first (`enrollmentToken` is returned)
+ *       429:
+ *         description: Too many failed login attempts for this account or IP address
+ *       500:
+ *         description: Internal server error
+ */
+router.post("/login",
+    [
+        body("email").isEmail().withMessage("Invalid email format"),
+        body("password").notEmpty().withMessage("Password is required"),
+    ],
+    UserController.userLogin);
+
+/**
+ * @swagger
+ * /users/login/2fa:
+ *   post:
+ *     summary: Complete a two-factor login
+ *     description: Exchanges the challenge token from /users/login and a TOTP code (or an unused recovery code) for an access and refresh token.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               recoveryCode:
+ *                 type: string
+ *                 example: "a1b2c-3d4e5"
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       401:
+ *         description: Invalid challenge token or authentication code
+ *       429:
+ *         description: Too many failed login attempts
+ */
+router.post("/login/2fa",
+    [
+        body("challengeToken").isString().notEmpty().withMessage("Challenge token is required"),
+        body().custom(value => Boolean(value.code || value.recoveryCode))
+            .withMessage("Either code or recoveryCode is required"),
+    ],
+    TwoFactorController.verifyLogin);
+
+/**
+ * @swagger
+ * /users/2fa/setup:
+ *   post:
+ *     summary: Start two-factor setup
+ *     description: Generates a TOTP secret and otpauth URI for an authenticator app. Accepts a bearer token, or the `enrollmentToken` returned by login when an admin must enroll.
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               enrollmentToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Secret and otpauth URI generated
+ *       400:
+ *         description: Two-factor authentication is already enabled
+ *       401:
+ *         description: Invalid token
+ */
+router.post("/2fa/setup", authenticateForTwoFactorSetup, requireUserSession, TwoFactorController.setupTwoFactor);
+
+/**
+ * @swagger
+ * /users/2fa/enable:
+ *   post:
+ *     summary: Confirm two-factor setup
+ *     description: Enables two-factor authentication once a code from the app is confirmed and returns one-time recovery codes. During a forced admin enrollment the response also carries the login tokens.
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               enrollmentToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *       400:
+ *         description: Invalid authentication code or setup not started
+ */
+router.post("/2fa/enable", authenticateForTwoFactorSetup, requireUserSession,
+    [
+        body("code").notEmpty().withMessage("Authentication code is required"),
+    ],
+    TwoFactorController.enableTwoFactor);
+
+/**
+ * @swagger
+ * /users/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     description: Requires the password and a current code or recovery code. Not allowed for admins when two-factor is mandatory.
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       400:
+ *         description: Not enabled, or mandatory for this role
+ *       401:
+ *         description: Invalid password or authentication code
+ */
+router.post("/2fa/disable", authenticate, requireUserSession,
+    [
+        body("password").notEmpty().withMessage("Password is required"),
+    ],
+    TwoFactorController.disableTwoFactor);
+
+/**
+ * @swagger
+ * /users/2fa/recovery-codes:
+ *   post:
+ *     summary: Regenerate recovery codes
+ *     description: Replaces all recovery codes after confirming a current TOTP code.
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Recovery codes regenerated
+ *       401:
+ *         description: Invalid authentication code
+ */
+router.post("/2fa/recovery-codes", authenticate, requireUserSession,
+    [
+        body("code").notEmpty().withMessage("Authentication code is required"),
+    ],
+    TwoFactorController.regenerateRecoveryCodes);
+
+/**
+ * @swagger
+ * /users/token/refresh:
+ *   post:
+ *     summary: Refresh access token
+ *     description: Exchanges a refresh token for a new access token. The refresh token is rotated and the old one stops working.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 example: 12.8f3a9c...
+ *     responses:
+ *       200:
+ *         description: Token refreshed successfully
+ *       401:
+ *         description: Invalid or expired refresh token
+ *       500:
+ *         description: Internal server error
+ */
+router.post("/token/refresh",
+    [
+        body("refreshToken").isString().notEmpty().withMessage("Refresh token is required"),
+    ],
+    UserController.refreshToken);
+
+/**
+ * @swagger
+ * /users/logout:
+ *   post:
+ *     summary: Logout
+ *     description: Revokes the session of the current access token and its refresh token.
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ *       401:
+ *         description: Invalid token
+ */
+router.post("/logout", authenticate, requireUserSession, UserController.logout);
+
+/**
+ * @swagger
+ * /users/logout/all:
+ *   post:
+ *     summary: Logout from all devices
+ *     description: Revokes every active session of the current user.
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out from all devices
+ *       401:
+ *         description: Invalid token
+ */
+router.post("/logout/all", authenticate, requireUserSession, UserController.logoutAllDevices);
+
+/**
+ * @swagger
+ * /users/verify-email:
+ *   post:
+ *     summary: Verify email address
+ *     description: Marks the account as verified using the signed token from the verification email.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *       400:
+ *         description: Invalid or expired verification token
+ *       500:
+ *         description: Internal server error
+ */
+router.post("/verify-email",
+    [
+        body("token").isString().notEmpty().withMessage("Verification token is required"),
+    ],
+    UserController.verifyEmail);
+
+/**
+ * @swagger
+ * /users/verify-email/resend:
+ *   post:
+ *     summary: Resend the verification email
+ *     description: Sends a new verification email to an unverified account. Limited to one email per cooldown period.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: user@example.com
+ *     responses:
+ *       200:
+ *         description: If the account exists and is not yet verified, a verification email has been sent
+ *       429:
+ *         description: Cooldown has not elapsed yet
+ *       500:
+ *         description: Internal server error
+ */
+router.post("/verify-email/resend",
+    [
+        body("email").isEmail().withMessage("Invalid email format"),
+    ],
+    UserController.resendVerificationEmail);
+
+/**
+ * @swagger
+ * /users/password/forgot:
+ *   post:
+ *     summary: Request a password reset
+ *     description: Emails a single-use, expiring reset link if the email is registered. The response is the same either way.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: user@example.com
+ *     responses:
+ *       200:
+ *         description: If the email is registered, a password reset link has been sent
+ *       500:
+ *         description: Internal server error
+ */
+router.post("/password/forgot",
+    [
+        body("email").isEmail().withMessage("Invalid email format"),
+    ],
+    UserController.forgotPassword);
+
+/**
+ * @swagger
+ * /users/password/reset:
+ *   post:
+ *     summary: Reset password with a reset token
+ *     description: Consumes the reset token, sets the new password and signs the user out of every device.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - newPassword
+ *             properties:
+ *               token:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 example: "newpassword123"
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Invalid or expired reset token
+ *       500:
+ *         description: Internal server error
+ */
+router.post("/password/reset",
+    [
+        body("token").isString().notEmpty().withMessage("Reset token is required"),
+        body("newPassword").isLength({ min: 6 }).withMessage("Password must be at least 6 characters long"),
+    ],
+    UserController.resetPassword);
+
+/**
+ * @swagger
+ * /users/password/change:
+ *   post:
+ *     summary: Change password
+ *     description: Changes the password of the logged in user. Other sessions are signed out.
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *                 example: "mypassword123"
+ *               newPassword:
+ *                 type: string
+ *                 example: "newpassword123"
+ *     responses:
+ *       200:
+ *         description: Password changed successfully
+ *       401:
+ *         description: Current password is incorrect
+ *       500:
+ *         description: Internal server error
+ */
+router.post("/password/change", authenticate, requireUserSession,
+    [
+        body("currentPassword").notEmpty().withMessage("Current password is required"),
+        body("newPassword").isLength({ min: 6 }).withMessage("Password must be at least 6 characters long"),
+    ],
+    UserController.changePassword);
+
+/**
+ * @swagger
+ * /users/invitations:
+ *   post:
+ *     summary: Invite an admin or staff member
+ *     description: >
+ *       Emails a signed, expiring invitation link (requires user:invite). Any open invitation for the same
+ *       email is revoked. Only roles whose permissions the inviter holds can be invited.
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - role
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: staff@example.com
  *               role:
  *                 type: string
- *                 enum: [admin, customer]
- *                 example: customer
+ *                 description: Name of any non-customer role, e.g. admin, staff, warehouse or support
+ *                 example: staff
  *     responses:
  *       201:
- *         description: User Registered successfully
+ *         description: Invitation sent successfully
  *       400:
- *         description: Email already registered
+ *         description: Email already registered or unknown role
+ *       403:
+ *         description: Access Denied. Insufficient permissions, or the role has permissions the inviter does not hold
  *       500:
  *         description: Internal server error
  */
-router.post("/register",
+router.post("/invitations", authenticate, requirePermission("user:invite"),
     [
         body("email").isEmail().withMessage("Invalid email format"),
-        body("password").isLength({ min: 6 }).withMessage("Password must be at least 6 characters long"),
         body("role")
-            .isIn(["admin", "customer"])
-            .withMessage("Role must be either 'admin' or 'customer'"),
+            .notEmpty().withMessage("Role is required")
+            .not().equals("customer").withMessage("Customers register themselves"),
     ],
-    UserController.registerUser);
+    InvitationController.createInvitation);
 
 /**
  * @swagger
- * /users/login:
+ * /users/invitations:
+ *   get:
+ *     summary: List invitations
+ *     description: Lists invitations, newest first (requires user:invite).
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, revoked, expired]
+ *     responses:
+ *       200:
+ *         description: Invitations retrieved successfully
+ *       403:
+ *         description: Access Denied. Insufficient permissions
+ */
+router.get("/invitations", authenticate, requirePermission("user:invite"), InvitationController.getAllInvitations);
+
+/**
+ * @swagger
+ * /users/invitations/{id}:
+ *   delete:
+ *     summary: Revoke an invitation
+ *     description: Revokes a pending invitation so its link can no longer be used (requires user:invite).
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Invitation revoked successfully
+ *       400:
+ *         description: Invitation is no longer pending
+ *       404:
+ *         description: Invitation not found
+ */
+router.delete("/invitations/:id", authenticate, requirePermission("user:invite"), InvitationController.revokeInvitation);
+
+/**
+ * @swagger
+ * /users/invitations/accept:
  *   post:
- *     summary: Login user
- *     description: Authenticate a user using email and password.
+ *     summary: Accept an invitation
+ *     description: Redeems an invitation token and creates the account with the chosen password.
  *     tags: [Users]
  *     requestBody:
  *       required: true
@@ -73,52 +645,28 @@ router.post("/register",
  *           schema:
  *             type: object
  *             required:
- *               - email
+ *               - token
  *               - password
  *             properties:
- *               email:
+ *               token:
  *                 type: string
- *                 example: user@example.com
  *               password:
  *                 type: string
- *                 example: mypassword123
+ *                 example: "mypassword123"
  *     responses:
- *       200:
- *         description: Login successful
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   example: Login successful
- *                 user:
- *                   type: object
- *                   properties:
- *                     id:
- *                       type: integer
- *                       example: 1
- *                     email:
- *                       type: string
- *                       example: user@example.com
- *                     role:
- *                       type: string
- *                       example: customer
- *                 token:
- *                   type: string
- *                   example: eyJhbGciOiJIUzI1...
- *       401:
- *         description: Invalid email or password
+ *       201:
+ *         description: Invitation accepted successfully
+ *       400:
+ *         description: Invalid or expired invitation
  *       500:
  *         description: Internal server error
  */
-router.post("/login",
+router.post("/invitations/accept",
     [
-        body("email").isEmail().withMessage("Invalid email format"),
-        body("password").notEmpty().withMessage("Password is required"),
+        body("token").isString().notEmpty().withMessage("Invitation token is required"),
+        body("password").isLength({ min: 6 }).withMessage("Password must be at least 6 characters long"),
     ],
-    UserController.userLogin);
+    InvitationController.acceptInvitation);
 
 /**
  * @swagger
@@ -137,7 +685,7 @@ router.post("/login",
  *       401:
  *         description: Invalid token
  */
-router.get("/admin-dashboard", authenticate, authorizeRole("admin"), (req, res) => {
+router.get("/admin-dashboard", authenticate, requireUserSession, authorizeRole("admin"), (req, res) => {
     res.json({ message: "Welcome Admin!" });
 });
 
@@ -159,7 +707,7 @@ router.get("/admin-dashboard", authenticate, authorizeRole("admin"), (req, res)
  *       401:
  *         description: Invalid token
  */
-router.get("/customer-dashboard", authenticate, authorizeRole("customer"), (req, res) => {
+router.get("/customer-dashboard", authenticate, requireUserSession, authorizeRole("customer"), (req, res) => {
     res.json({ message: "Welcome Customer!" });
 });
 
@@ -168,10 +716,47 @@ router.get("/customer-dashboard", authenticate, authorizeRole("customer"), (req,
  * /users/allUsers:
  *   get:
  *     summary: Get all users
- *     description: Fetches all user details (Admin only).
+ *     description: Fetches users page by page, optionally filtered (requires user:read).
  *     tags: [Users]
  *     security:
  *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *       - in: query
+ *         name: limit
+ *         description: Page size, at most 100
+ *         schema:
+ *           type: integer
+ *           example: 20
+ *       - in: query
+ *         name: email
+ *         description: Case-insensitive partial match on the email address
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           example: staff
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, suspended, deleted]
+ *       - in: query
+ *         name: createdFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: createdTo
+ *         schema:
+ *           type: string
+ *           format: date
  *     responses:
  *       200:
  *         description: Successfully retrieved user details
@@ -180,7 +765,13 @@ router.get("/customer-dashboard", authenticate, authorizeRole("customer"), (req,
  *       401:
  *         description: Invalid token
  */
-router.get("/allUsers", authenticate, authorizeRole("admin"), UserController.getallUsers);
+router.get("/allUsers", authenticate, requirePermission("user:read"),
+    [
+        query("status").optional().isIn(["active", "suspended", "deleted"]).withMessage("Invalid status"),
+        query("createdFrom").optional().isISO8601().withMessage("createdFrom must be a date"),
+        query("createdTo").optional().isISO8601().withMessage("createdTo must be a date"),
+    ],
+    UserController.getallUsers);
 
 /**
  * @swagger
@@ -210,7 +801,215 @@ router.get("/singleuser/:id",
     [
         param("id").isUUID().withMessage("Invalid user ID format"),
     ],
-    authenticate, UserController.userProfile);
+    authenticate, requirePermission("user:read"), UserController.userProfile);
+
+/**
+ * @swagger
+ * /users/{id}/unlock:
+ *   post:
+ *     summary: Unlock an account
+ *     description: Clears the failed login counter and lockout of a user (requires user:write).
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Account unlocked successfully
+ *       403:
+ *         description: Access Denied. Insufficient permissions
+ *       404:
+ *         description: User not found
+ */
+router.post("/:id/unlock", authenticate, requirePermission("user:write"), UserController.unlockUser);
+
+/**
+ * @swagger
+ * /users/{id}/suspend:
+ *   put:
+ *     summary: Suspend a user
+ *     description: Blocks the user from signing in and revokes all of their sessions (requires user:write).
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Chargeback fraud under investigation
+ *     responses:
+ *       200:
+ *         description: User suspended successfully
+ *       400:
+ *         description: Invalid id or own account
+ *       403:
+ *         description: The user's role has permissions the caller does not hold
+ *       404:
+ *         description: User not found
+ */
+router.put("/:id/suspend", authenticate, requirePermission("user:write"),
+    [
+        param("id").isInt().withMessage("User ID must be an integer"),
+        body("reason").optional().isString().isLength({ max: 500 }).withMessage("Reason must be at most 500 characters"),
+    ],
+    UserController.suspendUser);
+
+/**
+ * @swagger
+ * /users/{id}/reactivate:
+ *   put:
+ *     summary: Reactivate a user
+ *     description: Lifts a suspension (requires user:write).
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: User reactivated successfully
+ *       400:
+ *         description: User is already active
+ *       404:
+ *         description: User not found
+ */
+router.put("/:id/reactivate", authenticate, requirePermission("user:write"), UserController.reactivateUser);
+
+/**
+ * @swagger
+ * /users/{id}/role:
+ *   put:
+ *     summary: Change a user's role
+ *     description: >
+ *       Assigns another role to the user. Takes effect on their next request (requires user:write). The caller
+ *       must hold every permission of both the user's current role and the new one.
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 example: staff
+ *     responses:
+ *       200:
+ *         description: User role updated successfully
+ *       400:
+ *         description: Unknown role or own account
+ *       403:
+ *         description: The current or new role has permissions the caller does not hold
+ *       404:
+ *         description: User not found
+ */
+router.put("/:id/role", authenticate, requirePermission("user:write"),
+    [
+        body("role").notEmpty().withMessage("Role is required"),
+    ],
+    UserController.changeUserRole);
+
+/**
+ * @swagger
+ * /users/{id}/force-password-reset:
+ *   post:
+ *     summary: Force a password reset
+ *     description: Signs the user out everywhere, emails them a reset link and blocks login until they reset (requires user:write).
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Password reset required
+ *       400:
+ *         description: Invalid id
+ *       403:
+ *         description: The user's role has permissions the caller does not hold
+ *       404:
+ *         description: User not found
+ */
+router.post("/:id/force-password-reset", authenticate, requirePermission("user:write"),
+    [
+        param("id").isInt().withMessage("User ID must be an integer"),
+    ],
+    UserController.forcePasswordReset);
 
+/**
+ * @swagger
+ * /users/{id}:
+ *   delete:
+ *     summary: Delete a user
+ *     description: >
+ *       Anonymizes the user by default, keeping their orders for bookkeeping. With mode=delete the
+ *       row is removed, which is only allowed when the user has no orders (requires user:delete).
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [anonymize, delete]
+ *           default: anonymize
+ *     responses:
+ *       200:
+ *         description: User anonymized or deleted successfully
+ *       400:
+ *         description: Invalid id or mode, or own account
+ *       403:
+ *         description: The user's role has permissions the caller does not hold
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: User has orders and can only be anonymized
+ */
+router.delete("/:id", authenticate, requirePermission("user:delete"),
+    [
+        param("id").isInt().withMessage("User ID must be an integer"),
+        query("mode").optional().isIn(["anonymize", "delete"]).withMessage("Mode must be anonymize or delete"),
+    ],
+    UserController.deleteUser);
 
 module.exports = router;
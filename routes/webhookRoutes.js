@@ -0,0 +1,174 @@
+const express = require("express");
+const router = express.Router();
+
+const { param, query } = require("express-validator");
+
+const WebhookController = require("../controllers/webhookController");
+const { authenticate, requirePermission } = require("../middlewares/auth");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Webhooks
+ *   description: Asynchronous payment confirmations from payment providers and their delivery log, and carrier tracking updates
+ */
+
+/**
+ * @swagger
+ * /webhooks/payments/{provider}:
+ *   post:
+ *     summary: Receive a payment provider event
+ *     description: >
+ *       Called by the payment provider, not by clients. The HMAC signature is checked against the raw
+ *       request body (for the mock gateway: "X-Mock-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of
+ *       t.body>" with MOCK_WEBHOOK_SECRET). Events are stored once per event id; repeat deliveries are
+ *       acknowledged without being applied again. Events that cannot be applied yet, such as unknown
+ *       types or events for a payment that does not exist yet, are kept as failed for reprocessing.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: mock
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             example:
+ *               id: evt_1001
+ *               type: payment.captured
+ *               data:
+ *                 reference: mock_5f1c9a0e4b7d2c3a8e6f9b10
+ *     responses:
+ *       200:
+ *         description: Event received; `status` tells whether it was processed or stored as failed
+ *       400:
+ *         description: Invalid signature or malformed event
+ *       404:
+ *         description: Unknown payment provider
+ */
+router.post("/payments/:provider", WebhookController.receivePaymentWebhook);
+
+/**
+ * @swagger
+ * /webhooks/carriers/{carrier}:
+ *   post:
+ *     summary: Receive carrier tracking updates
+ *     description: >
+ *       Called by the carrier, not by clients. The HMAC signature is checked against the raw request
+ *       body (for the local test carrier: "X-Local-Carrier-Signature: t=<unix seconds>,v1=<hex
+ *       HMAC-SHA256 of t.body>" with LOCAL_CARRIER_WEBHOOK_SECRET). Events are added to the timeline of
+ *       the shipment with the same tracking number; repeated events are stored once. The order is
+ *       marked Delivered once all of it has shipped and every shipment is delivered.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: carrier
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: local
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             example:
+ *               events:
+ *                 - id: LC12345678-3
+ *                   trackingNumber: LC12345678
+ *                   status: delivered
+ *                   description: Left at the front door
+ *                   location: New York
+ *                   occurredAt: "2025-03-02T14:05:00Z"
+ *     responses:
+ *       200:
+ *         description: Update received; `updated` and `unknown` list the tracking numbers that did and did not match a shipment
+ *       400:
+ *         description: Invalid signature
+ *       404:
+ *         description: Unknown carrier
+ */
+router.post("/carriers/:carrier", WebhookController.receiveCarrierWebhook);
+
+/**
+ * @swagger
+ * /webhooks/events:
+ *   get:
+ *     summary: List webhook events
+ *     description: Failed deliveries by default, oldest first, so they can be reprocessed in order (requires webhook:manage).
+ *     tags: [Webhooks]
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, processed, failed]
+ *           default: failed
+ *       - in: query
+ *         name: provider
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Webhook events retrieved successfully
+ *       403:
+ *         description: Access Denied. Insufficient permissions
+ */
+router.get("/events", authenticate, requirePermission("webhook:manage"),
+    [
+        query("status").optional().isIn(["pending", "processed", "failed"]).withMessage("Invalid status"),
+        query("page").optional().isInt({ min: 1 }).withMessage("Page must be a positive integer"),
+        query("limit").optional().isInt({ min: 1 }).withMessage("Limit must be a positive integer"),
+    ],
+    WebhookController.getWebhookEvents);
+
+/**
+ * @swagger
+ * /webhooks/events/{id}/reprocess:
+ *   post:
+ *     summary: Reprocess a webhook event
+ *     description: Applies a stored event again, e.g. once the payment it refers to exists (requires webhook:manage).
+ *     tags: [Webhooks]
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Event reprocessed; `event.status` and `event.lastError` show the outcome
+ *       400:
+ *         description: Event already processed
+ *       404:
+ *         description: Webhook event not found
+ */
+router.post("/events/:id/reprocess", authenticate, requirePermission("webhook:manage"),
+    [
+        param("id").isInt().withMessage("Webhook event ID must be an integer"),
+    ],
+    WebhookController.reprocessWebhookEvent);
+
+module.exports = router;
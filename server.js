@@ -7,6 +7,7 @@ const sequelize = require('./config/database');
 require('dotenv').config();
 
 const routes = require('./routes/index');
+const stockReservations = require('./services/stockReservations');
 const swaggerDocs = require('./config/swagger');
 
 const app = express();
@@ -16,10 +17,16 @@ app.use(cors());
 app.use(cors({
     origin: '*', 
     methods: 'GET,POST,PUT,DELETE',
-    allowedHeaders: 'Content-Type,Authorization'
+    allowedHeaders: 'Content-Type,Authorization,X-API-Key,Idempotency-Key',
+    exposedHeaders: 'Idempotent-Replayed'
 }));
 
-app.use(express.json());
+// Webhook signatures are computed over the exact bytes received, so keep them
+app.use(express.json({
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 
@@ -30,6 +37,7 @@ sequelize.authenticate()
     })
     .then( () => {
         console.log("Tables are synced")
+        stockReservations.startSweeper();
     })
     .catch( (err) => {
         console.log("Database Connection failed", err)
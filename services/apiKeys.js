@@ -0,0 +1,46 @@
+const crypto = require('crypto');
+
+const db = require('../models');
+const { hashToken } = require('./tokenService');
+const ApiKey = db.ApiKey;
+
+// Keys look like "ak_<prefix>_<secret>". The prefix is stored in clear to find the row and to
+// let admins recognise a key; only the hash of the whole key is kept.
+const KEY_PATTERN = /^ak_([0-9a-f]{12})_([0-9a-f]{64})$/;
+
+// Avoids a database write on every request from busy integrations
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const generateKey = () => {
+    const prefix = crypto.randomBytes(6).toString('hex');
+    const key = `ak_${prefix}_${crypto.randomBytes(32).toString('hex')}`;
+
+    return { key, prefix, keyHash: hashToken(key) };
+};
+
+// Returns the active ApiKey matching a raw key, or null.
+const findActiveApiKey = async (rawKey, ip) => {
+    const match = KEY_PATTERN.exec(String(rawKey || '').trim());
+    if (!match) {
+        return null;
+    }
+
+    const apiKey = await ApiKey.scope('withHash').findOne({ where: { prefix: match[1] } });
+    if (!apiKey || apiKey.status !== "active") {
+        return null;
+    }
+
+    const expected = Buffer.from(apiKey.keyHash);
+    const actual = Buffer.from(hashToken(match[0]));
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+        await apiKey.update({ lastUsedAt: new Date(), lastUsedIp: ip });
+    }
+
+    return apiKey;
+};
+
+module.exports = { generateKey, findActiveApiKey };
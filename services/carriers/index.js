@@ -0,0 +1,19 @@
+// Every carrier adapter has a name and implements:
+//   isValidTrackingNumber(trackingNumber)  -> true when the number has the carrier's format
+//   trackingUrl(trackingNumber)            -> public tracking page, or null
+//   fetchEvents(trackingNumber)            -> async, every tracking event the carrier has for the parcel
+//   verifyWebhook(rawBody, headers)        -> true when the signature of a pushed update matches
+//   parseWebhookEvents(payload)            -> events from a pushed update
+// Events look like { id, trackingNumber, status, description, location, occurredAt } with status one of
+// in_transit, out_for_delivery, delivered or exception. The id is unique per carrier and parcel.
+const localCarrier = require('./localCarrier');
+
+const carriers = {
+    [localCarrier.name]: localCarrier
+};
+
+const getCarrier = (name) => Object.hasOwn(carriers, name) ? carriers[name] : null;
+
+const carrierNames = Object.keys(carriers);
+
+module.exports = { getCarrier, carrierNames };
@@ -0,0 +1,45 @@
+const shippingConfig = require('../../config/shipping');
+const { verifySignature } = require('../webhookSignatures');
+
+// Local stand-in for a carrier, for development and tests. It has no tracking service to ask, so
+// fetchEvents finds nothing; updates are pushed to the carrier webhook instead.
+const name = "local";
+
+const STATUSES = ["in_transit", "out_for_delivery", "delivered", "exception"];
+
+const isValidTrackingNumber = (trackingNumber) => /^LC[0-9A-Z]{8,20}$/.test(trackingNumber);
+
+const trackingUrl = () => null;
+
+const toEvent = (trackingNumber, event) => ({
+    id: String(event.id),
+    trackingNumber,
+    status: event.status,
+    description: event.description || null,
+    location: event.location || null,
+    occurredAt: new Date(event.occurredAt || Date.now())
+});
+
+const fetchEvents = async () => [];
+
+// Same scheme as the mock payment gateway: "X-Local-Carrier-Signature: t=<unix seconds>,v1=<hex
+// HMAC-SHA256 of `${t}.${rawBody}`>".
+const verifyWebhook = (rawBody, headers) => verifySignature(rawBody, headers["x-local-carrier-signature"], {
+    secret: shippingConfig.local.webhookSecret,
+    toleranceSeconds: shippingConfig.local.webhookToleranceSeconds
+});
+
+// Local updates look like { events: [{ id, trackingNumber, status, description, location, occurredAt }] }
+const parseWebhookEvents = (payload) => (Array.isArray(payload.events) ? payload.events : [])
+    .filter(event => event && event.id && event.trackingNumber && STATUSES.includes(event.status))
+    .map(event => toEvent(event.trackingNumber, event))
+    .filter(event => !isNaN(event.occurredAt));
+
+module.exports = {
+    name,
+    isValidTrackingNumber,
+    trackingUrl,
+    fetchEvents,
+    verifyWebhook,
+    parseWebhookEvents
+};
@@ -0,0 +1,83 @@
+const db = require('../models');
+const { createZip } = require('./zip');
+
+// Collects everything we hold about a customer for a subject access request.
+// Secrets (password hash, TOTP secret, recovery codes, token hashes) are left out.
+const collectUserData = async (user) => {
+    const [addresses, cartItems, orders, sessions, identities, erasureRequests, returnRequests, storeCredits] = await Promise.all([
+        db.Address.findAll({ where: { userId: user.id }, order: [["createdAt", "ASC"]] }),
+        db.Cart.findAll({
+            where: { userId: user.id },
+            include: [{ model: db.Product, as: "product", attributes: ["id", "name"] }],
+            order: [["createdAt", "ASC"]]
+        }),
+        db.Order.findAll({
+            where: { userId: user.id },
+            include: [{ model: db.OrderItem, as: "items", attributes: ["productId", "productName", "quantity", "unitPrice", "lineTotal"] }],
+            order: [["createdAt", "ASC"]]
+        }),
+        db.Session.findAll({
+            where: { userId: user.id },
+            attributes: ["id", "userAgent", "ipAddress", "createdAt", "lastUsedAt", "expiresAt", "revokedAt"],
+            order: [["createdAt", "ASC"]]
+        }),
+        db.UserIdentity.findAll({
+            where: { userId: user.id },
+            attributes: ["provider", "subject", "email", "lastLoginAt", "createdAt"],
+            order: [["createdAt", "ASC"]]
+        }),
+        db.ErasureRequest.findAll({
+            where: { userId: user.id },
+            attributes: ["id", "status", "reason", "reviewedAt", "decisionNote", "createdAt"],
+            order: [["createdAt", "ASC"]]
+        }),
+        db.ReturnRequest.findAll({
+            where: { userId: user.id },
+            attributes: ["id", "orderId", "status", "reason", "photoUrls", "decisionNote", "resolution", "createdAt"],
+            include: [{ model: db.ReturnItem, as: "items", attributes: ["orderItemId", "quantity"] }],
+            order: [["createdAt", "ASC"]]
+        }),
+        db.StoreCredit.findAll({
+            where: { userId: user.id },
+            attributes: ["amount", "reason", "createdAt"],
+            order: [["createdAt", "ASC"]]
+        })
+    ]);
+
+    return {
+        exportedAt: new Date().toISOString(),
+        account: {
+            id: user.id,
+            email: user.email,
+            role: user.role,
+            status: user.status,
+            firstName: user.firstName,
+            lastName: user.lastName,
+            phone: user.phone,
+            preferences: user.preferences,
+            emailVerifiedAt: user.emailVerifiedAt,
+            twoFactorEnabled: user.twoFactorEnabled,
+            createdAt: user.createdAt,
+            updatedAt: user.updatedAt
+        },
+        addresses: addresses.map(address => address.toJSON()),
+        cart: cartItems.map(item => item.toJSON()),
+        orders: orders.map(order => order.toJSON()),
+        sessions: sessions.map(session => session.toJSON()),
+        linkedIdentities: identities.map(identity => identity.toJSON()),
+        erasureRequests: erasureRequests.map(request => request.toJSON()),
+        returns: returnRequests.map(request => request.toJSON()),
+        storeCredit: storeCredits.map(entry => entry.toJSON())
+    };
+};
+
+// One JSON file per section, so the archive is easy to browse.
+const buildZipArchive = (data) => {
+    const files = Object.keys(data)
+        .filter(section => section !== "exportedAt")
+        .map(section => ({ name: `${section}.json`, content: JSON.stringify(data[section], null, 2) }));
+
+    return createZip(files, new Date(data.exportedAt));
+};
+
+module.exports = { collectUserData, buildZipArchive };
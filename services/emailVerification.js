@@ -0,0 +1,50 @@
+const JWT = require('jsonwebtoken');
+
+const authConfig = require('../config/auth');
+const mailConfig = require('../config/mail');
+const { sendMail } = require('./mailer');
+
+const PURPOSE = "verify-email";
+
+// The token carries the email, so it stops working if the address changes before use.
+const signVerificationToken = (user) => JWT.sign(
+    { id: user.id, email: user.email, purpose: PURPOSE },
+    process.env.JWT_SECRET_KEY,
+    { expiresIn: `${authConfig.emailVerificationTtlHours}h` }
+);
+
+// Returns the token payload, or null when the token is invalid, expired or not a verification token.
+const decodeVerificationToken = (token) => {
+    try {
+        const decoded = JWT.verify(token, process.env.JWT_SECRET_KEY);
+        return decoded.purpose === PURPOSE ? decoded : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+const sendVerificationEmail = async (user) => {
+    const token = signVerificationToken(user);
+
+    await sendMail({
+        to: user.email,
+        subject: "Verify your email address",
+        text: `Confirm your email address using the link below. It expires in ${authConfig.emailVerificationTtlHours} hours.\n\n` +
+            `${mailConfig.appUrl}/verify-email?token=${token}`
+    });
+
+    user.verificationSentAt = new Date();
+    await user.save();
+};
+
+// Seconds left before another verification email may be sent, 0 when allowed.
+const resendCooldownRemaining = (user) => {
+    if (!user.verificationSentAt) {
+        return 0;
+    }
+
+    const elapsed = (Date.now() - new Date(user.verificationSentAt).getTime()) / 1000;
+    return Math.max(0, Math.ceil(authConfig.emailVerificationResendCooldownSeconds - elapsed));
+};
+
+module.exports = { sendVerificationEmail, decodeVerificationToken, resendCooldownRemaining };
@@ -0,0 +1,37 @@
+const JWT = require('jsonwebtoken');
+
+const authConfig = require('../config/auth');
+const mailConfig = require('../config/mail');
+const { sendMail } = require('./mailer');
+
+const PURPOSE = "order-lookup";
+
+// Lets a guest view one order without an account. The email is bound into the token so a
+// later change of the order's contact details invalidates old links.
+const signLookupToken = (order) => JWT.sign(
+    { ord: order.id, email: order.guestEmail, purpose: PURPOSE },
+    process.env.JWT_SECRET_KEY,
+    { expiresIn: `${authConfig.guestOrderLookupTtlDays}d` }
+);
+
+// Returns the token payload, or null when the token is invalid, expired or not a lookup token.
+const decodeLookupToken = (token) => {
+    try {
+        const decoded = JWT.verify(token, process.env.JWT_SECRET_KEY);
+        return decoded.purpose === PURPOSE ? decoded : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+const sendOrderConfirmation = async (order, token) => {
+    await sendMail({
+        to: order.guestEmail,
+        subject: `Order #${order.id} received`,
+        text: `Thanks for your order. You can follow its status with the link below.\n\n` +
+            `${mailConfig.appUrl}/orders/lookup?token=${token}\n\n` +
+            `Create an account from that page to keep your order history in one place.`
+    });
+};
+
+module.exports = { signLookupToken, decodeLookupToken, sendOrderConfirmation };
@@ -0,0 +1,37 @@
+const JWT = require('jsonwebtoken');
+
+const authConfig = require('../config/auth');
+const mailConfig = require('../config/mail');
+const { sendMail } = require('./mailer');
+
+const PURPOSE = "invitation";
+
+const signInvitationToken = (invitation) => JWT.sign(
+    { inv: invitation.id, email: invitation.email, purpose: PURPOSE },
+    process.env.JWT_SECRET_KEY,
+    { expiresIn: `${authConfig.invitationTtlHours}h` }
+);
+
+// Returns the token payload, or null when the token is invalid, expired or not an invitation.
+const decodeInvitationToken = (token) => {
+    try {
+        const decoded = JWT.verify(token, process.env.JWT_SECRET_KEY);
+        return decoded.purpose === PURPOSE ? decoded : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+const sendInvitationEmail = async (invitation) => {
+    const token = signInvitationToken(invitation);
+
+    await sendMail({
+        to: invitation.email,
+        subject: "You have been invited",
+        text: `You have been invited to join as ${invitation.role}. Use the link below to set your password. ` +
+            `It expires in ${authConfig.invitationTtlHours} hours.\n\n` +
+            `${mailConfig.appUrl}/accept-invitation?token=${token}`
+    });
+};
+
+module.exports = { sendInvitationEmail, decodeInvitationToken };
@@ -0,0 +1,26 @@
+const db = require('../../models');
+const LoginThrottle = db.LoginThrottle;
+
+// Counters in Postgres, shared by every instance and kept across restarts.
+const createDatabaseStore = () => {
+    return {
+        name: "database",
+        get: async (key) => {
+            const record = await LoginThrottle.findOne({ where: { key } });
+            return record ? record.get({ plain: true }) : null;
+        },
+        set: async (key, record) => {
+            await LoginThrottle.upsert({
+                key,
+                failures: record.failures,
+                lockedUntil: record.lockedUntil,
+                lastFailureAt: record.lastFailureAt
+            }, { conflictFields: ["key"] });
+        },
+        delete: async (key) => {
+            await LoginThrottle.destroy({ where: { key } });
+        }
+    };
+};
+
+module.exports = createDatabaseStore;
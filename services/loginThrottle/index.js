@@ -0,0 +1,85 @@
+const { loginThrottle: throttleConfig } = require('../../config/auth');
+const createMemoryStore = require('./memoryStore');
+const createDatabaseStore = require('./databaseStore');
+
+const createStore = (name) => {
+    switch (name) {
+        case "memory":
+            return createMemoryStore();
+        case "database":
+            return createDatabaseStore();
+        default:
+            throw new Error(`Unknown login throttle store "${name}"`);
+    }
+};
+
+let store = createStore(throttleConfig.store);
+
+const accountKey = (email) => `account:${String(email).trim().toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+// Seconds until the first locked key opens again, 0 when none is locked.
+const lockedFor = async (keys) => {
+    const now = Date.now();
+    let retryAfter = 0;
+
+    for (const key of keys) {
+        const record = await store.get(key);
+        if (record && record.lockedUntil && new Date(record.lockedUntil).getTime() > now) {
+            retryAfter = Math.max(retryAfter, Math.ceil((new Date(record.lockedUntil).getTime() - now) / 1000));
+        }
+    }
+
+    return retryAfter;
+};
+
+// Counts a failure and locks the key once maxAttempts is reached. Each further
+// failure doubles the lock, up to maxLockSeconds.
+const registerFailure = async (key, maxAttempts) => {
+    const now = new Date();
+    const record = await store.get(key);
+
+    let failures = record ? record.failures : 0;
+    const isLocked = record && record.lockedUntil && new Date(record.lockedUntil) > now;
+    const isStale = record && record.lastFailureAt &&
+        now - new Date(record.lastFailureAt) > throttleConfig.failureWindowMinutes * 60 * 1000;
+
+    if (!isLocked && isStale) {
+        failures = 0;
+    }
+
+    failures += 1;
+
+    let lockedUntil = record && isLocked ? record.lockedUntil : null;
+    if (failures >= maxAttempts) {
+        const lockSeconds = Math.min(
+            throttleConfig.baseLockSeconds * Math.pow(2, failures - maxAttempts),
+            throttleConfig.maxLockSeconds
+        );
+        lockedUntil = new Date(now.getTime() + lockSeconds * 1000);
+    }
+
+    await store.set(key, { failures, lockedUntil, lastFailureAt: now });
+};
+
+const checkLogin = async (email, ip) => lockedFor([accountKey(email), ipKey(ip)]);
+
+const recordFailedLogin = async (email, ip) => {
+    await registerFailure(accountKey(email), throttleConfig.maxAccountAttempts);
+    await registerFailure(ipKey(ip), throttleConfig.maxIpAttempts);
+};
+
+// Only the account counter is cleared; a valid login must not wipe the IP's record.
+const recordSuccessfulLogin = async (email) => {
+    await store.delete(accountKey(email));
+};
+
+const unlockAccount = async (email) => {
+    await store.delete(accountKey(email));
+};
+
+const setStore = (nextStore) => {
+    store = nextStore;
+};
+
+module.exports = { checkLogin, recordFailedLogin, recordSuccessfulLogin, unlockAccount, setStore, createStore };
@@ -0,0 +1,17 @@
+// Per-process counters, fine for a single instance or for tests.
+const createMemoryStore = () => {
+    const records = new Map();
+
+    return {
+        name: "memory",
+        get: async (key) => records.get(key) || null,
+        set: async (key, record) => {
+            records.set(key, { ...record });
+        },
+        delete: async (key) => {
+            records.delete(key);
+        }
+    };
+};
+
+module.exports = createMemoryStore;
@@ -0,0 +1,20 @@
+const fs = require('fs');
+const path = require('path');
+
+// Writes each message as a JSON file, handy for local development without an SMTP server.
+const createFileTransport = (dir) => {
+    return {
+        name: "file",
+        send: async (message) => {
+            await fs.promises.mkdir(dir, { recursive: true });
+
+            const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+            await fs.promises.writeFile(
+                path.join(dir, fileName),
+                JSON.stringify({ ...message, sentAt: new Date() }, null, 2)
+            );
+        }
+    };
+};
+
+module.exports = createFileTransport;
@@ -0,0 +1,29 @@
+const mailConfig = require('../../config/mail');
+const createMemoryTransport = require('./memoryTransport');
+const createFileTransport = require('./fileTransport');
+
+const createTransport = (name) => {
+    switch (name) {
+        case "memory":
+            return createMemoryTransport();
+        case "file":
+            return createFileTransport(mailConfig.fileDir);
+        default:
+            throw new Error(`Unknown mail transport "${name}"`);
+    }
+};
+
+let transport = createTransport(mailConfig.transport);
+
+const sendMail = async ({ to, subject, text }) => {
+    await transport.send({ from: mailConfig.from, to, subject, text });
+};
+
+// Lets tests or other environments swap the transport at runtime.
+const setTransport = (nextTransport) => {
+    transport = nextTransport;
+};
+
+const getTransport = () => transport;
+
+module.exports = { sendMail, setTransport, getTransport, createTransport };
@@ -0,0 +1,17 @@
+// Keeps every message in memory so tests can inspect what would have been sent.
+const createMemoryTransport = () => {
+    const outbox = [];
+
+    return {
+        name: "memory",
+        outbox,
+        send: async (message) => {
+            outbox.push({ ...message, sentAt: new Date() });
+        },
+        clear: () => {
+            outbox.length = 0;
+        }
+    };
+};
+
+module.exports = createMemoryTransport;
@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const JWT = require('jsonwebtoken');
+const { Op } = require('sequelize');
+
+const db = require('../models');
+const oidcConfig = require('../config/oidc');
+const { hashToken } = require('./tokenService');
+const OidcLoginState = db.OidcLoginState;
+
+// Discovery documents and signing keys change rarely; cache them per provider.
+const CACHE_TTL_MS = 60 * 60 * 1000;
+const metadataCache = new Map();
+const jwksCache = new Map();
+
+const ID_TOKEN_ALGORITHMS = ["RS256", "RS384", "RS512", "PS256", "PS384", "PS512", "ES256", "ES384", "ES512"];
+
+const getProvider = (name) => Object.hasOwn(oidcConfig.providers, name) ? oidcConfig.providers[name] : null;
+
+const listProviders = () => Object.values(oidcConfig.providers).map(provider => ({
+    name: provider.name,
+    displayName: provider.displayName
+}));
+
+const redirectUri = (provider) => `${oidcConfig.callbackBaseUrl}/${provider.name}/callback`;
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+const fetchJson = async (url, options) => {
+    const response = await fetch(url, options);
+    const body = await response.json().catch(() => null);
+
+    if (!response.ok) {
+        const detail = body && (body.error_description || body.error);
+        throw new Error(`OIDC request to ${url} failed with ${response.status}${detail ? `: ${detail}` : ""}`);
+    }
+
+    return body;
+};
+
+const discover = async (provider) => {
+    const cached = metadataCache.get(provider.name);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.metadata;
+    }
+
+    const metadata = await fetchJson(provider.discoveryUrl);
+    metadataCache.set(provider.name, { metadata, expiresAt: Date.now() + CACHE_TTL_MS });
+
+    return metadata;
+};
+
+// Finds the JWK for a key id, refetching the key set once in case the provider rotated keys.
+const getSigningKey = async (provider, metadata, kid) => {
+    let cached = jwksCache.get(provider.name);
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+        if (!cached || cached.expiresAt <= Date.now() || attempt === 1) {
+            const jwks = await fetchJson(metadata.jwks_uri);
+            cached = { keys: jwks.keys || [], expiresAt: Date.now() + CACHE_TTL_MS };
+            jwksCache.set(provider.name, cached);
+        }
+
+        const jwk = cached.keys.find(key => (kid ? key.kid === kid : key.use !== "enc"));
+        if (jwk) {
+            return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+        }
+    }
+
+    throw new Error(`No signing key ${kid} published by ${provider.name}`);
+};
+
+// Starts an authorization-code flow with PKCE. The verifier and nonce stay server side,
+// keyed by the hash of the state parameter.
+const createAuthorizationUrl = async (provider) => {
+    const metadata = await discover(provider);
+
+    const state = base64url(crypto.randomBytes(32));
+    const nonce = base64url(crypto.randomBytes(32));
+    const codeVerifier = base64url(crypto.randomBytes(32));
+    const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+    await OidcLoginState.destroy({ where: { expiresAt: { [Op.lt]: new Date() } } });
+    await OidcLoginState.create({
+        stateHash: hashToken(state),
+        provider: provider.name,
+        codeVerifier,
+        nonce,
+        expiresAt: new Date(Date.now() + oidcConfig.stateTtlMinutes * 60 * 1000)
+    });
+
+    const url = new URL(metadata.authorization_endpoint);
+    url.searchParams.set("response_type", "code");
+    url.searchParams.set("client_id", provider.clientId);
+    url.searchParams.set("redirect_uri", redirectUri(provider));
+    url.searchParams.set("scope", provider.scopes);
+    url.searchParams.set("state", state);
+    url.searchParams.set("nonce", nonce);
+    url.searchParams.set("code_challenge", codeChallenge);
+    url.searchParams.set("code_challenge_method", "S256");
+
+    return url.toString();
+};
+
+// Returns the stored login state for a callback, or null if unknown or expired. Single use.
+const consumeLoginState = async (provider, state) => {
+    if (!state) {
+        return null;
+    }
+
+    const loginState = await OidcLoginState.findOne({
+        where: { stateHash: hashToken(state), provider: provider.name }
+    });
+    if (!loginState) {
+        return null;
+    }
+
+    await loginState.destroy();
+    return loginState.expiresAt > new Date() ? loginState : null;
+};
+
+const exchangeCode = async (provider, metadata, code, codeVerifier) => {
+    const params = new URLSearchParams({
+        grant_type: "authorization_code",
+        code,
+        redirect_uri: redirectUri(provider),
+        client_id: provider.clientId,
+        code_verifier: codeVerifier
+    });
+    const headers = { "Content-Type": "application/x-www-form-urlencoded", Accept: "application/json" };
+
+    // client_secret_basic is the spec default; fall back to client_secret_post when that is all the IdP offers
+    if (provider.clientSecret) {
+        const methods = metadata.token_endpoint_auth_methods_supported || ["client_secret_basic"];
+        if (methods.includes("client_secret_basic")) {
+            const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+            headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+        } else {
+            params.set("client_secret", provider.clientSecret);
+        }
+    }
+
+    return fetchJson(metadata.token_endpoint, { method: "POST", headers, body: params.toString() });
+};
+
+const verifyIdToken = async (provider, metadata, idToken, nonce) => {
+    const decoded = JWT.decode(idToken, { complete: true });
+    if (!decoded) {
+        throw new Error("Malformed ID token");
+    }
+
+    const key = await getSigningKey(provider, metadata, decoded.header.kid);
+    const claims = JWT.verify(idToken, key, {
+        algorithms: ID_TOKEN_ALGORITHMS,
+        issuer: metadata.issuer,
+        audience: provider.clientId
+    });
+
+    if (claims.nonce !== nonce) {
+        throw new Error("ID token nonce mismatch");
+    }
+
+    return claims;
+};
+
+// Exchanges the authorization code and returns the verified ID token claims.
+const completeLogin = async (provider, loginState, code) => {
+    const metadata = await discover(provider);
+    const tokens = await exchangeCode(provider, metadata, code, loginState.codeVerifier);
+
+    if (!tokens || !tokens.id_token) {
+        throw new Error(`${provider.name} did not return an ID token`);
+    }
+
+    return verifyIdToken(provider, metadata, tokens.id_token, loginState.nonce);
+};
+
+module.exports = {
+    getProvider,
+    listProviders,
+    createAuthorizationUrl,
+    consumeLoginState,
+    completeLogin
+};
@@ -0,0 +1,73 @@
+const db = require('../models');
+const OrderStatusHistory = db.OrderStatusHistory;
+
+const STATUSES = ["Pending", "Confirmed", "Packed", "Shipped", "Delivered", "Cancelled", "Returned"];
+
+// Allowed moves from each status. Cancelled and Returned are final.
+const TRANSITIONS = {
+    Pending: ["Confirmed", "Cancelled"],
+    Confirmed: ["Packed", "Cancelled"],
+    Packed: ["Shipped", "Cancelled"],
+    Shipped: ["Delivered", "Returned"],
+    Delivered: ["Returned"],
+    Cancelled: [],
+    Returned: []
+};
+
+const allowedTransitions = (status) => TRANSITIONS[status] || [];
+
+const canTransition = (from, to) => allowedTransitions(from).includes(to);
+
+// Appends a history row; fromStatus is null for the row written when the order is created.
+const recordStatus = (order, fromStatus, { changedById, note, transaction } = {}) => OrderStatusHistory.create({
+    orderId: order.id,
+    fromStatus,
+    toStatus: order.status,
+    changedById: changedById || null,
+    note: note || null
+}, { transaction });
+
+// Moves an order to a new status if the lifecycle allows it and records who did it.
+// Returns { order } or { status, message }.
+const transitionOrder = async (order, toStatus, { changedById, note, transaction } = {}) => {
+    if (!STATUSES.includes(toStatus)) {
+        return { status: 400, message: `Unknown order status ${toStatus}` };
+    }
+
+    if (order.status === toStatus) {
+        return { status: 400, message: `Order is already ${toStatus}` };
+    }
+
+    if (!canTransition(order.status, toStatus)) {
+        const next = allowedTransitions(order.status);
+        return {
+            status: 409,
+            message: `Order cannot move from ${order.status} to ${toStatus}` +
+                (next.length > 0 ? `. Allowed: ${next.join(", ")}` : "")
+        };
+    }
+
+    const fromStatus = order.status;
+    order.status = toStatus;
+    await order.save({ transaction });
+    await recordStatus(order, fromStatus, { changedById, note, transaction });
+
+    return { order };
+};
+
+const historyInclude = {
+    model: OrderStatusHistory,
+    as: "statusHistory",
+    separate: true,
+    order: [["createdAt", "ASC"], ["id", "ASC"]],
+    attributes: ["fromStatus", "toStatus", "note", "changedById", "createdAt"]
+};
+
+module.exports = {
+    STATUSES,
+    allowedTransitions,
+    canTransition,
+    recordStatus,
+    transitionOrder,
+    historyInclude
+};
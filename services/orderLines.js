@@ -0,0 +1,24 @@
+// Helpers for the services that act on some lines of an order: refunds, returns and shipments.
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Adds up rows carrying an orderItemId and a quantity into quantities keyed by order item id.
+const sumByOrderItem = (rows) => {
+    const quantities = new Map();
+    for (const row of rows) {
+        quantities.set(row.orderItemId, (quantities.get(row.orderItemId) || 0) + row.quantity);
+    }
+    return quantities;
+};
+
+// Lines from a request body, `[{ orderItemId, quantity }]`, with repeated lines merged.
+const requestedQuantities = (items) => sumByOrderItem(items.map(line => ({
+    orderItemId: parseInt(line.orderItemId),
+    quantity: parseInt(line.quantity)
+})));
+
+module.exports = {
+    roundMoney,
+    sumByOrderItem,
+    requestedQuantities
+};
@@ -0,0 +1,404 @@
+const db = require('../models');
+const Order = db.Order;
+const OrderItem = db.OrderItem;
+const Product = db.Product;
+const Address = db.Address;
+const Cart = db.Cart;
+const Payment = db.Payment;
+const orderLifecycle = require('./orderLifecycle');
+const stockReservations = require('./stockReservations');
+const payments = require('./payments');
+const refunds = require('./refunds');
+const shipments = require('./shipments');
+const { roundMoney } = require('./orderLines');
+
+// Accepts `items: [{ productId, quantity }]` or the older single productId/quantity pair and
+// merges repeated products into one line. Returns an empty array when nothing was ordered.
+const normalizeItems = ({ items, productId, quantity }) => {
+    const lines = Array.isArray(items) && items.length > 0
+        ? items
+        : (productId && quantity ? [{ productId, quantity }] : []);
+
+    const merged = new Map();
+    for (const line of lines) {
+        const id = parseInt(line.productId);
+        merged.set(id, (merged.get(id) || 0) + parseInt(line.quantity));
+    }
+
+    return [...merged].map(([id, qty]) => ({ productId: id, quantity: qty }));
+};
+
+// Shipping address: a saved address by id, free text, or the default saved address.
+// Returns { address, city, zipcode } or { status, message }.
+const resolveShippingAddress = async (user, { addressId, address, city, zipcode }, { transaction }) => {
+    if (!addressId && address && city && zipcode) {
+        return { address, city, zipcode };
+    }
+
+    const savedAddress = await Address.findOne({
+        where: addressId ? { id: addressId, userId: user.id } : { userId: user.id, isDefault: true },
+        transaction
+    });
+
+    if (addressId && !savedAddress) {
+        return { status: 404, message: "Address not found" };
+    }
+
+    if (!savedAddress) {
+        return { status: 400, message: "Provide an addressId, a full address (address, city, zipcode) or save a default address" };
+    }
+
+    return { address: savedAddress.address, city: savedAddress.city, zipcode: savedAddress.zipcode };
+};
+
+// Creates an order with its line items and takes the stock, inside the caller's transaction.
+// Product rows are locked so concurrent orders cannot oversell.
+// Returns { order } or { status, message } when the order cannot be placed.
+const createOrder = async (fields, { transaction }) => {
+    const items = fields.items;
+
+    const products = await Product.findAll({
+        where: { id: items.map(item => item.productId) },
+        order: [["id", "ASC"]], // consistent lock order between concurrent orders
+        transaction,
+        lock: transaction.LOCK.UPDATE
+    });
+
+    const lines = [];
+    for (const item of items) {
+        const product = products.find(candidate => candidate.id === item.productId);
+
+        if (!product) {
+            return { status: 404, message: `Product ${item.productId} not found` };
+        }
+
+        if (product.stock < item.quantity) {
+            return { status: 400, message: `Only ${product.stock} items of ${product.name} left in stock` };
+        }
+
+        const unitPrice = Number(product.price);
+        lines.push({
+            product,
+            productId: product.id,
+            productName: product.name,
+            quantity: item.quantity,
+            unitPrice,
+            lineTotal: roundMoney(unitPrice * item.quantity)
+        });
+    }
+
+    for (const line of lines) {
+        if (!await stockReservations.takeStock(line.productId, line.quantity, { transaction })) {
+            return { status: 400, message: `Not enough ${line.productName} left in stock` };
+        }
+    }
+
+    const order = await Order.create({
+        userId: fields.userId || null,
+        guestEmail: fields.guestEmail || null,
+        guestPhone: fields.guestPhone || null,
+        totalAmount: roundMoney(lines.reduce((sum, line) => sum + line.lineTotal, 0)),
+        status: "Pending",
+        address: fields.address,
+        city: fields.city,
+        zipcode: fields.zipcode,
+        deliveryDate: fields.deliveryDate,
+        courierName: fields.courierName
+    }, { transaction });
+
+    order.items = await OrderItem.bulkCreate(lines.map(line => ({
+        orderId: order.id,
+        productId: line.productId,
+        productName: line.productName,
+        quantity: line.quantity,
+        unitPrice: line.unitPrice,
+        lineTotal: line.lineTotal
+    })), { transaction });
+
+    await orderLifecycle.recordStatus(order, null, { changedById: fields.placedById, transaction });
+
+    return { order };
+};
+
+// Cancels an order, puts its items back in stock and voids or refunds its payment, inside the
+// caller's transaction. The lifecycle decides whether the order can still be cancelled (not
+// once it has shipped). Returns { order } or { status, message }.
+const cancelOrder = async (order, { changedById, reason, transaction }) => {
+    const result = await orderLifecycle.transitionOrder(order, "Cancelled", {
+        changedById,
+        note: reason,
+        transaction
+    });
+
+    if (!result.order) {
+        return result;
+    }
+
+    const items = await OrderItem.findAll({ where: { orderId: order.id }, transaction });
+    // Units a refund already restocked are back on the shelf and must not be counted twice
+    const restocked = await refunds.restockedQuantities(items, { transaction });
+
+    const quantities = new Map();
+    for (const item of items) {
+        const quantity = item.quantity - (restocked.get(item.id) || 0);
+        if (item.productId && quantity > 0) {
+            quantities.set(item.productId, (quantities.get(item.productId) || 0) + quantity);
+        }
+    }
+
+    // Products deleted since the order was placed simply match no row
+    for (const [productId, quantity] of [...quantities].sort(([a], [b]) => a - b)) {
+        await stockReservations.returnStock(productId, quantity, { transaction });
+    }
+
+    order.cancellationReason = reason;
+    order.cancelledAt = new Date();
+    await order.save({ transaction });
+
+    const released = await payments.releaseOrderPayment(order, { reason, createdById: changedById, transaction });
+    if (released.status) {
+        return released;
+    }
+
+    return { order };
+};
+
+// Captures the authorized payment of an order that is already committed. When the capture
+// fails the order is cancelled, which voids the authorization and puts the stock back; if that
+// is refused too, nothing is kept so the order is not left half cancelled.
+// Returns { payment } or { status, message }.
+const settleOrderPayment = async (order, payment) => {
+    const t = await db.sequelize.transaction();
+
+    try {
+        const result = await payments.capturePayment(order, payment, { transaction: t });
+
+        if (!result.payment) {
+            const cancelled = await cancelOrder(order, { reason: result.message, transaction: t });
+
+            if (!cancelled.order) {
+                await t.rollback();
+                await order.reload();
+                return { status: cancelled.status, message: `${result.message}. The order could not be cancelled: ${cancelled.message}` };
+            }
+        }
+
+        await t.commit();
+        return result;
+    } catch (error) {
+        await t.rollback();
+        throw error;
+    }
+};
+
+// Answers the payment challenge (3-D Secure) of an order and captures the payment if it passes.
+// A failed challenge cancels the order, or changes nothing if the cancel is refused.
+// Returns { payment } or { status, message }.
+const confirmOrderPayment = async (order, { code }) => {
+    const t = await db.sequelize.transaction();
+    let result;
+
+    try {
+        const payment = await Payment.findOne({
+            where: { orderId: order.id, status: "requires_action" },
+            order: [["createdAt", "DESC"]],
+            transaction: t,
+            lock: t.LOCK.UPDATE
+        });
+
+        if (!payment) {
+            await t.rollback();
+            return { status: 400, message: "This order has no payment waiting for authentication" };
+        }
+
+        result = await payments.confirmChallenge(order, payment, { code, transaction: t });
+
+        if (!result.payment) {
+            const cancelled = await cancelOrder(order, { reason: result.message, transaction: t });
+
+            if (!cancelled.order) {
+                await t.rollback();
+                await order.reload();
+                return { status: cancelled.status, message: `${result.message}. The order could not be cancelled: ${cancelled.message}` };
+            }
+        }
+
+        await t.commit();
+    } catch (error) {
+        await t.rollback();
+        throw error;
+    }
+
+    return result.payment ? settleOrderPayment(order, result.payment) : result;
+};
+
+// Checks every cart line against current stock and price. Cart prices are line totals taken
+// when the product was added, so a difference means the price changed since.
+// Returns a list of per-line problems; empty when the cart can be ordered as is.
+const validateCartLines = (cartItems, products, { acceptPriceChanges }) => {
+    const errors = [];
+
+    for (const cartItem of cartItems) {
+        const product = products.find(candidate => candidate.id === cartItem.productId);
+        const line = { cartId: cartItem.id, productId: cartItem.productId, quantity: cartItem.quantity };
+
+        if (!product) {
+            errors.push({ ...line, code: "not_found", message: "This product is no longer available" });
+            continue;
+        }
+
+        line.productName = product.name;
+
+        if (product.stock <= 0) {
+            errors.push({ ...line, code: "out_of_stock", message: `${product.name} is out of stock`, available: 0 });
+            continue;
+        }
+
+        if (product.stock < cartItem.quantity) {
+            errors.push({
+                ...line,
+                code: "insufficient_stock",
+                message: `Only ${product.stock} items of ${product.name} left in stock`,
+                available: product.stock
+            });
+            continue;
+        }
+
+        const currentPrice = roundMoney(Number(product.price) * cartItem.quantity);
+        if (!acceptPriceChanges && roundMoney(Number(cartItem.price)) !== currentPrice) {
+            errors.push({
+                ...line,
+                code: "price_changed",
+                message: `The price of ${product.name} has changed`,
+                cartPrice: roundMoney(Number(cartItem.price)),
+                currentPrice
+            });
+        }
+    }
+
+    return errors;
+};
+
+// Turns the customer's whole cart into one order and empties the cart, inside the caller's
+// transaction. Any stock reservation the customer holds is used up. Returns { order }, { lineErrors } or { status, message }.
+const checkoutCart = async (user, fields, { transaction }) => {
+    const cartItems = await Cart.findAll({
+        where: { userId: user.id },
+        order: [["id", "ASC"]],
+        transaction,
+        lock: transaction.LOCK.UPDATE
+    });
+
+    if (cartItems.length === 0) {
+        return { status: 400, message: "Your cart is empty" };
+    }
+
+    // Stock the customer reserved goes back first and is taken again by the order below,
+    // all in this transaction so nobody else can grab it in between
+    await stockReservations.releaseForUser(user, { transaction });
+
+    const products = await Product.findAll({
+        where: { id: cartItems.map(cartItem => cartItem.productId) },
+        order: [["id", "ASC"]],
+        transaction,
+        lock: transaction.LOCK.UPDATE
+    });
+
+    const lineErrors = validateCartLines(cartItems, products, fields);
+    if (lineErrors.length > 0) {
+        return { lineErrors };
+    }
+
+    const result = await createOrder({
+        ...fields,
+        userId: user.id,
+        placedById: user.id,
+        items: normalizeItems({ items: cartItems })
+    }, { transaction });
+
+    if (result.order) {
+        await Cart.destroy({ where: { userId: user.id }, transaction });
+    }
+
+    return result;
+};
+
+// Moves guest orders placed with the user's email into their order history.
+// Only call this once the user has proven they own the email address.
+const attachGuestOrders = async (user, { transaction } = {}) => {
+    const [count] = await Order.update(
+        { userId: user.id },
+        {
+            where: db.sequelize.and(
+                { userId: null },
+                db.sequelize.where(db.sequelize.fn('lower', db.sequelize.col('guestEmail')), user.email.toLowerCase())
+            ),
+            transaction
+        }
+    );
+
+    return count;
+};
+
+// Shape used by every order endpoint: the header plus its lines.
+const toOrderDetails = (order) => ({
+    orderId: order.id,
+    totalAmount: order.totalAmount,
+    status: order.status,
+    paymentStatus: order.paymentStatus,
+    refundedAmount: order.refundedAmount,
+    address: order.address,
+    city: order.city,
+    zipcode: order.zipcode,
+    deliveryDate: order.deliveryDate,
+    courierName: order.courierName,
+    orderDate: order.createdAt,
+    ...(order.status === "Cancelled" && {
+        cancellationReason: order.cancellationReason,
+        cancelledAt: order.cancelledAt
+    }),
+    items: (order.items || []).map(item => ({
+        orderItemId: item.id,
+        productId: item.productId,
+        productName: item.productName,
+        quantity: item.quantity,
+        unitPrice: item.unitPrice,
+        lineTotal: item.lineTotal
+    })),
+    ...(order.refunds && {
+        refunds: order.refunds.map(refunds.toRefundDetails)
+    }),
+    ...(order.shipments && {
+        shipments: order.shipments.map(shipments.toShipmentDetails)
+    }),
+    ...(order.statusHistory && {
+        statusHistory: [...order.statusHistory]
+            .sort((a, b) => a.createdAt - b.createdAt)
+            .map(entry => ({
+                fromStatus: entry.fromStatus,
+                toStatus: entry.toStatus,
+                note: entry.note,
+                changedById: entry.changedById,
+                changedAt: entry.createdAt
+            }))
+    })
+});
+
+const itemsInclude = {
+    model: OrderItem,
+    as: "items",
+    attributes: ["id", "productId", "productName", "quantity", "unitPrice", "lineTotal"]
+};
+
+module.exports = {
+    normalizeItems,
+    resolveShippingAddress,
+    createOrder,
+    cancelOrder,
+    settleOrderPayment,
+    confirmOrderPayment,
+    checkoutCart,
+    attachGuestOrders,
+    toOrderDetails,
+    itemsInclude
+};
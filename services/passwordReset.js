@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+
+const db = require('../models');
+const authConfig = require('../config/auth');
+const mailConfig = require('../config/mail');
+const { hashToken } = require('./tokenService');
+const { sendMail } = require('./mailer');
+
+const PasswordResetToken = db.PasswordResetToken;
+
+// Invalidates any earlier reset link and emails a fresh single-use one.
+const sendPasswordResetEmail = async (user, options = {}) => {
+    await PasswordResetToken.update(
+        { usedAt: new Date() },
+        { where: { userId: user.id, usedAt: null } }
+    );
+
+    const token = crypto.randomBytes(32).toString('hex');
+    await PasswordResetToken.create({
+        userId: user.id,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + authConfig.passwordResetTtlMinutes * 60 * 1000)
+    });
+
+    const intro = options.forced
+        ? "An administrator requires you to choose a new password before signing in again."
+        : "Use the link below to reset your password.";
+
+    await sendMail({
+        to: user.email,
+        subject: "Reset your password",
+        text: `${intro} It expires in ${authConfig.passwordResetTtlMinutes} minutes.\n\n` +
+            `${mailConfig.appUrl}/reset-password?token=${token}`
+    });
+};
+
+module.exports = { sendPasswordResetEmail };
@@ -0,0 +1,20 @@
+// Every gateway implements the same operations, all async:
+//   authorize({ amount, currency, paymentToken, description })
+//       -> { status: "authorized" | "requires_action" | "declined", reference, nextAction, declineReason }
+//   confirmChallenge(reference, { code })  -> { status: "authorized" | "declined", declineReason }
+//   capture(reference, amount)             -> { success, error }
+//   refund(reference, amount)              -> { success, reference, error }
+//   void(reference)                        -> { success, error }
+// and, for asynchronous confirmations, two synchronous webhook helpers:
+//   verifyWebhook(rawBody, headers)        -> true when the signature matches
+//   parseWebhookEvent(payload)             -> { id, type, reference, amount, refundReference } with type one of
+//       payment.authorized, payment.captured, payment.failed, payment.voided, payment.refunded
+const mockProvider = require('./mockProvider');
+
+const providers = {
+    [mockProvider.name]: mockProvider
+};
+
+const getProvider = (name) => Object.hasOwn(providers, name) ? providers[name] : null;
+
+module.exports = { getProvider };
@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+
+const paymentsConfig = require('../../config/payments');
+const { verifySignature } = require('../webhookSignatures');
+
+// Local stand-in for a card gateway. The payment token picks the outcome:
+//   tok_visa                succeeds
+//   tok_3ds                 asks for a 3-D Secure challenge (answer with the configured code)
+//   tok_declined            is declined
+//   tok_insufficient_funds  is declined for insufficient funds
+//   tok_capture_fails       authorizes but the capture fails
+// Any other token is declined as invalid.
+const name = "mock";
+
+const DECLINES = {
+    tok_declined: "Your card was declined",
+    tok_insufficient_funds: "Your card has insufficient funds"
+};
+
+// Only the mock's own references carry the capture failure, so they can be decided without state
+const newReference = (token) => `mock_${token === "tok_capture_fails" ? "cf_" : ""}${crypto.randomBytes(12).toString('hex')}`;
+
+const authorize = async ({ paymentToken }) => {
+    if (DECLINES[paymentToken]) {
+        return { status: "declined", declineReason: DECLINES[paymentToken] };
+    }
+
+    if (paymentToken === "tok_3ds") {
+        return {
+            status: "requires_action",
+            reference: newReference(paymentToken),
+            nextAction: {
+                type: "three_d_secure",
+                message: "Enter the one-time code sent by your bank"
+            }
+        };
+    }
+
+    if (paymentToken === "tok_visa" || paymentToken === "tok_capture_fails") {
+        return { status: "authorized", reference: newReference(paymentToken) };
+    }
+
+    return { status: "declined", declineReason: "Invalid payment token" };
+};
+
+const confirmChallenge = async (reference, { code }) => {
+    if (code !== paymentsConfig.mock.challengeCode) {
+        return { status: "declined", declineReason: "3-D Secure authentication failed" };
+    }
+
+    return { status: "authorized" };
+};
+
+const capture = async (reference) => {
+    if (reference.startsWith("mock_cf_")) {
+        return { success: false, error: "The card issuer rejected the capture" };
+    }
+
+    return { success: true };
+};
+
+const refund = async (reference, amount) => {
+    if (!(amount > 0)) {
+        return { success: false, error: "Refund amount must be positive" };
+    }
+
+    return { success: true, reference: `mock_re_${crypto.randomBytes(12).toString('hex')}` };
+};
+
+const voidAuthorization = async () => ({ success: true });
+
+// Webhooks carry "X-Mock-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${rawBody}`>".
+const verifyWebhook = (rawBody, headers) => verifySignature(rawBody, headers["x-mock-signature"], {
+    secret: paymentsConfig.mock.webhookSecret,
+    toleranceSeconds: paymentsConfig.mock.webhookToleranceSeconds
+});
+
+// Mock events look like { id, type, data: { reference, amount, refundReference } }
+const parseWebhookEvent = (payload) => ({
+    id: payload.id,
+    type: payload.type,
+    reference: payload.data && payload.data.reference,
+    amount: payload.data && payload.data.amount !== undefined ? Number(payload.data.amount) : undefined,
+    refundReference: payload.data && payload.data.refundReference
+});
+
+module.exports = {
+    name,
+    authorize,
+    confirmChallenge,
+    capture,
+    refund,
+    void: voidAuthorization,
+    verifyWebhook,
+    parseWebhookEvent
+};
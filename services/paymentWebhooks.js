@@ -0,0 +1,201 @@
+const { Op } = require('sequelize');
+
+const db = require('../models');
+const Order = db.Order;
+const Payment = db.Payment;
+const Refund = db.Refund;
+const WebhookEvent = db.WebhookEvent;
+const payments = require('./payments');
+const orderService = require('./orderService');
+const orderLifecycle = require('./orderLifecycle');
+
+// Cancels the order behind a payment the gateway gave up on, unless it is already past that point.
+const cancelForPayment = async (order, reason, { transaction }) => {
+    if (!orderLifecycle.canTransition(order.status, "Cancelled")) {
+        return {};
+    }
+    return orderService.cancelOrder(order, { reason, transaction });
+};
+
+// One handler per event type. Each returns {} when the payment is already in (or past) the
+// reported state, { error } when the event does not fit the payment's current state (it is
+// kept for replay) or { capture: true } when the payment can now be captured.
+const HANDLERS = {
+    "payment.authorized": async (order, payment, event, { transaction }) => {
+        if (payment.status !== "requires_action") {
+            return {};
+        }
+        await payments.markAuthorized(order, payment, { transaction });
+        return { capture: true };
+    },
+
+    "payment.captured": async (order, payment, event, { transaction }) => {
+        if (payment.status === "declined" || payment.status === "voided") {
+            return { error: `Payment is ${payment.status} but the provider reports a capture` };
+        }
+        if (payment.status === "requires_action" || payment.status === "authorized") {
+            await payments.markCaptured(order, payment, { transaction });
+        }
+        return {};
+    },
+
+    "payment.failed": async (order, payment, event, { transaction }) => {
+        if (payment.status !== "requires_action" && payment.status !== "authorized") {
+            return payment.status === "declined" ? {} : { error: `Payment is already ${payment.status}` };
+        }
+        await payments.markDeclined(order, payment, "Declined by the payment provider", { transaction });
+        const cancelled = await cancelForPayment(order, "Payment declined", { transaction });
+        return cancelled.status ? { error: cancelled.message } : {};
+    },
+
+    "payment.voided": async (order, payment, event, { transaction }) => {
+        if (payment.status !== "requires_action" && payment.status !== "authorized") {
+            return payment.status === "voided" ? {} : { error: `Payment is ${payment.status} and cannot be voided` };
+        }
+        await payments.markVoided(order, payment, { transaction });
+        const cancelled = await cancelForPayment(order, "Payment voided by the payment provider", { transaction });
+        return cancelled.status ? { error: cancelled.message } : {};
+    },
+
+    // Refunds we issued ourselves are already recorded under the gateway's refund reference
+    "payment.refunded": async (order, payment, event, { transaction }) => {
+        const known = event.refundReference && await Refund.findOne({
+            where: { paymentId: payment.id, providerReference: event.refundReference },
+            transaction
+        });
+        if (known || payment.status === "refunded") {
+            return {};
+        }
+        if (payment.status !== "captured" && payment.status !== "partially_refunded") {
+            return { error: `Refund reported for a payment that is ${payment.status}` };
+        }
+        const remaining = Number(payment.amount) - Number(payment.refundedAmount);
+        await payments.recordRefund(order, payment, event.amount > 0 ? Math.min(event.amount, remaining) : remaining, {
+            reason: "Refunded at the payment provider",
+            providerReference: event.refundReference,
+            transaction
+        });
+        return {};
+    }
+};
+
+// Applies one event to its payment and order and marks it processed in the same transaction.
+// The event row is locked first, so concurrent deliveries of the same event run one after the
+// other and only the first applies it. Returns { duplicate: true } when another delivery already
+// did, { error } when it could not be applied, or {}.
+const applyEvent = async (record, event) => {
+    const handler = HANDLERS[event.type];
+
+    if (!handler) {
+        return { error: `Unhandled event type ${event.type}` };
+    }
+
+    const t = await db.sequelize.transaction();
+    let result;
+    let order;
+    let payment;
+
+    try {
+        const claimed = await WebhookEvent.findByPk(record.id, { transaction: t, lock: t.LOCK.UPDATE });
+
+        if (claimed.status === "processed") {
+            await t.rollback();
+            return { duplicate: true };
+        }
+
+        payment = await Payment.findOne({
+            where: { provider: record.provider, providerReference: event.reference || null },
+            transaction: t,
+            lock: t.LOCK.UPDATE
+        });
+
+        // The event can arrive before the order that created the payment has committed
+        if (!payment) {
+            await t.rollback();
+            return { error: `No payment with reference ${event.reference} yet` };
+        }
+
+        order = await Order.findByPk(payment.orderId, { transaction: t, lock: t.LOCK.UPDATE });
+        result = await handler(order, payment, event, { transaction: t });
+
+        if (result.error) {
+            await t.rollback();
+            return { error: result.error };
+        }
+
+        await claimed.update({
+            status: "processed",
+            attempts: claimed.attempts + 1,
+            lastError: null,
+            processedAt: new Date()
+        }, { transaction: t });
+
+        await t.commit();
+    } catch (error) {
+        await t.rollback();
+        throw error;
+    }
+
+    // A failed capture cancels the order; the event itself was applied, so only note why
+    if (result.capture) {
+        const settled = await orderService.settleOrderPayment(order, payment);
+        if (!settled.payment) {
+            await WebhookEvent.update({ lastError: settled.message }, { where: { id: record.id } });
+        }
+    }
+
+    return {};
+};
+
+// Processes a stored event. Failed events keep their error and can be processed again later.
+// Returns the event with its outcome.
+const processEvent = async (record, provider) => {
+    const event = provider.parseWebhookEvent(record.payload);
+    let result;
+
+    try {
+        result = await applyEvent(record, event);
+    } catch (processingError) {
+        console.log("Error while processing payment webhook", processingError);
+        result = { error: processingError.message };
+    }
+
+    // Unless a concurrent delivery of the same event has applied it in the meantime
+    if (result.error) {
+        await WebhookEvent.update({
+            status: "failed",
+            attempts: db.sequelize.literal('"attempts" + 1'),
+            lastError: result.error,
+            processedAt: null
+        }, { where: { id: record.id, status: { [Op.ne]: "processed" } } });
+    }
+
+    return record.reload();
+};
+
+// Stores a verified event once per provider event id and processes it. A repeat delivery of an
+// event that was already processed is acknowledged without doing anything.
+// Returns { event, duplicate } or { status, message } when the payload is not a usable event.
+const receiveEvent = async (provider, payload) => {
+    const event = provider.parseWebhookEvent(payload);
+
+    if (!event.id || !event.type) {
+        return { status: 400, message: "Event id and type are required" };
+    }
+
+    const [record, created] = await WebhookEvent.findOrCreate({
+        where: { provider: provider.name, eventId: String(event.id) },
+        defaults: { type: event.type, payload, status: "pending", attempts: 0 }
+    });
+
+    if (!created && record.status === "processed") {
+        return { event: record, duplicate: true };
+    }
+
+    return { event: await processEvent(record, provider), duplicate: false };
+};
+
+module.exports = {
+    receiveEvent,
+    processEvent
+};
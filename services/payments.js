@@ -0,0 +1,256 @@
+const db = require('../models');
+const Payment = db.Payment;
+const Refund = db.Refund;
+const paymentsConfig = require('../config/payments');
+const { getProvider } = require('./paymentProviders');
+const orderLifecycle = require('./orderLifecycle');
+const { roundMoney } = require('./orderLines');
+
+const providerFor = (payment) => {
+    const provider = getProvider(payment.provider);
+    if (!provider) {
+        throw new Error(`Payment provider ${payment.provider} is not configured`);
+    }
+    return provider;
+};
+
+// The mark* helpers record what the gateway reported, whether it came back from a call we made
+// or from a webhook. They run inside the caller's transaction.
+
+const markAuthorized = async (order, payment, { transaction }) => {
+    payment.status = "authorized";
+    payment.nextAction = null;
+    await payment.save({ transaction });
+
+    order.paymentStatus = "authorized";
+    await order.save({ transaction });
+};
+
+const markDeclined = async (order, payment, reason, { transaction }) => {
+    payment.status = "declined";
+    payment.failureReason = reason;
+    payment.nextAction = null;
+    await payment.save({ transaction });
+
+    order.paymentStatus = "failed";
+    await order.save({ transaction });
+};
+
+// Only now is the order paid and confirmed.
+const markCaptured = async (order, payment, { transaction }) => {
+    payment.status = "captured";
+    payment.capturedAt = new Date();
+    payment.nextAction = null;
+    await payment.save({ transaction });
+
+    order.paymentStatus = "paid";
+    await order.save({ transaction });
+
+    if (orderLifecycle.canTransition(order.status, "Confirmed")) {
+        await orderLifecycle.transitionOrder(order, "Confirmed", { note: "Payment captured", transaction });
+    }
+};
+
+const markVoided = async (order, payment, { transaction }) => {
+    payment.status = "voided";
+    payment.nextAction = null;
+    await payment.save({ transaction });
+
+    order.paymentStatus = "voided";
+    await order.save({ transaction });
+};
+
+const markRefunded = async (order, payment, amount, { transaction }) => {
+    const refundedAmount = Math.min(roundMoney(Number(payment.refundedAmount) + amount), Number(payment.amount));
+    const fullyRefunded = refundedAmount >= Number(payment.amount);
+
+    payment.refundedAmount = refundedAmount;
+    payment.status = fullyRefunded ? "refunded" : "partially_refunded";
+    await payment.save({ transaction });
+
+    order.paymentStatus = fullyRefunded ? "refunded" : "partially_refunded";
+    order.refundedAmount = refundedAmount;
+    await order.save({ transaction });
+};
+
+// Records money that went back to the customer, whether we asked the gateway for it or the
+// gateway reported it. Returns the Refund row.
+const recordRefund = async (order, payment, amount, { reason, createdById, providerReference, transaction }) => {
+    const refund = await Refund.create({
+        orderId: order.id,
+        paymentId: payment.id,
+        amount,
+        reason: reason || null,
+        restocked: false,
+        providerReference: providerReference || null,
+        createdById: createdById || null
+    }, { transaction });
+
+    await markRefunded(order, payment, amount, { transaction });
+
+    return refund;
+};
+
+// Asks the gateway to refund part of a captured payment and records it.
+// Returns { refund } or { status, message }.
+const refundPayment = async (order, payment, amount, { reason, createdById, transaction }) => {
+    const remaining = roundMoney(Number(payment.amount) - Number(payment.refundedAmount));
+
+    if (!(amount > 0) || amount > remaining) {
+        return { status: 400, message: `Refund amount must be between 0.01 and ${remaining.toFixed(2)}` };
+    }
+
+    const result = await providerFor(payment).refund(payment.providerReference, amount);
+    if (!result.success) {
+        return { status: 502, message: `The payment could not be refunded: ${result.error}` };
+    }
+
+    const refund = await recordRefund(order, payment, amount, {
+        reason,
+        createdById,
+        providerReference: result.reference,
+        transaction
+    });
+
+    return { refund };
+};
+
+const findRefundablePayment = (order, { transaction }) => Payment.findOne({
+    where: { orderId: order.id, status: ["captured", "partially_refunded"] },
+    order: [["createdAt", "DESC"]],
+    transaction,
+    lock: transaction.LOCK.UPDATE
+});
+
+// Asks the gateway to authorize the order total, inside the caller's transaction so a decline
+// leaves no order behind. Returns { payment } (authorized or waiting for the customer) or
+// { status, message } when the payment was declined.
+const authorizePayment = async (order, { paymentToken, transaction }) => {
+    const provider = providerFor({ provider: paymentsConfig.provider });
+    const amount = roundMoney(Number(order.totalAmount));
+
+    const result = await provider.authorize({
+        amount,
+        currency: paymentsConfig.currency,
+        paymentToken,
+        description: `Order ${order.id}`
+    });
+
+    if (result.status === "declined") {
+        return { status: 402, message: `Payment declined: ${result.declineReason}` };
+    }
+
+    const payment = await Payment.create({
+        orderId: order.id,
+        provider: provider.name,
+        providerReference: result.reference,
+        amount,
+        currency: paymentsConfig.currency,
+        status: result.status,
+        refundedAmount: 0,
+        nextAction: result.nextAction || null
+    }, { transaction });
+
+    order.paymentStatus = result.status === "authorized" ? "authorized" : "pending";
+    await order.save({ transaction });
+
+    return { payment };
+};
+
+// Completes a 3-D Secure (or similar) challenge. Returns { payment } or { status, message }.
+const confirmChallenge = async (order, payment, { code, transaction }) => {
+    if (payment.status !== "requires_action") {
+        return { status: 400, message: "This payment does not need authentication" };
+    }
+
+    const result = await providerFor(payment).confirmChallenge(payment.providerReference, { code });
+
+    if (result.status !== "authorized") {
+        await markDeclined(order, payment, result.declineReason, { transaction });
+        return { status: 402, message: `Payment declined: ${result.declineReason}` };
+    }
+
+    await markAuthorized(order, payment, { transaction });
+
+    return { payment };
+};
+
+// Takes the authorized money.
+// Returns { payment } or { status, message } when the gateway refused the capture.
+const capturePayment = async (order, payment, { transaction }) => {
+    const result = await providerFor(payment).capture(payment.providerReference, Number(payment.amount));
+
+    if (!result.success) {
+        payment.failureReason = result.error;
+        await payment.save({ transaction });
+        return { status: 402, message: `Payment could not be captured: ${result.error}` };
+    }
+
+    await markCaptured(order, payment, { transaction });
+
+    return { payment };
+};
+
+// Gives the customer's money back when an order is cancelled: voids an authorization that was
+// never captured and refunds what is left of a captured payment.
+// Returns {} when there was nothing to do, { payment } or { status, message }.
+const releaseOrderPayment = async (order, { reason, createdById, transaction }) => {
+    const payment = await Payment.findOne({
+        where: { orderId: order.id, status: ["requires_action", "authorized", "captured", "partially_refunded"] },
+        order: [["createdAt", "DESC"]],
+        transaction,
+        lock: transaction.LOCK.UPDATE
+    });
+
+    if (!payment) {
+        return {};
+    }
+
+    const provider = providerFor(payment);
+
+    if (payment.status === "requires_action" || payment.status === "authorized") {
+        const result = await provider.void(payment.providerReference);
+        if (!result.success) {
+            return { status: 502, message: `The payment could not be voided: ${result.error}` };
+        }
+
+        await markVoided(order, payment, { transaction });
+
+        return { payment };
+    }
+
+    const amount = roundMoney(Number(payment.amount) - Number(payment.refundedAmount));
+    const refunded = await refundPayment(order, payment, amount, { reason, createdById, transaction });
+    if (!refunded.refund) {
+        return refunded;
+    }
+
+    return { payment };
+};
+
+// What clients see of a payment.
+const toPaymentDetails = (payment) => ({
+    paymentId: payment.id,
+    status: payment.status,
+    amount: payment.amount,
+    currency: payment.currency,
+    refundedAmount: payment.refundedAmount,
+    ...(payment.nextAction && { nextAction: payment.nextAction }),
+    ...(payment.failureReason && { failureReason: payment.failureReason })
+});
+
+module.exports = {
+    markAuthorized,
+    markDeclined,
+    markCaptured,
+    markVoided,
+    markRefunded,
+    recordRefund,
+    refundPayment,
+    findRefundablePayment,
+    authorizePayment,
+    confirmChallenge,
+    capturePayment,
+    releaseOrderPayment,
+    toPaymentDetails
+};
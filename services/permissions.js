@@ -0,0 +1,40 @@
+const db = require('../models');
+const Role = db.Role;
+
+// Role permissions are read on every protected request, so keep them briefly in memory.
+const CACHE_TTL_MS = 60 * 1000;
+const cache = new Map();
+
+const getRolePermissions = async (roleName) => {
+    const cached = cache.get(roleName);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.permissions;
+    }
+
+    const role = await Role.findOne({
+        where: { name: roleName },
+        include: [{ model: db.Permission, as: 'permissions', attributes: ['name'], through: { attributes: [] } }]
+    });
+
+    const permissions = new Set(role ? role.permissions.map(permission => permission.name) : []);
+    cache.set(roleName, { permissions, expiresAt: Date.now() + CACHE_TTL_MS });
+
+    return permissions;
+};
+
+// What the caller of a request may do: an API key is limited to its own scopes rather than a role.
+const getGrantedPermissions = async (principal) => principal.type === "api_key"
+    ? new Set(principal.scopes)
+    : getRolePermissions(principal.role);
+
+// Permissions of a role that the caller does not hold, so nobody can hand out more than they have.
+const permissionsNotHeld = async (principal, roleName) => {
+    const [granted, rolePermissions] = await Promise.all([getGrantedPermissions(principal), getRolePermissions(roleName)]);
+    return [...rolePermissions].filter(permission => !granted.has(permission));
+};
+
+const clearPermissionCache = () => {
+    cache.clear();
+};
+
+module.exports = { getRolePermissions, getGrantedPermissions, permissionsNotHeld, clearPermissionCache };
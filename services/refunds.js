@@ -0,0 +1,152 @@
+const db = require('../models');
+const OrderItem = db.OrderItem;
+const RefundItem = db.RefundItem;
+const ReturnItem = db.ReturnItem;
+const payments = require('./payments');
+const stockReservations = require('./stockReservations');
+const { roundMoney, sumByOrderItem, requestedQuantities } = require('./orderLines');
+
+// Quantity of each order line the customer has not been paid back for yet, keyed by order item
+// id: neither refunded nor given as store credit by a completed return.
+const refundableQuantities = async (orderItems, { transaction }) => {
+    const orderItemIds = orderItems.map(item => item.id);
+
+    const [refundItems, creditedItems] = await Promise.all([
+        RefundItem.findAll({ where: { orderItemId: orderItemIds }, transaction }),
+        ReturnItem.findAll({
+            where: { orderItemId: orderItemIds },
+            include: [{
+                model: db.ReturnRequest,
+                as: "returnRequest",
+                attributes: [],
+                where: { status: "completed", resolution: "store_credit" }
+            }],
+            transaction
+        })
+    ]);
+
+    const refunded = sumByOrderItem(refundItems);
+    const credited = sumByOrderItem(creditedItems);
+
+    return new Map(orderItems.map(item => [item.id, item.quantity - (refunded.get(item.id) || 0) - (credited.get(item.id) || 0)]));
+};
+
+// Quantity of each order line a refund already put back into stock, keyed by order item id.
+const restockedQuantities = async (orderItems, { transaction }) => {
+    const refundItems = await RefundItem.findAll({
+        where: { orderItemId: orderItems.map(item => item.id) },
+        include: [{ model: db.Refund, as: "refund", attributes: [], where: { restocked: true } }],
+        transaction
+    });
+
+    return sumByOrderItem(refundItems);
+};
+
+// Refunds some lines of an order, or everything still refundable when no lines are given,
+// through the payment provider, inside the caller's transaction. With restock the refunded
+// quantities go back into stock. Returns { refund } or { status, message }.
+const refundOrder = async (order, { items, reason, restock, createdById, transaction }) => {
+    const payment = await payments.findRefundablePayment(order, { transaction });
+
+    if (!payment) {
+        return { status: 409, message: "This order has no captured payment to refund" };
+    }
+
+    const orderItems = await OrderItem.findAll({ where: { orderId: order.id }, order: [["id", "ASC"]], transaction });
+    const refundable = await refundableQuantities(orderItems, { transaction });
+
+    const requested = Array.isArray(items) && items.length > 0
+        ? requestedQuantities(items)
+        : new Map([...refundable].filter(([, quantity]) => quantity > 0));
+
+    if (requested.size === 0) {
+        return { status: 400, message: "Everything on this order has already been refunded or credited" };
+    }
+
+    const lines = [];
+    for (const [orderItemId, quantity] of requested) {
+        const orderItem = orderItems.find(candidate => candidate.id === orderItemId);
+
+        if (!orderItem) {
+            return { status: 404, message: `Order line ${orderItemId} not found` };
+        }
+
+        if (quantity > refundable.get(orderItemId)) {
+            return {
+                status: 400,
+                message: `Only ${refundable.get(orderItemId)} of ${orderItem.productName} can still be refunded`
+            };
+        }
+
+        lines.push({ orderItem, quantity, amount: roundMoney(Number(orderItem.unitPrice) * quantity) });
+    }
+
+    const remaining = roundMoney(Number(payment.amount) - Number(payment.refundedAmount));
+    const wholeOrder = !(Array.isArray(items) && items.length > 0);
+
+    // A whole-order refund returns whatever is left on the payment, so rounding never strands cents
+    const amount = wholeOrder ? remaining : roundMoney(lines.reduce((sum, line) => sum + line.amount, 0));
+
+    const result = await payments.refundPayment(order, payment, amount, { reason, createdById, transaction });
+
+    if (!result.refund) {
+        return result;
+    }
+
+    const refund = result.refund;
+    refund.items = await RefundItem.bulkCreate(lines.map(line => ({
+        refundId: refund.id,
+        orderItemId: line.orderItem.id,
+        quantity: line.quantity,
+        amount: line.amount
+    })), { transaction });
+
+    if (restock) {
+        const quantities = new Map();
+        for (const line of lines) {
+            if (line.orderItem.productId) {
+                quantities.set(line.orderItem.productId, (quantities.get(line.orderItem.productId) || 0) + line.quantity);
+            }
+        }
+
+        for (const [productId, quantity] of [...quantities].sort(([a], [b]) => a - b)) {
+            await stockReservations.returnStock(productId, quantity, { transaction });
+        }
+
+        refund.restocked = true;
+        await refund.save({ transaction });
+    }
+
+    return { refund };
+};
+
+// Shape of a refund in order details.
+const toRefundDetails = (refund) => ({
+    refundId: refund.id,
+    amount: refund.amount,
+    reason: refund.reason,
+    restocked: refund.restocked,
+    refundedAt: refund.createdAt,
+    items: (refund.items || []).map(item => ({
+        orderItemId: item.orderItemId,
+        quantity: item.quantity,
+        amount: item.amount
+    }))
+});
+
+const refundsInclude = {
+    model: db.Refund,
+    as: "refunds",
+    separate: true,
+    order: [["createdAt", "ASC"]],
+    attributes: ["id", "orderId", "amount", "reason", "restocked", "createdAt"],
+    include: [{ model: RefundItem, as: "items", attributes: ["orderItemId", "quantity", "amount"] }]
+};
+
+module.exports = {
+    refundableQuantities,
+    restockedQuantities,
+    refundOrder,
+    toRefundDetails,
+    refundsInclude
+};
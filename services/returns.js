@@ -0,0 +1,259 @@
+const { Op } = require('sequelize');
+
+const db = require('../models');
+const OrderItem = db.OrderItem;
+const OrderStatusHistory = db.OrderStatusHistory;
+const ReturnRequest = db.ReturnRequest;
+const ReturnItem = db.ReturnItem;
+const StoreCredit = db.StoreCredit;
+const returnsConfig = require('../config/returns');
+const orderLifecycle = require('./orderLifecycle');
+const refunds = require('./refunds');
+const stockReservations = require('./stockReservations');
+const { roundMoney, sumByOrderItem, requestedQuantities } = require('./orderLines');
+
+// When the order was delivered, from its status history.
+const deliveredAt = async (order, { transaction }) => {
+    const entry = await OrderStatusHistory.findOne({
+        where: { orderId: order.id, toStatus: "Delivered" },
+        order: [["createdAt", "DESC"]],
+        transaction
+    });
+
+    return entry ? entry.createdAt : order.updatedAt;
+};
+
+// Quantity of each order line covered by returns that were not rejected, keyed by order item id.
+const returnedQuantities = async (order, { statuses, transaction }) => {
+    const returnItems = await ReturnItem.findAll({
+        include: [{
+            model: ReturnRequest,
+            as: "returnRequest",
+            attributes: [],
+            where: { orderId: order.id, status: statuses || { [Op.ne]: "rejected" } }
+        }],
+        transaction
+    });
+
+    return sumByOrderItem(returnItems);
+};
+
+// Opens a return for some lines of a delivered order, within returnWindowDays of delivery.
+// uploadPhotos is only called once the request is accepted, so a refused one uploads nothing.
+// Runs in the caller's transaction. Returns { returnRequest } or { status, message }.
+const requestReturn = async (order, { userId, items, reason, uploadPhotos, transaction }) => {
+    if (order.status !== "Delivered") {
+        return { status: 409, message: "Only delivered orders can be returned" };
+    }
+
+    const closesAt = new Date((await deliveredAt(order, { transaction })).getTime() + returnsConfig.returnWindowDays * 24 * 60 * 60 * 1000);
+    if (closesAt < new Date()) {
+        return { status: 409, message: `The return window for this order closed on ${closesAt.toISOString().slice(0, 10)}` };
+    }
+
+    const orderItems = await OrderItem.findAll({ where: { orderId: order.id }, transaction });
+    const returned = await returnedQuantities(order, { transaction });
+
+    const requested = requestedQuantities(items);
+
+    for (const [orderItemId, quantity] of requested) {
+        const orderItem = orderItems.find(candidate => candidate.id === orderItemId);
+
+        if (!orderItem) {
+            return { status: 404, message: `Order line ${orderItemId} not found` };
+        }
+
+        const returnable = orderItem.quantity - (returned.get(orderItemId) || 0);
+        if (quantity > returnable) {
+            return { status: 400, message: `Only ${returnable} of ${orderItem.productName} can still be returned` };
+        }
+    }
+
+    const photoUrls = uploadPhotos ? await uploadPhotos() : [];
+
+    const returnRequest = await ReturnRequest.create({
+        orderId: order.id,
+        userId,
+        status: "requested",
+        reason,
+        photoUrls
+    }, { transaction });
+
+    returnRequest.items = await ReturnItem.bulkCreate([...requested].map(([orderItemId, quantity]) => ({
+        returnRequestId: returnRequest.id,
+        orderItemId,
+        quantity
+    })), { transaction });
+
+    return { returnRequest };
+};
+
+// Staff approve a requested return, so the customer can send the items back, or reject it.
+// Returns { returnRequest } or { status, message }.
+const reviewReturn = async (returnRequest, { approve, reviewedById, note, transaction }) => {
+    if (returnRequest.status !== "requested") {
+        return { status: 409, message: `Return is already ${returnRequest.status}` };
+    }
+
+    returnRequest.status = approve ? "approved" : "rejected";
+    returnRequest.reviewedById = reviewedById;
+    returnRequest.reviewedAt = new Date();
+    returnRequest.decisionNote = note || null;
+    await returnRequest.save({ transaction });
+
+    return { returnRequest };
+};
+
+// The parcel arrived at the warehouse. Returns { returnRequest } or { status, message }.
+const receiveReturn = async (returnRequest, { transaction }) => {
+    if (returnRequest.status !== "approved") {
+        return { status: 409, message: `Only approved returns can be received; this one is ${returnRequest.status}` };
+    }
+
+    returnRequest.status = "received";
+    returnRequest.receivedAt = new Date();
+    await returnRequest.save({ transaction });
+
+    return { returnRequest };
+};
+
+// Closes a received return: the items go back into stock or are written off, and the customer
+// is refunded, given store credit or nothing. Once every unit of the order has come back the
+// order is marked Returned. Runs in the caller's transaction, with the order row locked.
+// Returns { returnRequest } or { status, message }.
+const inspectReturn = async (returnRequest, order, { outcome, resolution, inspectedById, note, transaction }) => {
+    if (returnRequest.status !== "received") {
+        return { status: 409, message: `Only received returns can be inspected; this one is ${returnRequest.status}` };
+    }
+
+    const returnItems = await ReturnItem.findAll({
+        where: { returnRequestId: returnRequest.id },
+        include: [{ model: OrderItem, as: "orderItem" }],
+        order: [["id", "ASC"]],
+        transaction
+    });
+
+    if (outcome === "restock") {
+        const quantities = new Map();
+        for (const returnItem of returnItems) {
+            const productId = returnItem.orderItem.productId;
+            if (productId) {
+                quantities.set(productId, (quantities.get(productId) || 0) + returnItem.quantity);
+            }
+        }
+
+        for (const [productId, quantity] of [...quantities].sort(([a], [b]) => a - b)) {
+            await stockReservations.returnStock(productId, quantity, { transaction });
+        }
+    }
+
+    if (resolution === "refund") {
+        const refunded = await refunds.refundOrder(order, {
+            items: returnItems.map(returnItem => ({ orderItemId: returnItem.orderItemId, quantity: returnItem.quantity })),
+            reason: `Return ${returnRequest.id}`,
+            restock: false,
+            createdById: inspectedById,
+            transaction
+        });
+
+        if (!refunded.refund) {
+            return refunded;
+        }
+
+        returnRequest.refundId = refunded.refund.id;
+    }
+
+    if (resolution === "store_credit") {
+        if (!returnRequest.userId) {
+            return { status: 409, message: "Store credit needs a customer account" };
+        }
+
+        // Only units that were not refunded or credited already, so nothing is paid back twice
+        const refundable = await refunds.refundableQuantities(returnItems.map(returnItem => returnItem.orderItem), { transaction });
+        const amount = roundMoney(returnItems.reduce((sum, returnItem) => {
+            const quantity = Math.min(returnItem.quantity, refundable.get(returnItem.orderItemId));
+            return sum + Number(returnItem.orderItem.unitPrice) * Math.max(quantity, 0);
+        }, 0));
+
+        if (!(amount > 0)) {
+            return { status: 409, message: "The returned items were already refunded or credited" };
+        }
+
+        const storeCredit = await StoreCredit.create({
+            userId: returnRequest.userId,
+            amount,
+            reason: `Return ${returnRequest.id}`,
+            createdById: inspectedById
+        }, { transaction });
+
+        returnRequest.storeCreditId = storeCredit.id;
+    }
+
+    returnRequest.status = "completed";
+    returnRequest.inspectionOutcome = outcome;
+    returnRequest.resolution = resolution;
+    returnRequest.inspectedById = inspectedById;
+    returnRequest.inspectedAt = new Date();
+    returnRequest.inspectionNote = note || null;
+    await returnRequest.save({ transaction });
+
+    const orderItems = await OrderItem.findAll({ where: { orderId: order.id }, transaction });
+    const returned = await returnedQuantities(order, { statuses: "completed", transaction });
+
+    if (orderItems.every(item => (returned.get(item.id) || 0) >= item.quantity) &&
+        orderLifecycle.canTransition(order.status, "Returned")) {
+        await orderLifecycle.transitionOrder(order, "Returned", {
+            changedById: inspectedById,
+            note: `Return ${returnRequest.id} completed`,
+            transaction
+        });
+    }
+
+    return { returnRequest };
+};
+
+const storeCreditBalance = async (userId) => roundMoney(Number(await StoreCredit.sum("amount", { where: { userId } }) || 0));
+
+// What clients see of a return.
+const toReturnDetails = (returnRequest) => ({
+    returnId: returnRequest.id,
+    orderId: returnRequest.orderId,
+    status: returnRequest.status,
+    reason: returnRequest.reason,
+    photoUrls: returnRequest.photoUrls,
+    decisionNote: returnRequest.decisionNote,
+    reviewedAt: returnRequest.reviewedAt,
+    receivedAt: returnRequest.receivedAt,
+    inspectedAt: returnRequest.inspectedAt,
+    inspectionOutcome: returnRequest.inspectionOutcome,
+    resolution: returnRequest.resolution,
+    refundId: returnRequest.refundId,
+    storeCreditId: returnRequest.storeCreditId,
+    requestedAt: returnRequest.createdAt,
+    items: (returnRequest.items || []).map(item => ({
+        orderItemId: item.orderItemId,
+        quantity: item.quantity,
+        ...(item.orderItem && {
+            productId: item.orderItem.productId,
+            productName: item.orderItem.productName,
+            unitPrice: item.orderItem.unitPrice
+        })
+    }))
+});
+
+const returnItemsInclude = {
+    model: ReturnItem,
+    as: "items",
+    attributes: ["orderItemId", "quantity"],
+    include: [{ model: OrderItem, as: "orderItem", attributes: ["productId", "productName", "unitPrice"] }]
+};
+
+module.exports = {
+    requestReturn,
+    reviewReturn,
+    receiveReturn,
+    inspectReturn,
+    storeCreditBalance,
+    toReturnDetails,
+    returnItemsInclude
+};
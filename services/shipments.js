@@ -0,0 +1,252 @@
+const db = require('../models');
+const Order = db.Order;
+const OrderItem = db.OrderItem;
+const Shipment = db.Shipment;
+const ShipmentItem = db.ShipmentItem;
+const ShipmentEvent = db.ShipmentEvent;
+const { getCarrier } = require('./carriers');
+const orderLifecycle = require('./orderLifecycle');
+const { sumByOrderItem, requestedQuantities } = require('./orderLines');
+
+// Quantity of each order line already in a shipment, keyed by order item id.
+const shippedQuantities = async (order, { transaction }) => {
+    const shipmentItems = await ShipmentItem.findAll({
+        include: [{ model: Shipment, as: "shipment", attributes: [], where: { orderId: order.id } }],
+        transaction
+    });
+
+    return sumByOrderItem(shipmentItems);
+};
+
+// Hands some lines of a packed order, or everything not shipped yet when no lines are given, to a
+// carrier. An order can go out in several shipments; the first one moves it to Shipped. Carriers
+// without an adapter are allowed: the tracking number is stored as given and staff mark the order
+// Delivered themselves. Runs in the caller's transaction, with the order row locked.
+// Returns { shipment } or { status, message }.
+const createShipment = async (order, { carrier, trackingNumber, items, createdById, transaction }) => {
+    if (order.status !== "Packed" && order.status !== "Shipped") {
+        return { status: 409, message: `Only packed orders can be shipped; this one is ${order.status}` };
+    }
+
+    const adapter = getCarrier(carrier);
+
+    if (adapter && !adapter.isValidTrackingNumber(trackingNumber)) {
+        return { status: 400, message: `${trackingNumber} is not a valid ${carrier} tracking number` };
+    }
+
+    const existing = await Shipment.findOne({ where: { carrier, trackingNumber }, transaction });
+
+    if (existing) {
+        return { status: 409, message: `Tracking number ${trackingNumber} is already used by another shipment` };
+    }
+
+    const orderItems = await OrderItem.findAll({ where: { orderId: order.id }, order: [["id", "ASC"]], transaction });
+    const shipped = await shippedQuantities(order, { transaction });
+    const remaining = new Map(orderItems.map(item => [item.id, item.quantity - (shipped.get(item.id) || 0)]));
+
+    const requested = Array.isArray(items) && items.length > 0
+        ? requestedQuantities(items)
+        : new Map([...remaining].filter(([, quantity]) => quantity > 0));
+
+    if (requested.size === 0) {
+        return { status: 400, message: "Everything on this order has already shipped" };
+    }
+
+    for (const [orderItemId, quantity] of requested) {
+        const orderItem = orderItems.find(candidate => candidate.id === orderItemId);
+
+        if (!orderItem) {
+            return { status: 404, message: `Order line ${orderItemId} not found` };
+        }
+
+        if (quantity > remaining.get(orderItemId)) {
+            return { status: 400, message: `Only ${remaining.get(orderItemId)} of ${orderItem.productName} are left to ship` };
+        }
+    }
+
+    const shipment = await Shipment.create({
+        orderId: order.id,
+        carrier,
+        trackingNumber,
+        status: "shipped",
+        shippedAt: new Date(),
+        createdById: createdById || null
+    }, { transaction });
+
+    shipment.items = await ShipmentItem.bulkCreate([...requested].map(([orderItemId, quantity]) => ({
+        shipmentId: shipment.id,
+        orderItemId,
+        quantity
+    })), { transaction });
+    shipment.events = [];
+
+    if (order.status === "Packed") {
+        await orderLifecycle.transitionOrder(order, "Shipped", {
+            changedById: createdById,
+            note: `Shipped with ${carrier}, tracking number ${trackingNumber}`,
+            transaction
+        });
+    }
+
+    return { shipment };
+};
+
+// Delivers the order once every unit has shipped and every shipment has arrived.
+const completeDelivery = async (order, { transaction }) => {
+    if (order.status !== "Shipped") {
+        return;
+    }
+
+    const [orderItems, shipped, undelivered] = await Promise.all([
+        OrderItem.findAll({ where: { orderId: order.id }, transaction }),
+        shippedQuantities(order, { transaction }),
+        Shipment.count({ where: { orderId: order.id, deliveredAt: null }, transaction })
+    ]);
+
+    if (undelivered === 0 && orderItems.every(item => (shipped.get(item.id) || 0) >= item.quantity)) {
+        await orderLifecycle.transitionOrder(order, "Delivered", { note: "Delivered by the carrier", transaction });
+    }
+};
+
+// Stores carrier events the shipment does not have yet and updates its status from the latest
+// one. Runs in the caller's transaction, with the shipment row locked. Returns the number of new events.
+const applyTrackingEvents = async (shipment, events, { transaction }) => {
+    const known = await ShipmentEvent.findAll({ where: { shipmentId: shipment.id }, transaction });
+    const knownIds = new Set(known.map(event => event.externalId));
+
+    const added = events.filter(event => !knownIds.has(event.id));
+
+    if (added.length === 0) {
+        return 0;
+    }
+
+    await ShipmentEvent.bulkCreate(added.map(event => ({
+        shipmentId: shipment.id,
+        externalId: event.id,
+        status: event.status,
+        description: event.description,
+        location: event.location,
+        occurredAt: event.occurredAt
+    })), { transaction });
+
+    // Carriers do not always send events in order, so go by when they happened
+    const timeline = [...known, ...added].sort((a, b) => new Date(a.occurredAt) - new Date(b.occurredAt));
+    const latest = timeline[timeline.length - 1];
+
+    shipment.status = latest.status;
+    shipment.deliveredAt = latest.status === "delivered" ? latest.occurredAt : null;
+    await shipment.save({ transaction });
+
+    if (shipment.deliveredAt) {
+        const order = await Order.findByPk(shipment.orderId, { transaction, lock: transaction.LOCK.UPDATE });
+        await completeDelivery(order, { transaction });
+    }
+
+    return added.length;
+};
+
+// Applies events for one parcel in their own transaction. Returns false when no shipment has the
+// tracking number.
+const applyParcelEvents = async (carrier, trackingNumber, events) => {
+    const t = await db.sequelize.transaction();
+
+    try {
+        const shipment = await Shipment.findOne({
+            where: { carrier, trackingNumber },
+            transaction: t,
+            lock: t.LOCK.UPDATE
+        });
+
+        if (!shipment) {
+            await t.rollback();
+            return false;
+        }
+
+        await applyTrackingEvents(shipment, events, { transaction: t });
+        await t.commit();
+
+        return true;
+    } catch (error) {
+        await t.rollback();
+        throw error;
+    }
+};
+
+// Applies tracking events pushed by a carrier, grouped by parcel.
+// Returns the tracking numbers that matched a shipment and those that did not.
+const receiveTrackingEvents = async (carrier, events) => {
+    const byParcel = new Map();
+    for (const event of events) {
+        byParcel.set(event.trackingNumber, [...(byParcel.get(event.trackingNumber) || []), event]);
+    }
+
+    const updated = [];
+    const unknown = [];
+    for (const [trackingNumber, parcelEvents] of byParcel) {
+        (await applyParcelEvents(carrier, trackingNumber, parcelEvents) ? updated : unknown).push(trackingNumber);
+    }
+
+    return { updated, unknown };
+};
+
+// Asks the carrier for the parcel's events, for carriers that do not push updates or to catch up
+// on missed ones. Returns { shipment, added } or { status, message }.
+const refreshTracking = async (shipment, { transaction }) => {
+    const adapter = getCarrier(shipment.carrier);
+
+    if (!adapter) {
+        return { status: 409, message: `Tracking for ${shipment.carrier} shipments cannot be fetched` };
+    }
+
+    const events = await adapter.fetchEvents(shipment.trackingNumber);
+    const added = await applyTrackingEvents(shipment, events, { transaction });
+
+    return { shipment, added };
+};
+
+// Shape of a shipment in order details, with its tracking timeline oldest first.
+const toShipmentDetails = (shipment) => {
+    const adapter = getCarrier(shipment.carrier);
+
+    return {
+        shipmentId: shipment.id,
+        carrier: shipment.carrier,
+        trackingNumber: shipment.trackingNumber,
+        trackingUrl: adapter ? adapter.trackingUrl(shipment.trackingNumber) : null,
+        status: shipment.status,
+        shippedAt: shipment.shippedAt,
+        deliveredAt: shipment.deliveredAt,
+        items: (shipment.items || []).map(item => ({
+            orderItemId: item.orderItemId,
+            quantity: item.quantity
+        })),
+        events: [...(shipment.events || [])]
+            .sort((a, b) => new Date(a.occurredAt) - new Date(b.occurredAt))
+            .map(event => ({
+                status: event.status,
+                description: event.description,
+                location: event.location,
+                occurredAt: event.occurredAt
+            }))
+    };
+};
+
+const shipmentsInclude = {
+    model: Shipment,
+    as: "shipments",
+    separate: true,
+    order: [["shippedAt", "ASC"], ["id", "ASC"]],
+    attributes: ["id", "orderId", "carrier", "trackingNumber", "status", "shippedAt", "deliveredAt"],
+    include: [
+        { model: ShipmentItem, as: "items", attributes: ["orderItemId", "quantity"] },
+        { model: ShipmentEvent, as: "events", attributes: ["status", "description", "location", "occurredAt"] }
+    ]
+};
+
+module.exports = {
+    createShipment,
+    receiveTrackingEvents,
+    refreshTracking,
+    toShipmentDetails,
+    shipmentsInclude
+};
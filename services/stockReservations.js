@@ -0,0 +1,153 @@
+const { Op } = require('sequelize');
+
+const db = require('../models');
+const Product = db.Product;
+const Cart = db.Cart;
+const StockReservation = db.StockReservation;
+const checkoutConfig = require('../config/checkout');
+
+// Takes stock with a conditional update, so two requests can never both take the last unit
+// even if the caller did not lock the product row. Returns false when not enough is left.
+const takeStock = async (productId, quantity, { transaction }) => {
+    const [affected] = await Product.update(
+        { stock: db.sequelize.literal(`"stock" - ${parseInt(quantity)}`) },
+        { where: { id: productId, stock: { [Op.gte]: quantity } }, transaction }
+    );
+
+    return affected === 1;
+};
+
+const returnStock = (productId, quantity, { transaction }) => Product.increment('stock', {
+    by: quantity,
+    where: { id: productId },
+    transaction
+});
+
+// Runs fn in the given transaction, or in a new one committed when fn succeeds.
+const withTransaction = async (transaction, fn) => {
+    if (transaction) {
+        return fn(transaction);
+    }
+
+    const t = await db.sequelize.transaction();
+    try {
+        const result = await fn(t);
+        await t.commit();
+        return result;
+    } catch (error) {
+        await t.rollback();
+        throw error;
+    }
+};
+
+// Gives the stock held by matching reservations back and deletes them. The rows are locked
+// first so the sweeper and a checkout never return the same reservation twice.
+const releaseReservations = (where, { transaction } = {}) => withTransaction(transaction, async (t) => {
+    const reservations = await StockReservation.findAll({
+        where,
+        order: [["productId", "ASC"]],
+        transaction: t,
+        lock: t.LOCK.UPDATE
+    });
+
+    for (const reservation of reservations) {
+        await returnStock(reservation.productId, reservation.quantity, { transaction: t });
+    }
+
+    if (reservations.length > 0) {
+        await StockReservation.destroy({ where: { id: reservations.map(reservation => reservation.id) }, transaction: t });
+    }
+
+    return reservations.length;
+});
+
+const releaseForUser = (user, options) => releaseReservations({ userId: user.id }, options);
+
+const releaseExpired = () => releaseReservations({ expiresAt: { [Op.lte]: new Date() } });
+
+// Holds the stock for everything in the customer's cart for reservationTtlMinutes, replacing
+// any earlier reservation. Runs in the caller's transaction.
+// Returns { reservations, expiresAt }, { lineErrors } or { status, message }.
+const reserveCart = async (user, { transaction }) => {
+    const cartItems = await Cart.findAll({
+        where: { userId: user.id },
+        order: [["id", "ASC"]],
+        transaction,
+        lock: transaction.LOCK.UPDATE
+    });
+
+    if (cartItems.length === 0) {
+        return { status: 400, message: "Your cart is empty" };
+    }
+
+    await releaseForUser(user, { transaction });
+
+    const quantities = new Map();
+    for (const cartItem of cartItems) {
+        quantities.set(cartItem.productId, (quantities.get(cartItem.productId) || 0) + cartItem.quantity);
+    }
+    const lines = [...quantities]
+        .map(([productId, quantity]) => ({ productId, quantity }))
+        .sort((a, b) => a.productId - b.productId);
+
+    const lineErrors = [];
+    for (const line of lines) {
+        if (await takeStock(line.productId, line.quantity, { transaction })) {
+            continue;
+        }
+
+        const product = await Product.findByPk(line.productId, { attributes: ["id", "name", "stock"], transaction });
+
+        if (!product) {
+            lineErrors.push({ ...line, code: "not_found", message: "This product is no longer available" });
+        } else if (product.stock <= 0) {
+            lineErrors.push({ ...line, productName: product.name, code: "out_of_stock", message: `${product.name} is out of stock`, available: 0 });
+        } else {
+            lineErrors.push({
+                ...line,
+                productName: product.name,
+                code: "insufficient_stock",
+                message: `Only ${product.stock} items of ${product.name} left in stock`,
+                available: product.stock
+            });
+        }
+    }
+
+    if (lineErrors.length > 0) {
+        return { lineErrors };
+    }
+
+    const expiresAt = new Date(Date.now() + checkoutConfig.reservationTtlMinutes * 60 * 1000);
+    const reservations = await StockReservation.bulkCreate(
+        lines.map(line => ({ userId: user.id, productId: line.productId, quantity: line.quantity, expiresAt })),
+        { transaction }
+    );
+
+    return { reservations, expiresAt };
+};
+
+// Periodically returns stock from reservations whose checkout never happened.
+const startSweeper = () => {
+    const timer = setInterval(async () => {
+        try {
+            const released = await releaseExpired();
+            if (released > 0) {
+                console.log(`Released ${released} expired stock reservations`);
+            }
+        } catch (error) {
+            console.log("Error while releasing expired stock reservations", error);
+        }
+    }, checkoutConfig.reservationSweepIntervalSeconds * 1000);
+
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    takeStock,
+    returnStock,
+    releaseForUser,
+    releaseExpired,
+    reserveCart,
+    startSweeper
+};
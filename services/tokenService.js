@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const JWT = require('jsonwebtoken');
+const { Op } = require('sequelize');
+
+const db = require('../models');
+const authConfig = require('../config/auth');
+const Session = db.Session;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const refreshExpiry = () => new Date(Date.now() + authConfig.refreshTokenTtlDays * 24 * 60 * 60 * 1000);
+
+// Refresh tokens are "<sessionId>.<secret>"; only the hash of the whole token is stored.
+const buildRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(48).toString('hex')}`;
+
+const signAccessToken = (user, session) => JWT.sign({
+    id: user.id, email: user.email, role: user.role, sid: session.id
+}, process.env.JWT_SECRET_KEY, { expiresIn: authConfig.accessTokenTtl });
+
+const createSession = async (user, req) => {
+    const session = await Session.create({
+        userId: user.id,
+        refreshTokenHash: hashToken(crypto.randomBytes(32).toString('hex')),
+        expiresAt: refreshExpiry(),
+        lastUsedAt: new Date(),
+        userAgent: req.get('User-Agent'),
+        ipAddress: req.ip
+    });
+
+    const refreshToken = buildRefreshToken(session.id);
+    session.refreshTokenHash = hashToken(refreshToken);
+    await session.save();
+
+    return {
+        session,
+        accessToken: signAccessToken(user, session),
+        refreshToken
+    };
+};
+
+// Exchanges a refresh token for a new access/refresh pair. Presenting an already
+// rotated token is treated as theft and revokes the whole session.
+const rotateRefreshToken = async (refreshToken) => {
+    const sessionId = parseInt(String(refreshToken).split('.')[0]);
+    if (!sessionId) {
+        return null;
+    }
+
+    const session = await Session.findByPk(sessionId, { include: [{ model: db.User, as: 'user' }] });
+    if (!session || session.revokedAt || session.expiresAt < new Date() || !session.user || session.user.status !== "active") {
+        return null;
+    }
+
+    if (session.refreshTokenHash !== hashToken(refreshToken)) {
+        session.revokedAt = new Date();
+        await session.save();
+        return null;
+    }
+
+    const nextRefreshToken = buildRefreshToken(session.id);
+    session.refreshTokenHash = hashToken(nextRefreshToken);
+    session.lastUsedAt = new Date();
+    session.expiresAt = refreshExpiry();
+    await session.save();
+
+    return {
+        session,
+        user: session.user,
+        accessToken: signAccessToken(session.user, session),
+        refreshToken: nextRefreshToken
+    };
+};
+
+const revokeSession = async (sessionId) => {
+    await Session.update(
+        { revokedAt: new Date() },
+        { where: { id: sessionId, revokedAt: null } }
+    );
+};
+
+const revokeAllSessions = async (userId, options = {}) => {
+    const where = { userId, revokedAt: null };
+    if (options.except) {
+        where.id = { [Op.ne]: options.except };
+    }
+
+    const [count] = await Session.update({ revokedAt: new Date() }, { where, transaction: options.transaction });
+    return count;
+};
+
+// Returns the session behind an access token, with its user, if it is still usable.
+const findActiveSession = async (sessionId, userId) => {
+    const session = await Session.findByPk(sessionId, { include: [{ model: db.User, as: 'user' }] });
+
+    if (!session || !session.user || session.userId !== userId || session.revokedAt || session.expiresAt < new Date()) {
+        return null;
+    }
+
+    return session;
+};
+
+module.exports = {
+    hashToken,
+    createSession,
+    rotateRefreshToken,
+    revokeSession,
+    revokeAllSessions,
+    findActiveSession
+};
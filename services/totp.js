@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+
+// RFC 6238 time-based one-time passwords (HMAC-SHA1, 30 second steps, 6 digits),
+// compatible with Google Authenticator, Authy, 1Password and similar apps.
+const PERIOD_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = "";
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+};
+
+const base32Decode = (input) => {
+    const clean = input.replace(/=+$/, "").replace(/\s+/g, "").toUpperCase();
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error("Invalid base32 character");
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// RFC 4226 HOTP value for a counter
+const hotp = (secret, counter) => {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counterBuffer).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24) |
+        (hmac[offset + 1] << 16) |
+        (hmac[offset + 2] << 8) |
+        hmac[offset + 3];
+
+    return String(binary % Math.pow(10, DIGITS)).padStart(DIGITS, "0");
+};
+
+const currentStep = (time = Date.now()) => Math.floor(time / 1000 / PERIOD_SECONDS);
+
+const generateCode = (secret, time = Date.now()) => hotp(secret, currentStep(time));
+
+// Returns the matching time step, or null. One step of clock drift is allowed either way.
+const verifyCode = (secret, code, window = 1) => {
+    const normalized = String(code || "").replace(/\s+/g, "");
+    if (!/^\d{6}$/.test(normalized)) {
+        return null;
+    }
+
+    const step = currentStep();
+    for (let drift = -window; drift <= window; drift++) {
+        const candidate = Buffer.from(hotp(secret, step + drift));
+        if (crypto.timingSafeEqual(candidate, Buffer.from(normalized))) {
+            return step + drift;
+        }
+    }
+
+    return null;
+};
+
+const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: "SHA1",
+        digits: String(DIGITS),
+        period: String(PERIOD_SECONDS)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = { generateSecret, generateCode, verifyCode, buildOtpauthUri, base32Encode, base32Decode };
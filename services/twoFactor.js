@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const JWT = require('jsonwebtoken');
+
+const { twoFactor: twoFactorConfig } = require('../config/auth');
+const { hashToken } = require('./tokenService');
+const totp = require('./totp');
+
+const CHALLENGE_PURPOSE = "mfa-challenge";
+const ENROLLMENT_PURPOSE = "mfa-enroll";
+
+// Short-lived token proving the password step passed; exchanged for real tokens with a TOTP code.
+const signChallengeToken = (user) => JWT.sign(
+    { id: user.id, purpose: CHALLENGE_PURPOSE },
+    process.env.JWT_SECRET_KEY,
+    { expiresIn: twoFactorConfig.challengeTtl }
+);
+
+// Lets a user who must enroll reach the setup endpoints without a full access token.
+const signEnrollmentToken = (user) => JWT.sign(
+    { id: user.id, email: user.email, role: user.role, purpose: ENROLLMENT_PURPOSE },
+    process.env.JWT_SECRET_KEY,
+    { expiresIn: twoFactorConfig.challengeTtl }
+);
+
+const decodeToken = (token, purpose) => {
+    try {
+        const decoded = JWT.verify(token, process.env.JWT_SECRET_KEY);
+        return decoded.purpose === purpose ? decoded : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+const decodeChallengeToken = (token) => decodeToken(token, CHALLENGE_PURPOSE);
+const decodeEnrollmentToken = (token) => decodeToken(token, ENROLLMENT_PURPOSE);
+
+const mustEnroll = (user) => twoFactorConfig.requiredForAdmins && user.role === "admin" && !user.twoFactorEnabled;
+
+// Returns the plain codes to show once; the user keeps only their hashes.
+const generateRecoveryCodes = (user) => {
+    const codes = Array.from({ length: twoFactorConfig.recoveryCodeCount }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    user.totpRecoveryCodes = codes.map(code => hashToken(code));
+    return codes;
+};
+
+// Checks a TOTP code (rejecting replays of an already used step) or consumes a recovery code.
+// The caller saves the user afterwards.
+const verifySecondFactor = (user, { code, recoveryCode }) => {
+    if (code) {
+        const step = totp.verifyCode(user.totpSecret, code);
+        if (step === null || (user.totpLastUsedStep && step <= user.totpLastUsedStep)) {
+            return false;
+        }
+        user.totpLastUsedStep = step;
+        return true;
+    }
+
+    if (recoveryCode) {
+        const hashed = hashToken(String(recoveryCode).trim().toLowerCase());
+        const remaining = user.totpRecoveryCodes || [];
+        if (!remaining.includes(hashed)) {
+            return false;
+        }
+        user.totpRecoveryCodes = remaining.filter(item => item !== hashed);
+        return true;
+    }
+
+    return false;
+};
+
+module.exports = {
+    signChallengeToken,
+    signEnrollmentToken,
+    decodeChallengeToken,
+    decodeEnrollmentToken,
+    mustEnroll,
+    generateRecoveryCodes,
+    verifySecondFactor
+};
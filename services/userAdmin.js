@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+
+const db = require('../models');
+const { revokeAllSessions } = require('./tokenService');
+const loginThrottle = require('./loginThrottle');
+const { releaseForUser } = require('./stockReservations');
+
+// Strips personal data from a user while keeping the row, so orders and totals that
+// reference it stay intact. Shipping addresses on those orders are blanked as well, including
+// guest orders placed with the same email that were never claimed. Runs inside the caller's transaction.
+const anonymizeUser = async (user, { transaction } = {}) => {
+    const originalEmail = user.email;
+
+    user.email = `deleted-user-${user.id}@anonymized.invalid`;
+    user.password = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+    user.firstName = null;
+    user.lastName = null;
+    user.phone = null;
+    user.preferences = {};
+    user.totpSecret = null;
+    user.totpEnabledAt = null;
+    user.totpLastUsedStep = null;
+    user.totpRecoveryCodes = null;
+    user.status = "deleted";
+    user.deletedAt = new Date();
+    await user.save({ transaction });
+
+    await db.Order.update(
+        { address: null, city: null, zipcode: null, guestEmail: null, guestPhone: null, cancellationReason: null },
+        {
+            where: db.sequelize.or(
+                { userId: user.id },
+                db.sequelize.where(db.sequelize.fn('lower', db.sequelize.col('guestEmail')), originalEmail.toLowerCase())
+            ),
+            transaction
+        }
+    );
+    await db.ReturnRequest.update(
+        { reason: null, photoUrls: [] },
+        { where: { userId: user.id }, transaction }
+    );
+    await db.Address.destroy({ where: { userId: user.id }, transaction });
+    await db.Cart.destroy({ where: { userId: user.id }, transaction });
+    await releaseForUser(user, { transaction });
+    await db.PasswordResetToken.destroy({ where: { userId: user.id }, transaction });
+    await db.UserIdentity.destroy({ where: { userId: user.id }, transaction });
+    await revokeAllSessions(user.id, { transaction });
+    await db.Session.update(
+        { ipAddress: null, userAgent: null },
+        { where: { userId: user.id }, transaction }
+    );
+    await loginThrottle.unlockAccount(originalEmail);
+};
+
+module.exports = { anonymizeUser };
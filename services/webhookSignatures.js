@@ -0,0 +1,24 @@
+const crypto = require('crypto');
+
+// Checks a "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${rawBody}`>" signature header, the
+// scheme used by common gateways and by our local providers. Timestamps more than
+// toleranceSeconds away are refused to stop replays.
+const verifySignature = (rawBody, header, { secret, toleranceSeconds }) => {
+    if (!secret || !header || !rawBody) {
+        return false;
+    }
+
+    const parts = Object.fromEntries(header.split(",").map(part => part.trim().split("=")));
+    const timestamp = parseInt(parts.t);
+
+    if (!timestamp || Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) {
+        return false;
+    }
+
+    const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.`).update(rawBody).digest();
+    const received = Buffer.from(parts.v1 || "", 'hex');
+
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+};
+
+module.exports = { verifySignature };
@@ -0,0 +1,51 @@
+// Stock an order puts back when it is cancelled after some of it was refunded.
+const { useTestDatabase, skipWithoutDatabase, createProduct, createUser, fakeResponse, orderBody, remainingStock } = require('./helpers');
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const db = require('../models');
+const { sequelize } = require('../models');
+const Order = db.Order;
+const OrderItem = db.OrderItem;
+const orderService = require('../services/orderService');
+const refunds = require('../services/refunds');
+const orderController = require('../controllers/orderController');
+
+useTestDatabase();
+
+test("cancelling after a restocking refund returns each unit to stock once", async (t) => {
+    if (skipWithoutDatabase(t)) return;
+
+    const product = await createProduct({ stock: 5 });
+    const user = await createUser();
+
+    const res = fakeResponse();
+    await orderController.placeOrder({
+        customer: user,
+        user: { id: user.id },
+        body: { ...orderBody, items: [{ productId: product.id, quantity: 3 }] }
+    }, res);
+
+    assert.strictEqual(res.statusCode, 201);
+    assert.strictEqual(await remainingStock(product), 2);
+
+    const orderId = res.body.order.orderId;
+    const orderItem = await OrderItem.findOne({ where: { orderId } });
+
+    const refunded = await sequelize.transaction(async (transaction) => refunds.refundOrder(
+        await Order.findByPk(orderId, { transaction, lock: transaction.LOCK.UPDATE }),
+        { items: [{ orderItemId: orderItem.id, quantity: 1 }], reason: "Damaged", restock: true, transaction }
+    ));
+
+    assert.ok(refunded.refund);
+    assert.strictEqual(await remainingStock(product), 3);
+
+    const cancelled = await sequelize.transaction(async (transaction) => orderService.cancelOrder(
+        await Order.findByPk(orderId, { transaction, lock: transaction.LOCK.UPDATE }),
+        { reason: "Changed my mind", transaction }
+    ));
+
+    assert.ok(cancelled.order);
+    assert.strictEqual(await remainingStock(product), 5);
+});
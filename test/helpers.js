@@ -0,0 +1,102 @@
+// Shared setup for the tests, which run against the test database from config/config.js,
+// migrated with `NODE_ENV=test npx sequelize-cli db:migrate`. Without it the run fails, unless
+// SKIP_DB_TESTS is set to skip those tests on purpose.
+process.env.NODE_ENV = process.env.NODE_ENV || "test";
+
+const { before, after } = require('node:test');
+const crypto = require('crypto');
+
+const db = require('../models');
+const { sequelize } = require('../models');
+const User = db.User;
+const Product = db.Product;
+const Order = db.Order;
+const OrderItem = db.OrderItem;
+
+let connected = false;
+let skipReason = null;
+const userIds = [];
+const productIds = [];
+
+// Connects before the file's tests run and removes what they created afterwards.
+const useTestDatabase = () => {
+    before(async () => {
+        try {
+            await sequelize.authenticate();
+            connected = true;
+        } catch (error) {
+            if (!process.env.SKIP_DB_TESTS) {
+                throw new Error(`The test database is not available (${error.message}); set SKIP_DB_TESTS=1 to skip these tests`);
+            }
+            skipReason = `SKIP_DB_TESTS is set and the test database is not available: ${error.message}`;
+        }
+    });
+
+    after(async () => {
+        if (connected) {
+            // Orders.userId has no foreign key, so the orders are removed by hand. Payments, refunds
+            // and status history go with their order, carts and reservations with their user.
+            const orderIds = (await Order.findAll({ where: { userId: userIds }, attributes: ["id"] })).map(order => order.id);
+            await OrderItem.destroy({ where: { orderId: orderIds } });
+            await Order.destroy({ where: { id: orderIds } });
+            await User.destroy({ where: { id: userIds } });
+            await Product.destroy({ where: { id: productIds } });
+        }
+        await sequelize.close();
+    });
+};
+
+// Skips the test when SKIP_DB_TESTS let the run go on without a database. Returns true if it did.
+const skipWithoutDatabase = (t) => {
+    if (skipReason) {
+        t.skip(skipReason);
+        return true;
+    }
+    return false;
+};
+
+const createProduct = async ({ stock }) => {
+    const product = await Product.create({ name: `Test product ${crypto.randomUUID()}`, price: 10, stock });
+    productIds.push(product.id);
+    return product;
+};
+
+const createUser = async () => {
+    const user = await User.create({ email: `test-${crypto.randomUUID()}@example.com`, password: "not-a-real-hash" });
+    userIds.push(user.id);
+    return user;
+};
+
+// Just enough of an Express response for the controllers.
+const fakeResponse = () => ({
+    statusCode: 200,
+    status(code) {
+        this.statusCode = code;
+        return this;
+    },
+    json(body) {
+        this.body = body;
+        return this;
+    }
+});
+
+// Delivery and payment fields for placeOrder and checkout; the mock gateway captures tok_visa.
+const orderBody = {
+    deliveryDate: "2030-01-01",
+    paymentToken: "tok_visa",
+    address: "1 Test Street",
+    city: "Testville",
+    zipcode: "12345"
+};
+
+const remainingStock = async (product) => (await Product.findByPk(product.id)).stock;
+
+module.exports = {
+    useTestDatabase,
+    skipWithoutDatabase,
+    createProduct,
+    createUser,
+    fakeResponse,
+    orderBody,
+    remainingStock
+};
@@ -0,0 +1,96 @@
+// Fires more concurrent orders than there is stock and checks that exactly `stock` of them get
+// through.
+const { useTestDatabase, skipWithoutDatabase, createProduct, createUser, fakeResponse, orderBody, remainingStock } = require('./helpers');
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const db = require('../models');
+const { sequelize } = require('../models');
+const Cart = db.Cart;
+const stockReservations = require('../services/stockReservations');
+const orderController = require('../controllers/orderController');
+
+const STOCK = 3;
+const BUYERS = 8;
+
+useTestDatabase();
+
+const createBuyers = async (product, { withCart }) => {
+    const users = [];
+    for (let i = 0; i < BUYERS; i++) {
+        const user = await createUser();
+
+        if (withCart) {
+            await Cart.create({ userId: user.id, productId: product.id, quantity: 1, price: product.price });
+        }
+        users.push(user);
+    }
+    return users;
+};
+
+test("takeStock never takes more than the stock", async (t) => {
+    if (skipWithoutDatabase(t)) return;
+
+    const product = await createProduct({ stock: STOCK });
+
+    const taken = await Promise.all(Array.from({ length: BUYERS }, () => sequelize.transaction(
+        (transaction) => stockReservations.takeStock(product.id, 1, { transaction })
+    )));
+
+    assert.strictEqual(taken.filter(Boolean).length, STOCK);
+    assert.strictEqual(await remainingStock(product), 0);
+});
+
+test("reserveCart only reserves what is in stock", async (t) => {
+    if (skipWithoutDatabase(t)) return;
+
+    const product = await createProduct({ stock: STOCK });
+    const users = await createBuyers(product, { withCart: true });
+
+    const results = await Promise.all(users.map(user => sequelize.transaction(
+        (transaction) => stockReservations.reserveCart(user, { transaction })
+    )));
+
+    assert.strictEqual(results.filter(result => result.reservations).length, STOCK);
+    assert.ok(results.filter(result => !result.reservations).every(result => result.lineErrors[0].code === "out_of_stock"));
+    assert.strictEqual(await remainingStock(product), 0);
+});
+
+test("concurrent placeOrder calls do not oversell", async (t) => {
+    if (skipWithoutDatabase(t)) return;
+
+    const product = await createProduct({ stock: STOCK });
+    const users = await createBuyers(product, { withCart: false });
+
+    const responses = await Promise.all(users.map(async (user) => {
+        const res = fakeResponse();
+        await orderController.placeOrder({
+            customer: user,
+            user: { id: user.id },
+            body: { ...orderBody, items: [{ productId: product.id, quantity: 1 }] }
+        }, res);
+        return res;
+    }));
+
+    assert.strictEqual(responses.filter(res => res.statusCode === 201).length, STOCK);
+    assert.ok(responses.filter(res => res.statusCode !== 201).every(res => res.statusCode === 400));
+    assert.strictEqual(await remainingStock(product), 0);
+});
+
+test("concurrent checkouts do not oversell", async (t) => {
+    if (skipWithoutDatabase(t)) return;
+
+    const product = await createProduct({ stock: STOCK });
+    const users = await createBuyers(product, { withCart: true });
+
+    const responses = await Promise.all(users.map(async (user) => {
+        const res = fakeResponse();
+        await orderController.checkout({ customer: user, user: { id: user.id }, body: { ...orderBody } }, res);
+        return res;
+    }));
+
+    assert.strictEqual(responses.filter(res => res.statusCode === 201).length, STOCK);
+    assert.ok(responses.filter(res => res.statusCode !== 201).every(res => res.statusCode === 409));
+    assert.strictEqual(await remainingStock(product), 0);
+});